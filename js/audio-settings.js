@@ -0,0 +1,112 @@
+/**
+ * Audio Settings Module for Word Scramble Game
+ * The mute button in the game header and the volume sliders for all sound,
+ * sound effects, celebrations and spoken words, saved for each learner
+ */
+const AudioSettings = (function() {
+    // Private variables
+    let _elements = {
+        muteBtn: null,
+        masterInput: null,
+        masterValue: null,
+        effectsInput: null,
+        effectsValue: null,
+        celebrationInput: null,
+        celebrationValue: null,
+        speechInput: null,
+        speechValue: null
+    };
+    
+    // Volume channels with a slider, and how each one is tried out after a change
+    const _channels = {
+        master: () => window.AudioService.playSound('correct'),
+        effects: () => window.AudioService.playSound('correct'),
+        celebration: () => window.AudioService.playSound('clapping', 'celebration'),
+        speech: () => window.AudioService.speak(GameConfig.get('speech').sampleText)
+    };
+    
+    // Private methods
+    
+    /**
+     * Show a volume as a percentage next to its slider
+     * @param {string} channel - Volume channel
+     * @param {number} percent - Volume from 0 to 100
+     */
+    function _renderValue(channel, percent) {
+        const output = _elements[`${channel}Value`];
+        if (output) output.textContent = `${percent}%`;
+    }
+    
+    /**
+     * Show the active learner's volumes and whether sound is muted
+     */
+    function _render() {
+        const settings = window.AudioService.getAudioSettings();
+        
+        Object.keys(_channels).forEach(channel => {
+            const input = _elements[`${channel}Input`];
+            const percent = Math.round(settings[channel] * 100);
+            if (input) input.value = percent;
+            _renderValue(channel, percent);
+        });
+        
+        if (_elements.muteBtn) {
+            const label = settings.muted ? 'Turn sound on' : 'Mute sound';
+            _elements.muteBtn.classList.toggle('muted', !!settings.muted);
+            _elements.muteBtn.setAttribute('aria-pressed', settings.muted ? 'true' : 'false');
+            _elements.muteBtn.setAttribute('aria-label', label);
+            _elements.muteBtn.title = label;
+            
+            const icon = _elements.muteBtn.querySelector('i');
+            if (icon) icon.className = `fas ${settings.muted ? 'fa-volume-mute' : 'fa-volume-up'}`;
+        }
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the mute button and volume sliders
+         * @param {Object} elements - DOM elements
+         * @returns {Object} AudioSettings for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.muteBtn || !window.AudioService) {
+                console.error('Missing required elements for audio settings');
+                return this;
+            }
+            
+            _elements.muteBtn.addEventListener('click', () => {
+                window.AudioService.setMuted(!window.AudioService.isMuted());
+            });
+            
+            Object.keys(_channels).forEach(channel => {
+                const input = _elements[`${channel}Input`];
+                if (!input) return;
+                
+                input.addEventListener('input', () => {
+                    _renderValue(channel, parseInt(input.value, 10));
+                });
+                input.addEventListener('change', () => {
+                    window.AudioService.setVolume(channel, parseInt(input.value, 10) / 100);
+                    _channels[channel]();
+                });
+            });
+            
+            _render();
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('profileChanged', _render);
+                window.EventBus.subscribe('preferenceChanged', data => {
+                    if (data && data.name === 'audio') _render();
+                });
+            }
+            
+            return this;
+        }
+    };
+})();
+
+// Export the module
+window.AudioSettings = AudioSettings;
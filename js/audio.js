@@ -1,12 +1,31 @@
 /**
  * Audio Module for Word Scramble Game
  * Handles all sound effects and pronunciations
+ * Sound effects are made with the Web Audio API (see SoundSynth), or played
+ * from replacement files chosen in the settings
+ * Effects, celebration sounds and speech each have a volume, scaled by the
+ * master volume, and everything can be muted
  */
 const AudioService = (function() {
     // Private audio elements
-    let _sounds = {};
     let _pronunciationAudio = null;
     
+    // Web Audio context for sound effects, created when first needed
+    let _audioContext = null;
+    
+    // Gain nodes for the master volume and each sound effect channel
+    let _masterGain = null;
+    let _channelGains = {};
+    
+    // Replacement sound files (SoundStore references) by sound type, their decoded audio and status
+    let _customSounds = {};
+    let _customBuffers = {};
+    let _customStatus = {};
+    
+    // Speech providers by name, and the word they say
+    let _speechProviders = {};
+    let _currentWord = '';
+    
     // Private methods
     
     /**
@@ -24,45 +43,319 @@ const AudioService = (function() {
     }
     
     /**
-     * Play an audio element with error handling
-     * @param {HTMLAudioElement} audio - Audio element to play
+     * Get the Web Audio context, creating it the first time
+     * @returns {AudioContext|null} Audio context, or null if Web Audio is not supported
+     */
+    function _getAudioContext() {
+        if (!_audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return null;
+            
+            try {
+                _audioContext = new AudioContextClass();
+            } catch (error) {
+                console.error('Error creating audio context:', error);
+                return null;
+            }
+        }
+        return _audioContext;
+    }
+    
+    /**
+     * Get the active learner's audio settings
+     * @returns {Object} Audio settings (the configured defaults for anything not set)
      */
-    function _playWithErrorHandling(audio) {
-        if (!audio) return;
+    function _getAudioSettings() {
+        let saved = {};
+        if (window.ProfileManager && typeof window.ProfileManager.getPreference === 'function') {
+            saved = window.ProfileManager.getPreference('audio', {}) || {};
+        }
+        return Object.assign({}, GameConfig.get('audio'), saved);
+    }
+    
+    /**
+     * Save a change to the active learner's audio settings
+     * @param {Object} changes - Settings to change
+     * @returns {boolean} Whether the settings could be saved
+     */
+    function _saveAudioSettings(changes) {
+        if (!window.ProfileManager || typeof window.ProfileManager.setPreference !== 'function') return false;
         
-        try {
-            audio.currentTime = 0;
-            audio.play().catch(error => {
-                console.error(`Error playing audio:`, error);
+        const saved = window.ProfileManager.getPreference('audio', {}) || {};
+        window.ProfileManager.setPreference('audio', Object.assign({}, saved, changes));
+        return true;
+    }
+    
+    /**
+     * Get how loud a channel plays, with the master volume and mute applied
+     * @param {string} channel - 'effects', 'celebration' or 'speech'
+     * @returns {number} Volume from 0 to 1
+     */
+    function _getChannelVolume(channel) {
+        const settings = _getAudioSettings();
+        if (settings.muted) return 0;
+        
+        const volume = settings.master * (channel in settings ? settings[channel] : 1);
+        return Math.min(1, Math.max(0, volume));
+    }
+    
+    /**
+     * Get the node a sound effect channel plays into, creating the gain nodes the first time
+     * @param {AudioContext} context - Audio context
+     * @param {string} channel - 'effects' or 'celebration'
+     * @returns {AudioNode} Channel gain node
+     */
+    function _getChannelNode(context, channel) {
+        if (!_masterGain) {
+            _masterGain = context.createGain();
+            _masterGain.connect(context.destination);
+        }
+        if (!_channelGains[channel]) {
+            _channelGains[channel] = context.createGain();
+            _channelGains[channel].connect(_masterGain);
+        }
+        return _channelGains[channel];
+    }
+    
+    /**
+     * Set the gain nodes to the active learner's volumes
+     */
+    function _applyVolumes() {
+        if (!_masterGain) return;
+        
+        const settings = _getAudioSettings();
+        _masterGain.gain.value = settings.muted ? 0 : settings.master;
+        Object.keys(_channelGains).forEach(channel => {
+            _channelGains[channel].gain.value = channel in settings ? settings[channel] : 1;
+        });
+    }
+    
+    /**
+     * Tell listeners that a sound type's replacement file changed or finished loading
+     * @param {string} soundType - Type of sound
+     */
+    function _publishCustomSoundChange(soundType) {
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('customSoundChanged', {
+                soundType,
+                status: _customStatus[soundType] || 'none'
             });
-        } catch (error) {
-            console.error(`Error with audio playback:`, error);
         }
     }
     
+    /**
+     * Decode a sound file
+     * @param {Blob} file - Sound file
+     * @returns {Promise<AudioBuffer>} Decoded audio
+     */
+    function _decodeSound(file) {
+        const context = _getAudioContext();
+        if (!context) return Promise.reject(new Error('Web Audio is not supported in this browser.'));
+        if (!file) return Promise.reject(new Error('The sound file is missing.'));
+        
+        return file.arrayBuffer()
+            .catch(() => {
+                throw new Error('The file could not be read.');
+            })
+            .then(bytes => new Promise((resolve, reject) => {
+                // Older Safari only supports the callback form of decodeAudioData
+                const result = context.decodeAudioData(bytes, resolve,
+                    () => reject(new Error('The sound file could not be played.')));
+                if (result && typeof result.catch === 'function') {
+                    result.catch(() => reject(new Error('The sound file could not be played.')));
+                }
+            }));
+    }
+    
+    /**
+     * Decode a sound type's replacement file, falling back to the built-in sound if it fails
+     * @param {string} soundType - Type of sound
+     * @returns {Promise<boolean>} Resolves with whether the replacement can be played
+     */
+    function _loadCustomSound(soundType) {
+        const ref = _customSounds[soundType];
+        delete _customBuffers[soundType];
+        _customStatus[soundType] = 'loading';
+        
+        return _decodeSound(window.SoundStore.getBlob(ref))
+            .then(buffer => {
+                // Ignore the result if the file was replaced or removed meanwhile
+                if (_customSounds[soundType] !== ref) return false;
+                
+                _customBuffers[soundType] = buffer;
+                _customStatus[soundType] = 'ready';
+                _publishCustomSoundChange(soundType);
+                return true;
+            })
+            .catch(error => {
+                if (_customSounds[soundType] !== ref) return false;
+                
+                console.warn(`Replacement ${soundType} sound cannot be played, using the built-in sound:`, error);
+                _customStatus[soundType] = 'failed';
+                _publishCustomSoundChange(soundType);
+                return false;
+            });
+    }
+    
+    /**
+     * Move replacement sounds saved inline as data URLs into the sound store
+     * @returns {Promise} Resolves when moved
+     */
+    function _moveInlineSounds() {
+        const inline = Object.keys(_customSounds).filter(soundType => !window.SoundStore.isStoredSound(_customSounds[soundType]));
+        let moved = 0;
+        
+        // Store one at a time to keep memory use down
+        return inline.reduce((chain, soundType) => chain.then(() => {
+            const dataUrl = _customSounds[soundType];
+            return window.SoundStore.storeDataUrl(dataUrl).then(ref => {
+                if (ref !== dataUrl && _customSounds[soundType] === dataUrl) {
+                    _customSounds[soundType] = ref;
+                    moved++;
+                }
+            });
+        }), Promise.resolve()).then(() => {
+            if (moved > 0) return _saveCustomSounds();
+        });
+    }
+    
+    /**
+     * Load the saved replacement sound files
+     */
+    function _loadCustomSounds() {
+        const saved = window.StorageService && typeof window.StorageService.getCustomSounds === 'function' ?
+            window.StorageService.getCustomSounds() : {};
+        const sounds = GameConfig.get('sounds');
+        
+        _customSounds = {};
+        _customBuffers = {};
+        _customStatus = {};
+        if (!window.SoundStore) return;
+        
+        Object.keys(saved || {}).filter(soundType => sounds[soundType]).forEach(soundType => {
+            _customSounds[soundType] = saved[soundType];
+            _customStatus[soundType] = 'loading';
+        });
+        
+        window.SoundStore.ready()
+            .then(() => _moveInlineSounds())
+            .then(() => _deleteUnusedSounds())
+            .then(() => {
+                Object.keys(_customSounds).forEach(_loadCustomSound);
+            })
+            .catch(error => {
+                console.error('Error preparing sound store:', error);
+            });
+    }
+    
+    /**
+     * Save the replacement sound references
+     * @returns {Promise<boolean>} Resolves with whether they reached storage
+     */
+    function _saveCustomSounds() {
+        if (!window.StorageService || typeof window.StorageService.saveCustomSounds !== 'function' ||
+            !window.StorageService.saveCustomSounds(_customSounds)) {
+            return Promise.resolve(false);
+        }
+        return window.StorageService.whenSaved(GameConfig.get('storage').customSounds);
+    }
+    
+    /**
+     * Delete stored sound files that no sound type uses any more
+     * @returns {Promise} Resolves when deleted (errors are logged)
+     */
+    function _deleteUnusedSounds() {
+        return window.SoundStore.deleteUnused(Object.values(_customSounds))
+            .catch(error => {
+                console.error('Error deleting unused sound files:', error);
+            });
+    }
+    
+    /**
+     * Get the active learner's speech settings
+     * @returns {Object} Speech settings (the configured defaults for anything not set)
+     */
+    function _getSpeechSettings() {
+        let saved = {};
+        if (window.ProfileManager && typeof window.ProfileManager.getPreference === 'function') {
+            saved = window.ProfileManager.getPreference('speech', {}) || {};
+        }
+        return Object.assign({}, GameConfig.get('speech'), saved);
+    }
+    
+    /**
+     * Get the speech providers to try for a text, in order
+     * A recorded pronunciation comes first, then the device's own voices,
+     * and the online voice only if the learner allows it
+     * @param {Object} settings - Speech settings
+     * @param {string} text - Text to say
+     * @returns {Array} Available speech providers
+     */
+    function _getActiveProviders(settings, text) {
+        const names = ['recording', 'webSpeech'];
+        if (settings.remoteFallback) names.push('remote');
+        
+        return names
+            .map(name => _speechProviders[name])
+            .filter(provider => provider && provider.isAvailable(text));
+    }
+    
+    /**
+     * Say a text with the first speech provider that works
+     * @param {string} text - Text to say
+     * @returns {boolean} Whether a speech provider was available
+     */
+    function _speak(text) {
+        const settings = Object.assign(_getSpeechSettings(), { volume: _getChannelVolume('speech') });
+        const providers = _getActiveProviders(settings, text);
+        if (!text || providers.length === 0) return false;
+        
+        // Nothing to hear while muted
+        if (settings.volume === 0) return true;
+        
+        // Each provider that fails hands over to the next one
+        providers.reduce((attempt, provider) => attempt.catch(() => provider.speak(text, settings)),
+            Promise.reject(new Error('No speech provider tried yet')))
+            .catch(error => {
+                console.error('Error pronouncing word:', error);
+            });
+        
+        return true;
+    }
+    
     // Public API
     return {
         /**
-         * Initialize audio elements
+         * Initialize sound effects and speech
          * @returns {Object} AudioService for chaining
          */
         init: function() {
-            // Initialize audio elements
-            _sounds = {
-                correct: _getAudioElement('correct-sound'),
-                wrong: _getAudioElement('wrong-sound'),
-                drag: _getAudioElement('drag-sound'),
-                hint: _getAudioElement('hint-sound'),
-                clapping: _getAudioElement('clapping-sound'),
-                whistle: _getAudioElement('whistle-sound')
-            };
+            if (!window.SoundSynth) {
+                console.error('SoundSynth not found!');
+            }
+            if (!window.SoundStore) {
+                console.error('SoundStore not found!');
+            }
+            if (!_getAudioContext()) {
+                console.warn('Web Audio is not supported in this browser, sound effects are off');
+            }
             
             _pronunciationAudio = _getAudioElement('pronunciation');
             
-            // Preload audio
-            Object.values(_sounds).forEach(sound => {
-                if (sound) sound.load();
-            });
+            // Speech providers
+            if (window.SpeechProviders) {
+                _speechProviders = {
+                    recording: window.SpeechProviders.create('recording', {
+                        getRecordingUrl: word => (window.WordManager ? window.WordManager.getWordRecording(word) : null)
+                    }),
+                    webSpeech: window.SpeechProviders.create('webSpeech'),
+                    remote: window.SpeechProviders.create('remote', { audioElement: _pronunciationAudio })
+                };
+            } else {
+                console.error('SpeechProviders not found!');
+            }
+            
+            _loadCustomSounds();
             
             return this;
         },
@@ -70,42 +363,265 @@ const AudioService = (function() {
         /**
          * Play a sound effect
          * @param {string} soundType - Type of sound to play
+         * @param {string} [channel='effects'] - Volume channel: 'effects' or 'celebration'
          * @returns {boolean} Success status
          */
-        playSound: function(soundType) {
-            const audio = _sounds[soundType];
-            if (!audio) {
+        playSound: function(soundType, channel = 'effects') {
+            const recipe = GameConfig.get('sounds')[soundType];
+            if (!recipe) {
                 console.error(`Sound type '${soundType}' not found.`);
                 return false;
             }
             
-            _playWithErrorHandling(audio);
+            const context = _getAudioContext();
+            if (!context || !window.SoundSynth) return false;
+            
+            try {
+                const destination = _getChannelNode(context, channel);
+                _applyVolumes();
+                
+                // Browsers keep audio suspended until the player has interacted with the page
+                if (context.state === 'suspended' && typeof context.resume === 'function') {
+                    Promise.resolve(context.resume()).catch(error => {
+                        console.error('Error resuming audio:', error);
+                    });
+                }
+                
+                if (_customBuffers[soundType]) {
+                    window.SoundSynth.playBuffer(context, destination, _customBuffers[soundType]);
+                } else {
+                    window.SoundSynth.play(context, destination, recipe);
+                }
+            } catch (error) {
+                console.error(`Error playing ${soundType} sound:`, error);
+                return false;
+            }
             return true;
         },
         
+        /**
+         * Get the active learner's audio settings
+         * @returns {Object} Audio settings ({master, effects, celebration, speech, muted})
+         */
+        getAudioSettings: function() {
+            return _getAudioSettings();
+        },
+        
+        /**
+         * Set the volume of a channel for the active learner
+         * @param {string} channel - 'master', 'effects', 'celebration' or 'speech'
+         * @param {number} volume - Volume from 0 to 1
+         * @returns {boolean} Success status
+         */
+        setVolume: function(channel, volume) {
+            if (!(channel in GameConfig.get('audio')) || channel === 'muted') {
+                console.error(`Volume channel '${channel}' not found.`);
+                return false;
+            }
+            
+            const saved = _saveAudioSettings({ [channel]: Math.min(1, Math.max(0, Number(volume) || 0)) });
+            _applyVolumes();
+            return saved;
+        },
+        
+        /**
+         * Mute or unmute all sound for the active learner
+         * @param {boolean} muted - Whether to mute
+         * @returns {boolean} Success status
+         */
+        setMuted: function(muted) {
+            const saved = _saveAudioSettings({ muted: !!muted });
+            _applyVolumes();
+            
+            // Stop a word that is being said
+            if (muted) {
+                Object.values(_speechProviders).forEach(provider => {
+                    if (provider) provider.stop();
+                });
+            }
+            return saved;
+        },
+        
+        /**
+         * Check whether sound is muted for the active learner
+         * @returns {boolean} Whether sound is muted
+         */
+        isMuted: function() {
+            return !!_getAudioSettings().muted;
+        },
+        
+        /**
+         * Check whether sound effects can be played in this browser
+         * @returns {boolean} Whether Web Audio is supported
+         */
+        canPlaySounds: function() {
+            return !!_getAudioContext() && !!window.SoundSynth;
+        },
+        
+        /**
+         * Get the types of sound effect
+         * @returns {Array} Sound types, e.g. ['correct', 'wrong', ...]
+         */
+        getSoundTypes: function() {
+            return Object.keys(GameConfig.get('sounds'));
+        },
+        
+        /**
+         * Get the state of a sound type's replacement file
+         * @param {string} soundType - Type of sound
+         * @returns {string} 'none', 'loading', 'ready' or 'failed' (the built-in sound is used)
+         */
+        getCustomSoundStatus: function(soundType) {
+            return _customSounds[soundType] ? (_customStatus[soundType] || 'loading') : 'none';
+        },
+        
+        /**
+         * Replace a sound effect with a sound file
+         * The file is only kept if it can be played
+         * @param {string} soundType - Type of sound
+         * @param {File} file - Sound file
+         * @returns {Promise} Resolves when saved, rejects with a reason to show the player
+         */
+        setCustomSound: function(soundType, file) {
+            if (!GameConfig.get('sounds')[soundType]) {
+                return Promise.reject(new Error(`Sound type '${soundType}' not found.`));
+            }
+            if (!window.SoundStore) {
+                return Promise.reject(new Error('Sound files cannot be saved in this browser.'));
+            }
+            if (!file || (file.type && !file.type.startsWith('audio/'))) {
+                return Promise.reject(new Error('Please choose a sound file.'));
+            }
+            
+            const maxKilobytes = GameConfig.get('customSoundFiles').maxKilobytes;
+            if (file.size > maxKilobytes * 1024) {
+                return Promise.reject(new Error(`The sound file is too large (the limit is ${maxKilobytes} KB).`));
+            }
+            
+            return _decodeSound(file)
+                .then(buffer => window.SoundStore.storeSound(file).then(ref => {
+                    const previous = _customSounds[soundType];
+                    _customSounds[soundType] = ref;
+                    
+                    return _saveCustomSounds().then(saved => {
+                        if (!saved) {
+                            if (previous) {
+                                _customSounds[soundType] = previous;
+                            } else {
+                                delete _customSounds[soundType];
+                            }
+                            _saveCustomSounds();
+                            _deleteUnusedSounds();
+                            throw new Error('The sound file could not be saved.');
+                        }
+                        
+                        _customBuffers[soundType] = buffer;
+                        _customStatus[soundType] = 'ready';
+                        _publishCustomSoundChange(soundType);
+                        
+                        // The file it replaced is no longer needed
+                        _deleteUnusedSounds();
+                    });
+                }));
+        },
+        
+        /**
+         * Go back to the built-in sound for a sound type
+         * @param {string} soundType - Type of sound
+         * @returns {Promise<boolean>} Resolves with whether the change was saved
+         */
+        removeCustomSound: function(soundType) {
+            if (!_customSounds[soundType]) return Promise.resolve(false);
+            
+            delete _customSounds[soundType];
+            delete _customBuffers[soundType];
+            delete _customStatus[soundType];
+            _publishCustomSoundChange(soundType);
+            
+            // The file is only deleted once nothing saved points to it
+            return _saveCustomSounds().then(saved => {
+                if (saved) _deleteUnusedSounds();
+                return saved;
+            });
+        },
+        
         /**
          * Set up pronunciation for a word
          * @param {string} word - Word to pronounce
          * @returns {boolean} Success status
          */
         setupPronunciation: function(word) {
-            if (!_pronunciationAudio) return false;
+            _currentWord = word || '';
             
-            const ttsUrl = `${GameConfig.get('apis').textToSpeech}${encodeURIComponent(word)}`;
-            _pronunciationAudio.src = ttsUrl;
-            _pronunciationAudio.load();
-            return true;
+            const settings = _getSpeechSettings();
+            const providers = _getActiveProviders(settings, _currentWord);
+            providers.forEach(provider => provider.prepare(_currentWord, settings));
+            return providers.length > 0;
         },
         
         /**
-         * Pronounce the current word
+         * Pronounce the current word (its recording if it has one)
          * @returns {boolean} Success status
          */
         pronounceWord: function() {
-            if (!_pronunciationAudio) return false;
+            return _speak(_currentWord);
+        },
+        
+        /**
+         * Say any text with the learner's speech settings (used to try them out)
+         * @param {string} text - Text to say
+         * @returns {boolean} Success status
+         */
+        speak: function(text) {
+            return _speak(text);
+        },
+        
+        /**
+         * Play a recorded pronunciation at the speech volume, without falling back to other voices
+         * @param {string} url - Recording URL
+         * @returns {Promise} Resolves when the recording has played, rejects if it cannot be played
+         */
+        playRecording: function(url) {
+            if (!url || typeof Audio !== 'function') {
+                return Promise.reject(new Error('No recording to play'));
+            }
             
-            _playWithErrorHandling(_pronunciationAudio);
-            return true;
+            const volume = _getChannelVolume('speech');
+            
+            // Nothing to hear while muted
+            if (volume === 0) return Promise.resolve();
+            
+            return new Promise((resolve, reject) => {
+                const audioElement = new Audio(url);
+                audioElement.volume = volume;
+                audioElement.onended = () => resolve();
+                audioElement.onerror = () => reject(new Error('Could not play the recording'));
+                Promise.resolve(audioElement.play()).catch(reject);
+            });
+        },
+        
+        /**
+         * Check whether words can be pronounced with the current settings
+         * @returns {boolean} Whether a speech provider is available
+         */
+        canPronounce: function() {
+            return _getActiveProviders(_getSpeechSettings(), _currentWord).length > 0;
+        },
+        
+        /**
+         * Get the voices of the device's speech synthesis
+         * @returns {Array} Voices ({id, name, lang, isDefault, isLocal})
+         */
+        getVoices: function() {
+            return _speechProviders.webSpeech ? _speechProviders.webSpeech.getVoices() : [];
+        },
+        
+        /**
+         * Get the active learner's speech settings
+         * @returns {Object} Speech settings
+         */
+        getSpeechSettings: function() {
+            return _getSpeechSettings();
         },
         
         /**
@@ -113,16 +629,16 @@ const AudioService = (function() {
          * @returns {boolean} Success status
          */
         playCelebration: function() {
-            this.playSound('correct');
+            this.playSound('correct', 'celebration');
             
             // Play whistle with a slight delay
             setTimeout(() => {
-                this.playSound('whistle');
+                this.playSound('whistle', 'celebration');
             }, 300);
             
             // Play clapping with a slight delay
             setTimeout(() => {
-                this.playSound('clapping');
+                this.playSound('clapping', 'celebration');
             }, 600);
             
             return true;
@@ -0,0 +1,715 @@
+/**
+ * Backup Manager Module for Word Scramble Game
+ * Saves all game data (decks, uploaded images, recordings, sound files, score and settings) to one file
+ * and restores it, rolling back if the restore fails part way
+ */
+const BackupManager = (function() {
+    // Private state
+    let _pendingBackup = null;
+    
+    // DOM elements
+    let _elements = {
+        backupBtn: null,
+        restoreBtn: null,
+        fileInput: null,
+        panel: null,
+        summary: null,
+        previewTable: null,
+        confirmBtn: null,
+        cancelBtn: null
+    };
+    
+    // Labels for storage keys in the restore preview, by GameConfig storage name
+    const _labels = {
+        decks: 'Word decks',
+        activeDeck: 'Active deck',
+        score: 'Score',
+        schemaVersion: 'Data version',
+        words: 'Word list (old format)',
+        wordImages: 'Word images (old format)',
+        profiles: 'Learner profiles',
+        activeProfile: 'Active profile',
+        wordHistory: 'Word history',
+        preferences: 'Preferences',
+        schedule: 'Review schedule',
+        dailyStats: 'Daily progress',
+        sessions: 'Play sessions',
+        customSounds: 'Custom sound effects'
+    };
+    
+    // Private methods
+    
+    /**
+     * Calculate a 32-bit FNV-1a hash of a string
+     * @param {string} text - Text to hash
+     * @returns {string} Hash as hex
+     */
+    function _fnv1a(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    /**
+     * Check whether the browser can calculate SHA-256 checksums
+     * @returns {boolean} Whether Web Crypto digests are available
+     */
+    function _canUseSha256() {
+        return !!(window.crypto && window.crypto.subtle && typeof TextEncoder !== 'undefined');
+    }
+    
+    /**
+     * Calculate a checksum
+     * @param {string} text - Text to check
+     * @param {string} algorithm - 'SHA-256' or 'FNV-1a'
+     * @returns {Promise<string|null>} Checksum as hex, or null if the algorithm is not supported
+     */
+    function _computeChecksum(text, algorithm) {
+        if (algorithm === 'FNV-1a') {
+            return Promise.resolve(_fnv1a(text));
+        }
+        
+        if (algorithm !== 'SHA-256' || !_canUseSha256()) {
+            return Promise.resolve(null);
+        }
+        
+        return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(buffer => {
+            return Array.from(new Uint8Array(buffer))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        });
+    }
+    
+    /**
+     * Get the part of a backup covered by its checksum
+     * @param {Object} backup - Backup data
+     * @returns {string} Serialized payload
+     */
+    function _checksumPayload(backup) {
+        return JSON.stringify({
+            schemaVersion: backup.schemaVersion,
+            data: backup.data,
+            images: backup.images,
+            recordings: backup.recordings,
+            sounds: backup.sounds
+        });
+    }
+    
+    /**
+     * Get the decks stored in a set of game data
+     * @param {Object} data - Stored values keyed by storage key
+     * @returns {Array} Decks (empty if none)
+     */
+    function _getDecks(data) {
+        const decks = data[GameConfig.get('storage').decks];
+        return Array.isArray(decks) ? decks : [];
+    }
+    
+    /**
+     * Get the uploaded image references used by a set of game data
+     * @param {Object} data - Stored values keyed by storage key
+     * @returns {Array} Unique stored image references
+     */
+    function _getStoredImageRefs(data) {
+        const refs = new Set();
+        _getDecks(data).forEach(deck => {
+            Object.values(deck.wordImages || {}).forEach(ref => {
+                if (window.ImageStore && window.ImageStore.isStoredImage(ref)) {
+                    refs.add(ref);
+                }
+            });
+        });
+        return Array.from(refs);
+    }
+    
+    /**
+     * Get the recorded pronunciation references used by a set of game data
+     * @param {Object} data - Stored values keyed by storage key
+     * @returns {Array} Unique stored recording references
+     */
+    function _getStoredRecordingRefs(data) {
+        const refs = new Set();
+        _getDecks(data).forEach(deck => {
+            Object.values(deck.wordRecordings || {}).forEach(ref => {
+                if (window.RecordingStore && window.RecordingStore.isStoredRecording(ref)) {
+                    refs.add(ref);
+                }
+            });
+        });
+        return Array.from(refs);
+    }
+    
+    /**
+     * Get the replacement sound file references used by a set of game data
+     * @param {Object} data - Stored values keyed by storage key
+     * @returns {Array} Unique stored sound references
+     */
+    function _getStoredSoundRefs(data) {
+        const sounds = data[GameConfig.get('storage').customSounds] || {};
+        const refs = Object.values(sounds).filter(ref => window.SoundStore && window.SoundStore.isStoredSound(ref));
+        return Array.from(new Set(refs));
+    }
+    
+    /**
+     * Collect all game data, uploaded images, recordings and sound files into a backup
+     * @returns {Promise<Object>} Backup data
+     */
+    function _createBackup() {
+        const settings = GameConfig.get('backupFile');
+        const data = StorageService.getAllData();
+        const images = {};
+        const recordings = {};
+        const sounds = {};
+        
+        const embedded = _getStoredImageRefs(data).map(ref => window.ImageStore.toDataUrl(ref).then(dataUrl => {
+            if (dataUrl) {
+                images[ref] = dataUrl;
+            }
+        })).concat(_getStoredRecordingRefs(data).map(ref => window.RecordingStore.toDataUrl(ref).then(dataUrl => {
+            if (dataUrl) {
+                recordings[ref] = dataUrl;
+            }
+        }))).concat(_getStoredSoundRefs(data).map(ref => window.SoundStore.toDataUrl(ref).then(dataUrl => {
+            if (dataUrl) {
+                sounds[ref] = dataUrl;
+            }
+        })));
+        
+        return Promise.all(embedded).then(() => {
+            const backup = {
+                type: settings.type,
+                version: settings.version,
+                createdAt: new Date().toISOString(),
+                schemaVersion: StorageService.getSchemaVersion(),
+                data,
+                images,
+                recordings,
+                sounds
+            };
+            const algorithm = _canUseSha256() ? 'SHA-256' : 'FNV-1a';
+            
+            return _computeChecksum(_checksumPayload(backup), algorithm).then(value => {
+                backup.checksum = { algorithm, value };
+                return backup;
+            });
+        });
+    }
+    
+    /**
+     * Check that a parsed file is an intact backup this version can restore
+     * @param {Object} backup - Parsed backup file
+     * @returns {Promise<string|null>} Error message, or null if the backup is valid
+     */
+    function _validateBackup(backup) {
+        const settings = GameConfig.get('backupFile');
+        
+        if (!backup || backup.type !== settings.type) {
+            return Promise.resolve('This is not a Word Scramble backup file.');
+        }
+        if (typeof backup.version !== 'number' || backup.version > settings.version) {
+            return Promise.resolve('This backup was made by a newer version of the game.');
+        }
+        if (typeof backup.schemaVersion === 'number' &&
+            backup.schemaVersion > StorageMigrations.getLatestVersion()) {
+            return Promise.resolve('This backup was made by a newer version of the game.');
+        }
+        if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data) ||
+            (backup.images && typeof backup.images !== 'object') ||
+            (backup.recordings && typeof backup.recordings !== 'object') ||
+            (backup.sounds && typeof backup.sounds !== 'object') ||
+            !backup.checksum || typeof backup.checksum.value !== 'string') {
+            return Promise.resolve('This backup file is incomplete.');
+        }
+        
+        return _computeChecksum(_checksumPayload(backup), backup.checksum.algorithm).then(value => {
+            if (value === null) {
+                return 'This browser cannot verify the backup checksum.';
+            }
+            return value === backup.checksum.value ? null : 'This backup file is damaged or has been edited.';
+        });
+    }
+    
+    /**
+     * Describe a stored value for the restore preview
+     * @param {string} name - GameConfig storage name
+     * @param {*} value - Stored value
+     * @param {Object} data - All stored values the value belongs to
+     * @returns {string} Short description
+     */
+    function _describeValue(name, value, data) {
+        if (value === undefined) return '—';
+        
+        switch (name) {
+            case 'decks': {
+                const decks = _getDecks(data);
+                const wordCount = decks.reduce((total, deck) => total + (deck.words || []).length, 0);
+                return `${decks.length} deck${decks.length === 1 ? '' : 's'}, ${wordCount} word${wordCount === 1 ? '' : 's'}`;
+            }
+            case 'activeDeck': {
+                const deck = _getDecks(data).find(item => item.id === value);
+                return deck ? deck.name : value;
+            }
+            case 'score':
+                return String(value);
+            case 'schemaVersion':
+                return `Version ${value}`;
+            case 'words':
+                return Array.isArray(value) ? `${value.length} words` : 'Saved';
+            case 'profiles':
+                return Array.isArray(value) ? `${value.length} profile${value.length === 1 ? '' : 's'}` : 'Saved';
+            case 'activeProfile': {
+                const profile = _getProfiles(data).find(item => item.id === value);
+                return profile ? profile.name : value;
+            }
+            case 'wordHistory': {
+                const count = Object.keys(value || {}).length;
+                return `${count} word${count === 1 ? '' : 's'} played`;
+            }
+            case 'schedule': {
+                const count = Object.keys(value || {}).length;
+                return `${count} word${count === 1 ? '' : 's'} scheduled`;
+            }
+            case 'dailyStats': {
+                const count = Object.keys(value || {}).length;
+                return `${count} day${count === 1 ? '' : 's'} played`;
+            }
+            case 'sessions':
+                return Array.isArray(value) ? `${value.length} session${value.length === 1 ? '' : 's'}` : 'Saved';
+            case 'customSounds': {
+                const count = Object.keys(value || {}).length;
+                return `${count} sound${count === 1 ? '' : 's'} replaced`;
+            }
+            default:
+                return 'Saved';
+        }
+    }
+    
+    /**
+     * Get the learner profiles stored in a set of game data
+     * @param {Object} data - Stored values keyed by storage key
+     * @returns {Array} Profiles (empty if none)
+     */
+    function _getProfiles(data) {
+        const profiles = data[GameConfig.get('storage').profiles];
+        return Array.isArray(profiles) ? profiles : [];
+    }
+    
+    /**
+     * Get a stored value, combining the per-profile copies of profile data
+     * @param {string} name - GameConfig storage name
+     * @param {Object} data - Stored values keyed by storage key
+     * @returns {*} Stored value, {profileId: value} for profile data, or undefined
+     */
+    function _getStoredValue(name, data) {
+        const key = GameConfig.get('storage')[name];
+        if (!GameConfig.get('profileStorage').includes(name)) {
+            return data[key];
+        }
+        
+        const values = {};
+        Object.keys(data).forEach(storageKey => {
+            if (storageKey.startsWith(`${key}:`)) {
+                values[storageKey.slice(key.length + 1)] = data[storageKey];
+            }
+        });
+        return Object.keys(values).length > 0 ? values : undefined;
+    }
+    
+    /**
+     * Describe a stored value, listing profile data per learner
+     * @param {string} name - GameConfig storage name
+     * @param {Object} data - Stored values keyed by storage key
+     * @returns {string} Short description
+     */
+    function _describe(name, data) {
+        const value = _getStoredValue(name, data);
+        if (value === undefined || !GameConfig.get('profileStorage').includes(name)) {
+            return _describeValue(name, value, data);
+        }
+        
+        const profiles = _getProfiles(data);
+        return Object.keys(value).map(profileId => {
+            const profile = profiles.find(item => item.id === profileId);
+            return `${profile ? profile.name : profileId}: ${_describeValue(name, value[profileId], data)}`;
+        }).join(', ');
+    }
+    
+    /**
+     * Build the restore preview rows
+     * @param {Object} backup - Validated backup
+     * @returns {Array} Rows ({label, current, restored, changed})
+     */
+    function _buildPreviewRows(backup) {
+        const storageKeys = GameConfig.get('storage');
+        const current = StorageService.getAllData();
+        
+        const rows = Object.keys(storageKeys)
+            .filter(name => name !== 'migrationBackup')
+            .filter(name => _getStoredValue(name, current) !== undefined ||
+                _getStoredValue(name, backup.data) !== undefined)
+            .map(name => ({
+                label: _labels[name] || name,
+                current: _describe(name, current),
+                restored: _describe(name, backup.data),
+                changed: JSON.stringify(_getStoredValue(name, current)) !==
+                    JSON.stringify(_getStoredValue(name, backup.data))
+            }));
+        
+        const currentImages = _getStoredImageRefs(current).length;
+        const restoredImages = Object.keys(backup.images || {}).length;
+        rows.push({
+            label: 'Uploaded images',
+            current: String(currentImages),
+            restored: String(restoredImages),
+            changed: currentImages > 0 || restoredImages > 0
+        });
+        
+        const currentRecordings = _getStoredRecordingRefs(current).length;
+        const restoredRecordings = Object.keys(backup.recordings || {}).length;
+        rows.push({
+            label: 'Recorded pronunciations',
+            current: String(currentRecordings),
+            restored: String(restoredRecordings),
+            changed: currentRecordings > 0 || restoredRecordings > 0
+        });
+        
+        const currentSounds = _getStoredSoundRefs(current).length;
+        const restoredSounds = Object.keys(backup.sounds || {}).length;
+        rows.push({
+            label: 'Sound effect files',
+            current: String(currentSounds),
+            restored: String(restoredSounds),
+            changed: currentSounds > 0 || restoredSounds > 0
+        });
+        
+        return rows;
+    }
+    
+    /**
+     * Store the backup's images and point the restored decks at them
+     * @param {Object} backup - Validated backup
+     * @returns {Promise<Object>} Game data ready to save
+     */
+    function _restoreImages(backup) {
+        const data = JSON.parse(JSON.stringify(backup.data));
+        const images = backup.images || {};
+        const newRefs = {};
+        
+        // Store one at a time to keep memory use down
+        const stored = Object.keys(images).reduce((chain, ref) => chain.then(() => {
+            return window.ImageStore.storeDataUrl(images[ref]).then(newRef => {
+                newRefs[ref] = newRef;
+            });
+        }), Promise.resolve());
+        
+        return stored.then(() => {
+            _getDecks(data).forEach(deck => {
+                Object.keys(deck.wordImages || {}).forEach(word => {
+                    if (newRefs[deck.wordImages[word]]) {
+                        deck.wordImages[word] = newRefs[deck.wordImages[word]];
+                    }
+                });
+            });
+            return data;
+        });
+    }
+    
+    /**
+     * Store the backup's recordings and point the restored decks at them
+     * @param {Object} backup - Validated backup
+     * @param {Object} data - Game data being restored (changed in place)
+     * @returns {Promise<Object>} Game data ready to save
+     */
+    function _restoreRecordings(backup, data) {
+        const recordings = backup.recordings || {};
+        const newRefs = {};
+        
+        const stored = Object.keys(recordings).reduce((chain, ref) => chain.then(() => {
+            return window.RecordingStore.storeDataUrl(recordings[ref]).then(newRef => {
+                newRefs[ref] = newRef;
+            });
+        }), Promise.resolve());
+        
+        return stored.then(() => {
+            _getDecks(data).forEach(deck => {
+                Object.keys(deck.wordRecordings || {}).forEach(word => {
+                    if (newRefs[deck.wordRecordings[word]]) {
+                        deck.wordRecordings[word] = newRefs[deck.wordRecordings[word]];
+                    }
+                });
+            });
+            return data;
+        });
+    }
+    
+    /**
+     * Store the backup's sound files and point the restored sound settings at them
+     * @param {Object} backup - Validated backup
+     * @param {Object} data - Game data being restored (changed in place)
+     * @returns {Promise<Object>} Game data ready to save
+     */
+    function _restoreSounds(backup, data) {
+        const sounds = backup.sounds || {};
+        const customSounds = data[GameConfig.get('storage').customSounds] || {};
+        const newRefs = {};
+        
+        const stored = Object.keys(sounds).reduce((chain, ref) => chain.then(() => {
+            return window.SoundStore.storeDataUrl(sounds[ref]).then(newRef => {
+                newRefs[ref] = newRef;
+            });
+        }), Promise.resolve());
+        
+        return stored.then(() => {
+            Object.keys(customSounds).forEach(soundType => {
+                if (newRefs[customSounds[soundType]]) {
+                    customSounds[soundType] = newRefs[customSounds[soundType]];
+                }
+            });
+            return data;
+        });
+    }
+    
+    /**
+     * Replace all game data with a backup, putting the old data back on failure
+     * @param {Object} backup - Validated backup
+     * @returns {Promise} Resolves when restored, rejects after rolling back
+     */
+    function _restoreBackup(backup) {
+        const previousData = StorageService.getAllData();
+        
+        return _restoreImages(backup)
+            .then(data => _restoreRecordings(backup, data))
+            .then(data => _restoreSounds(backup, data))
+            .then(data => StorageService.replaceAllData(data))
+            .then(saved => {
+                if (!saved) {
+                    throw new Error('Some data could not be saved');
+                }
+            })
+            .catch(error => {
+                console.error('Error restoring backup, rolling back:', error);
+                return StorageService.replaceAllData(previousData)
+                    .then(() => window.ImageStore.deleteUnused(_getStoredImageRefs(previousData)))
+                    .then(() => window.RecordingStore.deleteUnused(_getStoredRecordingRefs(previousData)))
+                    .then(() => window.SoundStore.deleteUnused(_getStoredSoundRefs(previousData)))
+                    .then(() => {
+                        throw error;
+                    });
+            });
+    }
+    
+    /**
+     * Offer a JSON file for download
+     * @param {Object} data - Data to save
+     * @param {string} fileName - Suggested file name
+     */
+    function _downloadJson(data, fileName) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    /**
+     * Create a backup and download it
+     */
+    function _downloadBackup() {
+        _elements.backupBtn.disabled = true;
+        
+        _createBackup()
+            .then(backup => {
+                const date = backup.createdAt.slice(0, 10);
+                _downloadJson(backup, `word-scramble-${date}${GameConfig.get('backupFile').extension}`);
+            })
+            .catch(error => {
+                console.error('Error creating backup:', error);
+                alert('The backup could not be created.');
+            })
+            .then(() => {
+                _elements.backupBtn.disabled = false;
+            });
+    }
+    
+    /**
+     * Hide the restore preview
+     */
+    function _closePreview() {
+        _pendingBackup = null;
+        _elements.panel.classList.remove('active');
+        _elements.previewTable.innerHTML = '';
+        _elements.summary.textContent = '';
+    }
+    
+    /**
+     * Show what a backup will overwrite
+     * @param {Object} backup - Validated backup
+     */
+    function _showPreview(backup) {
+        _pendingBackup = backup;
+        
+        _elements.previewTable.innerHTML = '';
+        _buildPreviewRows(backup).forEach(row => {
+            _elements.previewTable.appendChild(window.UIFactory.createRestorePreviewRow(row));
+        });
+        
+        const created = new Date(backup.createdAt);
+        _elements.summary.textContent = isNaN(created.getTime()) ?
+            'Restoring replaces all of your current data:' :
+            `Backup from ${created.toLocaleString()}. Restoring replaces all of your current data:`;
+        _elements.confirmBtn.disabled = false;
+        _elements.panel.classList.add('active');
+    }
+    
+    /**
+     * Read and validate a backup file, then show the preview
+     * @param {File} file - Backup file
+     */
+    function _handleFile(file) {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            let backup;
+            try {
+                backup = JSON.parse(e.target.result);
+            } catch (error) {
+                alert('This file is not a valid backup.');
+                return;
+            }
+            
+            _validateBackup(backup).then(error => {
+                if (error) {
+                    alert(error);
+                    return;
+                }
+                _showPreview(backup);
+            });
+        };
+        reader.onerror = function() {
+            alert('Could not read that file.');
+        };
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Restore the previewed backup
+     */
+    function _confirmRestore() {
+        if (!_pendingBackup) return;
+        
+        const backup = _pendingBackup;
+        _elements.confirmBtn.disabled = true;
+        _elements.summary.textContent = 'Restoring...';
+        
+        _restoreBackup(backup)
+            .then(() => {
+                if (window.EventBus && typeof window.EventBus.publish === 'function') {
+                    window.EventBus.publish('backupRestored', {
+                        createdAt: backup.createdAt
+                    });
+                }
+                
+                alert('Backup restored. The game will now reload.');
+                window.location.reload();
+            })
+            .catch(() => {
+                _closePreview();
+                alert('The backup could not be restored. Your previous data has been kept.');
+            });
+    }
+    
+    /**
+     * Set up backup and restore controls
+     */
+    function _setupListeners() {
+        _elements.backupBtn.addEventListener('click', _downloadBackup);
+        
+        _elements.restoreBtn.addEventListener('click', () => {
+            _elements.fileInput.click();
+        });
+        
+        _elements.fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                _handleFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+        
+        _elements.confirmBtn.addEventListener('click', _confirmRestore);
+        _elements.cancelBtn.addEventListener('click', _closePreview);
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the backup manager
+         * @param {Object} elements - DOM elements
+         * @returns {Object} BackupManager for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.backupBtn || !_elements.restoreBtn || !_elements.fileInput ||
+                !_elements.panel || !_elements.summary || !_elements.previewTable ||
+                !_elements.confirmBtn || !_elements.cancelBtn) {
+                console.error('Missing required elements for backup and restore');
+                return this;
+            }
+            
+            _setupListeners();
+            return this;
+        },
+        
+        /**
+         * Create a backup of all game data
+         * @returns {Promise<Object>} Backup data
+         */
+        createBackup: function() {
+            return _createBackup();
+        },
+        
+        /**
+         * Check a backup before restoring it
+         * @param {Object} backup - Parsed backup file
+         * @returns {Promise<string|null>} Error message, or null if the backup is valid
+         */
+        validateBackup: function(backup) {
+            return _validateBackup(backup);
+        },
+        
+        /**
+         * Describe what restoring a backup would overwrite
+         * @param {Object} backup - Validated backup
+         * @returns {Array} Rows ({label, current, restored, changed})
+         */
+        previewRestore: function(backup) {
+            return _buildPreviewRows(backup);
+        },
+        
+        /**
+         * Validate and restore a backup
+         * Saved data is rolled back if anything fails
+         * @param {Object} backup - Parsed backup file
+         * @returns {Promise} Resolves when restored, rejects with the reason otherwise
+         */
+        restoreBackup: function(backup) {
+            return _validateBackup(backup).then(error => {
+                if (error) {
+                    throw new Error(error);
+                }
+                return _restoreBackup(backup);
+            });
+        }
+    };
+})();
+
+// Export the module
+window.BackupManager = BackupManager;
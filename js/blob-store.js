@@ -0,0 +1,239 @@
+/**
+ * Blob Store Module for Word Scramble Game
+ * Creates stores that keep files (images, recordings, sounds) as blobs in their
+ * own IndexedDB database, loaded into memory at startup so lookups stay synchronous
+ * Stored files are referenced with "<prefix><id>" instead of inline data URLs
+ */
+const BlobStore = (function() {
+    // Private methods
+    
+    /**
+     * Decode a data URL into a blob
+     * @param {string} dataUrl - Data URL (base64 or URL-encoded)
+     * @returns {Blob} Decoded blob
+     */
+    function _dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+        
+        if (!/;base64$/.test(header)) {
+            return new Blob([decodeURIComponent(data)], { type: mimeType });
+        }
+        
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+    
+    /**
+     * Read a blob as a data URL
+     * @param {Blob} blob - Blob to read
+     * @returns {Promise<string>} Data URL
+     */
+    function _blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+    
+    /**
+     * Create a blob store
+     * @param {Object} options - Store options
+     * @param {string} options.prefix - Reference prefix, e.g. 'idb:'
+     * @param {string} options.idPrefix - Start of generated IDs, e.g. 'img'
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {string} options.storeName - IndexedDB object store name
+     * @param {string} options.itemName - What is stored, for log messages, e.g. 'images'
+     * @param {Function} [options.prepareBlob] - Turns a blob into the blob to store (returns a Promise)
+     * @returns {Object} Blob store
+     */
+    function _createStore(options) {
+        const prepareBlob = options.prepareBlob || (blob => Promise.resolve(blob));
+        let _adapter = null;
+        let _readyPromise = null;
+        let _blobs = {};
+        let _objectUrls = {};
+        
+        /**
+         * Load every stored blob into memory
+         * @returns {Promise} Resolves when all blobs are loaded
+         */
+        function _loadAll() {
+            return _adapter.keys().then(ids => Promise.all(ids.map(id => _adapter.get(id).then(blob => {
+                _blobs[id] = blob;
+            }))));
+        }
+        
+        /**
+         * Generate a unique ID
+         * @returns {string} Blob ID
+         */
+        function _generateId() {
+            return `${options.idPrefix}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+        }
+        
+        /**
+         * Get the blob ID from a stored reference
+         * @param {string} ref - Reference
+         * @returns {string|null} Blob ID or null if not a stored reference
+         */
+        function _refToId(ref) {
+            return typeof ref === 'string' && ref.startsWith(options.prefix) ? ref.slice(options.prefix.length) : null;
+        }
+        
+        return {
+            /**
+             * Open the database and load the stored blobs
+             * @returns {Object} The store for chaining
+             */
+            init: function() {
+                if (_readyPromise) return this;
+                
+                const adapter = StorageAdapters.createIndexedDBAdapter(options.dbName, options.storeName);
+                
+                _readyPromise = adapter.isAvailable()
+                    .then(available => {
+                        if (!available) throw new Error('IndexedDB is not available');
+                        _adapter = adapter;
+                        return _loadAll();
+                    })
+                    .then(() => true)
+                    .catch(error => {
+                        // Without IndexedDB, files stay inline as data URLs
+                        console.warn(`Store for ${options.itemName} unavailable, keeping ${options.itemName} inline:`, error);
+                        _adapter = null;
+                        return false;
+                    });
+                
+                return this;
+            },
+            
+            /**
+             * Wait until the stored blobs are loaded
+             * @returns {Promise<boolean>} Resolves with whether IndexedDB is available
+             */
+            ready: function() {
+                if (!_readyPromise) this.init();
+                return _readyPromise;
+            },
+            
+            /**
+             * Check whether a value is a reference into this store
+             * @param {string} ref - Reference, URL or data URL
+             * @returns {boolean} Whether the value points into the store
+             */
+            isStored: function(ref) {
+                return _refToId(ref) !== null;
+            },
+            
+            /**
+             * Resolve a reference to a URL that can be loaded
+             * Plain URLs and data URLs are returned unchanged
+             * @param {string} ref - Reference, URL or data URL
+             * @returns {string|null} URL or null if not loaded
+             */
+            getUrl: function(ref) {
+                const id = _refToId(ref);
+                if (id === null) return ref || null;
+                
+                if (!_objectUrls[id] && _blobs[id]) {
+                    _objectUrls[id] = URL.createObjectURL(_blobs[id]);
+                }
+                return _objectUrls[id] || null;
+            },
+            
+            /**
+             * Get the blob for a reference or inline data URL
+             * @param {string} ref - Reference or data URL
+             * @returns {Blob|null} Blob or null if missing
+             */
+            getBlob: function(ref) {
+                const id = _refToId(ref);
+                if (id !== null) return _blobs[id] || null;
+                return typeof ref === 'string' && ref.startsWith('data:') ? _dataUrlToBlob(ref) : null;
+            },
+            
+            /**
+             * Get a file as a data URL (for exporting)
+             * @param {string} ref - Reference, URL or data URL
+             * @returns {Promise<string|null>} Data URL, the original URL, or null if missing
+             */
+            toDataUrl: function(ref) {
+                const id = _refToId(ref);
+                if (id === null) return Promise.resolve(ref || null);
+                if (!_blobs[id]) return Promise.resolve(null);
+                return _blobToDataUrl(_blobs[id]);
+            },
+            
+            /**
+             * Store a blob
+             * @param {Blob} blob - File or blob
+             * @returns {Promise<string>} Reference, or a data URL if IndexedDB is unavailable
+             */
+            store: function(blob) {
+                return this.ready()
+                    .then(() => prepareBlob(blob))
+                    .then(prepared => {
+                        if (!_adapter) return _blobToDataUrl(prepared);
+                        
+                        const id = _generateId();
+                        return _adapter.set(id, prepared).then(() => {
+                            _blobs[id] = prepared;
+                            return options.prefix + id;
+                        });
+                    });
+            },
+            
+            /**
+             * Move an inline data URL into the store
+             * @param {string} dataUrl - Data URL
+             * @returns {Promise<string>} Reference, or the data URL if it cannot be stored
+             */
+            storeDataUrl: function(dataUrl) {
+                return this.ready().then(available => {
+                    if (!available) return dataUrl;
+                    return this.store(_dataUrlToBlob(dataUrl));
+                });
+            },
+            
+            /**
+             * Delete stored blobs that are no longer referenced
+             * @param {Array} refsInUse - References still in use
+             * @returns {Promise<number>} Number of blobs deleted
+             */
+            deleteUnused: function(refsInUse) {
+                return this.ready().then(available => {
+                    if (!available) return 0;
+                    
+                    const used = new Set(refsInUse.map(_refToId).filter(id => id !== null));
+                    const unused = Object.keys(_blobs).filter(id => !used.has(id));
+                    if (unused.length === 0) return 0;
+                    
+                    return Promise.all(unused.map(id => _adapter.remove(id).then(() => {
+                        delete _blobs[id];
+                        if (_objectUrls[id]) {
+                            URL.revokeObjectURL(_objectUrls[id]);
+                            delete _objectUrls[id];
+                        }
+                    }))).then(() => unused.length);
+                });
+            }
+        };
+    }
+    
+    // Public API
+    return {
+        create: _createStore,
+        dataUrlToBlob: _dataUrlToBlob,
+        blobToDataUrl: _blobToDataUrl
+    };
+})();
+
+// Export the module
+window.BlobStore = BlobStore;
@@ -8,25 +8,79 @@ const GameConfig = (function() {
         // Game settings
         scoreIncrement: {
             withoutHint: 10,
-            withHint: 5
+            // Least a solve can score, however many hints were used
+            minimum: 1
+        },
+        
+        // Hint ladder: each press of Hint takes the next step, taking more points off
+        // the solve each time. Steps: 'image' (show the picture), 'pronounce',
+        // 'letter' (place the next unsolved letter), 'lastLetter', 'definition'.
+        // Steps that cannot help (e.g. no definition) are passed over for free
+        hintLadder: [
+            { step: 'image', cost: 1 },
+            { step: 'pronounce', cost: 1 },
+            { step: 'letter', cost: 2 },
+            { step: 'lastLetter', cost: 2 },
+            { step: 'definition', cost: 3 }
+        ],
+        
+        // Streaks: each run of this many hint-free solves in a row raises the
+        // score multiplier by one, up to the maximum
+        streak: {
+            solvesPerStep: 3,
+            maxMultiplier: 5
         },
         
         // Timing settings
         celebrationDuration: 3000, // 3 seconds
+        celebrationDetailsDuration: 7000, // longer so the meaning can be read
         
-        // Sound URLs
+        // Sound effects, synthesized with the Web Audio API so they work offline
+        // Each sound is a list of parts, timed in seconds from the start:
+        //   tones: {wave, frequency, endFrequency, start, duration, volume}
+        //   noise: {noise: true, filterFrequency, start, duration, volume}
         sounds: {
-            correct: "https://assets.mixkit.co/sfx/preview/mixkit-fairy-arcade-sparkle-866.mp3",
-            wrong: "https://assets.mixkit.co/sfx/preview/mixkit-wrong-answer-fail-notification-946.mp3",
-            drag: "https://assets.mixkit.co/sfx/preview/mixkit-plastic-bubble-click-1124.mp3",
-            hint: "https://assets.mixkit.co/sfx/preview/mixkit-bell-notification-933.mp3",
-            clapping: "https://assets.mixkit.co/sfx/preview/mixkit-small-crowd-ovation-437.mp3",
-            whistle: "https://assets.mixkit.co/sfx/preview/mixkit-referee-whistle-blow-2317.mp3"
+            correct: [
+                { wave: 'triangle', frequency: 1047, start: 0, duration: 0.12, volume: 0.3 },
+                { wave: 'triangle', frequency: 1319, start: 0.07, duration: 0.12, volume: 0.3 },
+                { wave: 'triangle', frequency: 1568, start: 0.14, duration: 0.12, volume: 0.3 },
+                { wave: 'sine', frequency: 2093, start: 0.21, duration: 0.3, volume: 0.25 }
+            ],
+            wrong: [
+                { wave: 'sawtooth', frequency: 220, endFrequency: 196, start: 0, duration: 0.18, volume: 0.15 },
+                { wave: 'sawtooth', frequency: 185, endFrequency: 130, start: 0.2, duration: 0.3, volume: 0.15 }
+            ],
+            drag: [
+                { wave: 'sine', frequency: 500, endFrequency: 900, start: 0, duration: 0.07, volume: 0.3 }
+            ],
+            hint: [
+                { wave: 'sine', frequency: 1320, start: 0, duration: 0.8, volume: 0.3 },
+                { wave: 'sine', frequency: 2640, start: 0, duration: 0.4, volume: 0.1 }
+            ],
+            clapping: [0, 0.13, 0.22, 0.36, 0.45, 0.58, 0.66, 0.8, 0.9, 1.04, 1.12, 1.26].map((start, i) => ({
+                noise: true, filterFrequency: 1200 + (i % 3) * 400, start, duration: 0.06, volume: 0.5
+            })),
+            whistle: [
+                { wave: 'sine', frequency: 2200, endFrequency: 2500, start: 0, duration: 0.15, volume: 0.2 },
+                { wave: 'sine', frequency: 2500, endFrequency: 2300, start: 0.17, duration: 0.35, volume: 0.2 }
+            ]
+        },
+        
+        // Replacement sound files chosen in the settings (included in backups)
+        customSoundFiles: {
+            maxKilobytes: 300
+        },
+        
+        // IndexedDB database for replacement sound files
+        soundStore: {
+            dbName: 'wordScrambleSounds',
+            storeName: 'sounds'
         },
         
         // API endpoints
+        // ({lang} and {text} are filled in by the online speech provider)
         apis: {
-            textToSpeech: "https://translate.google.com/translate_tts?ie=UTF-8&client=tw-ob&tl=en&q="
+            textToSpeech: "https://translate.google.com/translate_tts?ie=UTF-8&client=tw-ob&tl={lang}&q={text}"
         },
         
         // Default words
@@ -68,13 +122,190 @@ const GameConfig = (function() {
             "zebra": "https://images.unsplash.com/photo-1526095179574-86e545346ae6?w=300"
         },
         
-        // Local storage keys
+        // Optional learning details that can be stored with each word
+        wordDetailFields: [
+            { key: 'definition', label: 'Definition', multiline: true },
+            { key: 'example', label: 'Example sentence', multiline: true },
+            { key: 'partOfSpeech', label: 'Part of speech', multiline: false },
+            { key: 'translation', label: 'Translation', multiline: false },
+            { key: 'notes', label: 'Notes', multiline: true }
+        ],
+        
+        // Uploaded images are downscaled before they are stored
+        images: {
+            maxSize: 600, // longest side in pixels
+            quality: 0.8,
+            types: ['image/webp', 'image/jpeg']
+        },
+        
+        // IndexedDB database for uploaded images
+        imageStore: {
+            dbName: 'wordScrambleImages',
+            storeName: 'images'
+        },
+        
+        // Recorded pronunciations: the longest clip, and the formats to record in
+        // (the first one the browser supports is used)
+        recordings: {
+            maxSeconds: 5,
+            types: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+        },
+        
+        // IndexedDB database for recorded pronunciations
+        recordingStore: {
+            dbName: 'wordScrambleRecordings',
+            storeName: 'recordings'
+        },
+        
+        // Portable deck file settings
+        deckFile: {
+            type: 'word-scramble-deck',
+            version: 1,
+            extension: '.deck.json'
+        },
+        
+        // Full backup file settings
+        backupFile: {
+            type: 'word-scramble-backup',
+            version: 1,
+            extension: '.backup.json'
+        },
+        
+        // Spaced repetition: each Leitner box sets how long (ms) until a word comes back.
+        // Clean answers move a word up a box, hints, wrong tries or slow answers move it
+        // down one, and skipping sends it back to the first box
+        scheduler: {
+            boxIntervals: [
+                60 * 1000,                  // 1 minute
+                10 * 60 * 1000,             // 10 minutes
+                24 * 60 * 60 * 1000,        // 1 day
+                3 * 24 * 60 * 60 * 1000,    // 3 days
+                7 * 24 * 60 * 60 * 1000,    // 1 week
+                21 * 24 * 60 * 60 * 1000    // 3 weeks
+            ],
+            slowSecondsPerLetter: 10
+        },
+        
+        // Timed challenge: round lengths (seconds) to choose from, time added for
+        // each answer without a hint, and when the countdown turns red
+        timedChallenge: {
+            durations: [60, 120, 300],
+            timeBonusSeconds: 5,
+            warningSeconds: 10
+        },
+        
+        // Lessons: how many words a lesson can have, and the share of points needed for
+        // each star (a first-try solve is worth a point, a solve with help half a point)
+        lesson: {
+            lengths: [5, 10, 15],
+            starThresholds: [0.5, 0.75, 0.9]
+        },
+        
+        // Survival: lives at the start of a game (a wrong check costs one)
+        survival: {
+            lives: 3
+        },
+        
+        // How letters are placed: 'drag' or 'tap' (tapping a tile moves it; each
+        // learner can choose in the game settings)
+        inputMode: 'drag',
+        
+        // Keys for playing with the keyboard (letters typed go into the answer)
+        keyboardShortcuts: {
+            check: 'Enter',
+            hint: '?',
+            pronounce: '!',
+            next: '>'
+        },
+        
+        // Spoken words: the device's own voices (Web Speech API) are used, with the
+        // online voice at apis.textToSpeech only as a fallback if it is allowed
+        // (defaults for learners who have not changed the settings)
+        speech: {
+            lang: 'en-US',
+            voice: '',           // voiceURI of the chosen voice ('' picks one for the language)
+            rate: 0.9,
+            pitch: 1,
+            remoteFallback: false,
+            sampleText: 'Hello! This is how the words will sound.'
+        },
+        
+        // Volume of each audio channel from 0 (silent) to 1 (full), scaled by the
+        // master volume, and whether all sound is muted (defaults for learners who
+        // have not changed the settings)
+        audio: {
+            master: 1,
+            effects: 0.8,
+            celebration: 0.8,
+            speech: 1,
+            muted: false
+        },
+        
+        // Letter feedback after a wrong answer, and whether correctly placed tiles
+        // are locked (defaults for learners who have not changed the settings)
+        letterFeedback: {
+            enabled: false,
+            lockCorrect: false
+        },
+        
+        // Progress statistics: when a word counts as mastered or struggling,
+        // and how long a break (minutes) ends a play session
+        stats: {
+            masteredMinCorrect: 3,
+            masteredAccuracy: 0.8,
+            strugglingMinAttempts: 2,
+            strugglingAccuracy: 0.5,
+            sessionGapMinutes: 30,
+            maxSessions: 50
+        },
+        
+        // Number of days shown in the progress dashboard charts
+        dashboardDays: 14,
+        
+        // Name given to the deck created from a pre-deck word list
+        defaultDeckName: 'My Words',
+        
+        // Where game data is saved: 'indexedDB', 'localStorage' or 'memory'
+        // Unavailable backends fall back to localStorage, then memory
+        storageBackend: 'indexedDB',
+        
+        // Largest copy of the old data kept when saved data is upgraded (inline
+        // images and recordings are left out of it); bigger copies are skipped
+        migrationBackupMaxKilobytes: 1024,
+        
+        // IndexedDB database used by the indexedDB storage backend
+        dataStore: {
+            dbName: 'wordScrambleData',
+            storeName: 'keyval'
+        },
+        
+        // Storage keys
         storage: {
             words: 'gameWords',
             wordImages: 'gameWordImages',
-            score: 'gameScore'
+            score: 'gameScore',
+            decks: 'gameDecks',
+            activeDeck: 'gameActiveDeck',
+            profiles: 'gameProfiles',
+            activeProfile: 'gameActiveProfile',
+            wordHistory: 'gameWordHistory',
+            preferences: 'gamePreferences',
+            schedule: 'gameSchedule',
+            dailyStats: 'gameDailyStats',
+            sessions: 'gameSessions',
+            customSounds: 'gameCustomSounds',
+            schemaVersion: 'gameSchemaVersion',
+            migrationBackup: 'gameMigrationBackup'
         },
         
+        // Storage keys kept separately for each learner profile (saved as "<key>:<profileId>")
+        profileStorage: ['score', 'wordHistory', 'preferences', 'schedule', 'dailyStats', 'sessions'],
+        
+        // Learner profiles
+        defaultProfileId: 'default',
+        defaultProfileName: 'Player 1',
+        profileAvatars: ['🦊', '🐼', '🐯', '🐸', '🦄', '🐙', '🐵', '🐧', '🦁', '🐨'],
+        
         // Congratulatory messages for celebrations
         congratsMessages: {
             headings: [
@@ -7,6 +7,8 @@
 const GameController = (function() {
     // Private state is minimized since GameState now manages state
     let _initialized = false;
+    // Whether the word on screen has been solved (a word left unsolved ends the streak)
+    let _wordSolved = false;
     
     // Private methods
     
@@ -32,16 +34,22 @@ const GameController = (function() {
             window.AudioService.playSound('correct');
             window.AudioService.pronounceWord();
             
-            // Update score based on hint usage
-            const scoreIncrement = gameState.hintUsed ? 
-                window.GameConfig.get('scoreIncrement').withHint : 
-                window.GameConfig.get('scoreIncrement').withoutHint;
+            // Update score based on the hints taken
+            const scoreSettings = window.GameConfig.get('scoreIncrement');
+            const scoreIncrement = Math.max(scoreSettings.minimum, scoreSettings.withoutHint - gameState.hintCost);
             
-            const newScore = gameState.score + scoreIncrement;
+            // Hint-free solves in a row build a streak that multiplies the score
+            const streak = gameState.hintLevel > 0 ? 0 : gameState.streak + 1;
+            const multiplier = _getMultiplier(streak);
+            const points = scoreIncrement * multiplier;
+            const newScore = gameState.score + points;
+            _wordSolved = true;
             
             // Update game state
             window.GameState.update({
-                score: newScore
+                score: newScore,
+                streak,
+                multiplier
             });
             
             // Save score to storage
@@ -62,7 +70,10 @@ const GameController = (function() {
             // Publish correct answer event
             window.EventBus.publish('answerCorrect', {
                 word: gameState.currentWord,
-                score: newScore
+                score: newScore,
+                points,
+                streak,
+                multiplier
             });
             
             // Show celebration after a short delay
@@ -72,6 +83,7 @@ const GameController = (function() {
         } else {
             // Incorrect answer
             window.AudioService.playSound('wrong');
+            _resetStreak();
             
             // Visual feedback for incorrect answer
             const dropArea = document.getElementById('drop-area');
@@ -80,28 +92,77 @@ const GameController = (function() {
                 dropArea.classList.remove('shake');
             }, 500);
             
-            // Publish incorrect answer event
+            // Publish incorrect answer event with how each placed letter compares
             window.EventBus.publish('answerIncorrect', {
                 userAnswer,
-                correctWord: gameState.currentWord
+                correctWord: gameState.currentWord,
+                letterResults: _compareLetters(letterBoxes, gameState.currentWord)
             });
         }
     }
     
+    /**
+     * Compare the placed letters with the word, position by position (as in Wordle)
+     * A misplaced letter is only marked 'present' as many times as the word has it left over
+     * @param {Array} letterBoxes - Letter box elements in order
+     * @param {string} word - The correct word
+     * @returns {Array} 'correct', 'present', 'absent' or 'empty' for each box
+     */
+    function _compareLetters(letterBoxes, word) {
+        const target = word.toLowerCase().split('');
+        const placed = letterBoxes.map(box => {
+            const letterTile = box.querySelector('.letter-tile');
+            return letterTile ? letterTile.textContent.trim().toLowerCase() : '';
+        });
+        
+        // Letters of the word not matched in their own position
+        const leftOver = {};
+        const results = placed.map((letter, index) => {
+            if (letter && letter === target[index]) return 'correct';
+            leftOver[target[index]] = (leftOver[target[index]] || 0) + 1;
+            return letter ? null : 'empty';
+        });
+        
+        return results.map((result, index) => {
+            if (result) return result;
+            
+            const letter = placed[index];
+            if (leftOver[letter] > 0) {
+                leftOver[letter]--;
+                return 'present';
+            }
+            return 'absent';
+        });
+    }
+    
     /**
      * Show celebration and prepare for next word
      */
     function _showCelebration() {
         const celebrationElement = document.getElementById('celebration-element');
         
+        // Show what the solved word means, if the word has details
+        const hasDetails = _showWordDetails();
+        const duration = hasDetails ?
+            window.GameConfig.get('celebrationDetailsDuration') :
+            window.GameConfig.get('celebrationDuration');
+        
         // Show celebration animation
         if (celebrationElement) {
+            celebrationElement.classList.toggle('has-details', hasDetails);
+            celebrationElement.style.animationDuration = hasDetails ? `${duration}ms` : '';
             celebrationElement.classList.add('show');
         }
         
         // Play celebration sound
         window.AudioService.playCelebration();
         
+        // The celebration does not take focus, so it is announced instead
+        window.EventBus.publish('celebrationShown', {
+            word: window.GameState.get('currentWord'),
+            hasDetails
+        });
+        
         // Reset the celebration after the animation completes
         setTimeout(() => {
             if (celebrationElement) {
@@ -112,7 +173,108 @@ const GameController = (function() {
             setTimeout(() => {
                 window.WordController.loadNextWord();
             }, 500);
-        }, window.GameConfig.get('celebrationDuration') || 2000);
+        }, duration || 2000);
+    }
+    
+    /**
+     * Fill the celebration with the solved word and its learning details
+     * @returns {boolean} Whether any details were shown
+     */
+    function _showWordDetails() {
+        const word = window.GameState.get('currentWord');
+        
+        const wordElement = document.getElementById('celebration-word');
+        if (wordElement) {
+            wordElement.textContent = word;
+        }
+        
+        let details = null;
+        if (window.WordManager && typeof window.WordManager.getWordDetails === 'function') {
+            details = window.WordManager.getWordDetails(word);
+        }
+        
+        return window.UIFactory.renderWordDetails(
+            document.getElementById('celebration-details'),
+            details
+        );
+    }
+    
+    /**
+     * Show the score in the score display
+     * @param {number} score - Score to show
+     */
+    function _updateScoreDisplay(score) {
+        const scoreElement = document.getElementById('score');
+        if (scoreElement) {
+            scoreElement.textContent = score;
+        }
+    }
+    
+    /**
+     * Work out the score multiplier for a streak
+     * @param {number} streak - Hint-free solves in a row
+     * @returns {number} Multiplier (1 with no streak)
+     */
+    function _getMultiplier(streak) {
+        const settings = window.GameConfig.get('streak');
+        return Math.min(1 + Math.floor(streak / settings.solvesPerStep), settings.maxMultiplier);
+    }
+    
+    /**
+     * End the current streak
+     */
+    function _resetStreak() {
+        window.GameState.update({
+            streak: 0,
+            multiplier: 1
+        });
+    }
+    
+    /**
+     * Show the streak and multiplier in the score display
+     */
+    function _updateStreakDisplay() {
+        const streakElement = document.getElementById('streak-display');
+        if (!streakElement) return;
+        
+        const streak = window.GameState.get('streak');
+        const multiplier = window.GameState.get('multiplier');
+        
+        const countElement = document.getElementById('streak-count');
+        if (countElement) {
+            countElement.textContent = streak;
+        }
+        
+        const multiplierElement = document.getElementById('multiplier-display');
+        if (multiplierElement) {
+            multiplierElement.textContent = `×${multiplier}`;
+            multiplierElement.classList.toggle('boosted', multiplier > 1);
+        }
+        
+        streakElement.classList.toggle('active', streak > 0);
+    }
+    
+    /**
+     * Load the active profile's saved score
+     */
+    function _loadScore() {
+        const score = window.StorageService.getScore();
+        window.GameState.update({
+            score: score
+        });
+        _updateScoreDisplay(score);
+    }
+    
+    /**
+     * Check the answer once every letter box holds a tile
+     * Placement handlers publish allLettersPlaced after every drop, so partly
+     * filled answers are ignored here rather than counted as wrong
+     */
+    function _checkCompleteAnswer() {
+        const letterBoxes = Array.from(document.querySelectorAll('.letter-box'));
+        if (letterBoxes.length > 0 && letterBoxes.every(box => box.querySelector('.letter-tile'))) {
+            _checkAnswer();
+        }
     }
     
     /**
@@ -120,9 +282,31 @@ const GameController = (function() {
      */
     function _setupEventListeners() {
         // Subscribe to relevant events
-        window.EventBus.subscribe('allLettersPlaced', _checkAnswer);
+        window.EventBus.subscribe('allLettersPlaced', _checkCompleteAnswer);
         window.EventBus.subscribe('checkButtonClicked', _checkAnswer);
         
+        // Keep the score display current and per learner
+        window.EventBus.subscribe('stateChanged', (data) => {
+            if (data && data.changes && data.changes.score) {
+                _updateScoreDisplay(data.changes.score.newValue);
+            }
+            if (data && data.changes && (data.changes.streak || data.changes.multiplier)) {
+                _updateStreakDisplay();
+            }
+        });
+        window.EventBus.subscribe('profileChanged', () => {
+            _resetStreak();
+            _loadScore();
+        });
+        
+        // Moving on from a word without solving it ends the streak
+        window.EventBus.subscribe('wordLoaded', () => {
+            if (!_wordSolved && window.GameState.get('streak') > 0) {
+                _resetStreak();
+            }
+            _wordSolved = false;
+        });
+        
         // Set up button click handlers
         const buttons = {
             checkBtn: document.getElementById('check-btn'),
@@ -192,6 +376,9 @@ const GameController = (function() {
                 // Set up event listeners
                 _setupEventListeners();
                 
+                // Continue from the active profile's score
+                _loadScore();
+                
                 // Publish game initialized event
                 window.EventBus.publish('gameInitialized', null);
                 
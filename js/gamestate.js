@@ -9,8 +9,13 @@ const GameState = (function() {
         scrambledWord: '',
         currentImageUrl: '',
         score: 0,
-        hintUsed: false,
-        availableWords: []
+        hintLevel: 0,
+        hintCost: 0,
+        availableWords: [],
+        gameMode: 'practice',
+        streak: 0,
+        multiplier: 1,
+        lives: null
     };
     
     // Private methods
@@ -134,8 +139,13 @@ const GameState = (function() {
                 scrambledWord: '',
                 currentImageUrl: '',
                 score: 0,
-                hintUsed: false,
-                availableWords: []
+                hintLevel: 0,
+                hintCost: 0,
+                availableWords: [],
+                gameMode: 'practice',
+                streak: 0,
+                multiplier: 1,
+                lives: null
             };
             
             // Notify about reset
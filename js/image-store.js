@@ -0,0 +1,163 @@
+/**
+ * Image Store Module for Word Scramble Game
+ * Downscales uploaded images and keeps them as blobs in IndexedDB (see BlobStore)
+ * Words reference stored images with "idb:<id>" instead of inline data URLs
+ */
+const ImageStore = (function() {
+    // Private methods
+    
+    /**
+     * Encode a canvas as a blob in the first supported type
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @param {Array} types - MIME types in order of preference
+     * @param {number} quality - Encoder quality (0-1)
+     * @returns {Promise<Blob|null>} Encoded blob or null
+     */
+    function _canvasToBlob(canvas, types, quality) {
+        if (types.length === 0) {
+            return Promise.resolve(null);
+        }
+        
+        return new Promise(resolve => {
+            canvas.toBlob(blob => resolve(blob), types[0], quality);
+        }).then(blob => {
+            // Browsers fall back to PNG for types they cannot encode
+            if (blob && blob.type === types[0]) {
+                return blob;
+            }
+            return _canvasToBlob(canvas, types.slice(1), quality);
+        });
+    }
+    
+    /**
+     * Downscale and compress an image
+     * Returns the original blob if it cannot be decoded or is already smaller
+     * @param {Blob} blob - Image blob
+     * @returns {Promise<Blob>} Resized image
+     */
+    function _resizeImage(blob) {
+        const settings = GameConfig.get('images');
+        
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                
+                const scale = Math.min(1, settings.maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+                
+                const context = canvas.getContext('2d');
+                if (!context) {
+                    resolve(blob);
+                    return;
+                }
+                
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                _canvasToBlob(canvas, settings.types, settings.quality).then(resized => {
+                    // Keep the original only if it is already small and compresses no better
+                    resolve(resized && (scale < 1 || resized.size < blob.size) ? resized : blob);
+                });
+            };
+            
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                console.warn('Could not decode image for resizing, storing it unchanged');
+                resolve(blob);
+            };
+            
+            image.src = url;
+        });
+    }
+    
+    // Stored images, resized on the way in
+    const _store = BlobStore.create({
+        prefix: 'idb:',
+        idPrefix: 'img',
+        dbName: GameConfig.get('imageStore').dbName,
+        storeName: GameConfig.get('imageStore').storeName,
+        itemName: 'images',
+        prepareBlob: _resizeImage
+    });
+    
+    // Public API
+    return {
+        /**
+         * Open the image database and load stored images
+         * @returns {Object} ImageStore for chaining
+         */
+        init: function() {
+            _store.init();
+            return this;
+        },
+        
+        /**
+         * Wait until stored images are loaded
+         * @returns {Promise<boolean>} Resolves with whether IndexedDB is available
+         */
+        ready: function() {
+            return _store.ready();
+        },
+        
+        /**
+         * Check whether a value is a stored image reference
+         * @param {string} ref - Image reference or URL
+         * @returns {boolean} Whether the value points into the image store
+         */
+        isStoredImage: function(ref) {
+            return _store.isStored(ref);
+        },
+        
+        /**
+         * Resolve an image reference to a displayable URL
+         * Plain URLs are returned unchanged
+         * @param {string} ref - Image reference or URL
+         * @returns {string|null} Displayable URL or null if not loaded
+         */
+        getUrl: function(ref) {
+            return _store.getUrl(ref);
+        },
+        
+        /**
+         * Get an image as a data URL (for exporting)
+         * @param {string} ref - Image reference or URL
+         * @returns {Promise<string|null>} Data URL, the original URL, or null if missing
+         */
+        toDataUrl: function(ref) {
+            return _store.toDataUrl(ref);
+        },
+        
+        /**
+         * Resize and store an uploaded image
+         * @param {Blob} file - Image file or blob
+         * @returns {Promise<string>} Image reference, or a data URL if IndexedDB is unavailable
+         */
+        storeImage: function(file) {
+            return _store.store(file);
+        },
+        
+        /**
+         * Move an inline data URL image into the store
+         * @param {string} dataUrl - Data URL
+         * @returns {Promise<string>} Image reference, or the data URL if it cannot be stored
+         */
+        storeDataUrl: function(dataUrl) {
+            return _store.storeDataUrl(dataUrl);
+        },
+        
+        /**
+         * Delete stored images that are no longer referenced
+         * @param {Array} refsInUse - Image references still in use
+         * @returns {Promise<number>} Number of images deleted
+         */
+        deleteUnused: function(refsInUse) {
+            return _store.deleteUnused(refsInUse);
+        }
+    };
+})();
+
+// Export the module
+window.ImageStore = ImageStore;
@@ -1,17 +1,29 @@
 /**
  * InputManager Module for Word Scramble Game
- * Unified handling of mouse and touch interactions
+ * The one drag engine for letter tiles: built on Pointer Events, so mouse,
+ * touch and pen drags all work the same way, and also handles tap-to-place
  */
 const InputManager = (function() {
     // Private state
+    let _initialized = false;
     let _draggingItem = null;
     let _dragTileClone = null;
     let _originalPosition = null;
     let _isTouchDevice = false;
+    // The pointer that pressed the tile, where it pressed, and whether it has moved far enough to drag
+    let _pointerId = null;
+    let _startPoint = null;
+    let _dragStarted = false;
+    // Tap-to-place mode: tapping a tile moves it instead of dragging
+    let _tapMode = false;
     
     // DOM elements
     let _dropArea = null;
     let _scrambledWordArea = null;
+    let _modeSelect = null;
+    
+    // Distance in pixels a pressed tile has to move before it is dragged
+    const _dragThreshold = 5;
     
     // Private methods
     
@@ -20,335 +32,284 @@ const InputManager = (function() {
      * @returns {boolean} Whether device supports touch
      */
     function _detectTouchSupport() {
-        return 'ontouchstart' in window || 
-               navigator.maxTouchPoints > 0 || 
+        return 'ontouchstart' in window ||
+               navigator.maxTouchPoints > 0 ||
                navigator.msMaxTouchPoints > 0;
     }
     
     /**
-     * Handle start of drag operation (mouse)
-     * @param {DragEvent} e - Drag start event
+     * Get the name of the area a tile is in, for event data
+     * @param {HTMLElement} tile - Letter tile
+     * @returns {string} 'letter-box' or 'scrambled-word'
      */
-    function _handleDragStart(e) {
-        _draggingItem = e.target;
-        e.dataTransfer.setData('text/plain', e.target.id);
-        e.target.classList.add('dragging');
-        
-        // Record original position
-        _originalPosition = {
-            parent: e.target.parentElement,
-            nextSibling: e.target.nextElementSibling
-        };
-        
-        // Create a better drag image
-        const dragImage = e.target.cloneNode(true);
-        dragImage.style.width = '50px';
-        dragImage.style.height = '50px';
-        dragImage.style.opacity = '0.9';
-        dragImage.style.position = 'absolute';
-        dragImage.style.top = '-1000px';
-        document.body.appendChild(dragImage);
-        
-        // Set custom drag image
-        e.dataTransfer.setDragImage(dragImage, 25, 25);
-        
-        // Remove temporary element after delay
-        setTimeout(() => {
-            document.body.removeChild(dragImage);
-        }, 0);
-        
-        // Play drag sound
-        window.AudioService.playSound('drag');
-        
-        // Publish drag start event
-        window.EventBus.publish('dragStart', {
-            element: e.target,
-            id: e.target.id,
-            sourceContainer: e.target.closest('.letter-box') ? 'letter-box' : 'scrambled-word'
-        });
+    function _getSourceContainer(tile) {
+        return tile.closest('.letter-box') ? 'letter-box' : 'scrambled-word';
     }
     
     /**
-     * Handle end of drag operation (mouse)
-     * @param {DragEvent} e - Drag end event
+     * Handle a pointer pressing a tile
+     * The drag only starts once the pointer moves, so a press without moving stays a click
+     * @param {PointerEvent} e - Pointer down event
      */
-    function _handleDragEnd(e) {
-        e.target.classList.remove('dragging');
-        _draggingItem = null;
+    function _handlePointerDown(e) {
+        // Only one tile is dragged at a time, with the main mouse button, a finger or a pen
+        if (_draggingItem || e.button !== 0) return;
         
-        // Publish drag end event
-        window.EventBus.publish('dragEnd', {
-            element: e.target,
-            id: e.target.id
-        });
-    }
-    
-    /**
-     * Handle touch start event
-     * @param {TouchEvent} e - Touch start event
-     */
-    function _handleTouchStart(e) {
-        // Prevent default to avoid scrolling while dragging
-        e.preventDefault();
+        // Taps are left to become clicks in tap-to-place mode
+        if (_tapMode) return;
         
-        const touch = e.touches[0];
-        const target = document.elementFromPoint(touch.clientX, touch.clientY);
+        const tile = e.target.closest('.letter-tile');
         
-        if (!target || !target.classList.contains('letter-tile')) return;
+        // Tiles locked in place by letter feedback cannot be moved
+        if (!tile || tile.classList.contains('locked')) return;
         
-        _draggingItem = target;
-        _draggingItem.classList.add('dragging');
+        // Keep the browser from selecting text or starting its own drag
+        e.preventDefault();
+        
+        _draggingItem = tile;
+        _pointerId = e.pointerId;
+        _startPoint = { x: e.clientX, y: e.clientY };
+        _dragStarted = false;
         
         // Save original position for reference
         _originalPosition = {
-            parent: _draggingItem.parentElement,
-            nextSibling: _draggingItem.nextElementSibling
+            parent: tile.parentElement,
+            nextSibling: tile.nextElementSibling
         };
         
-        // Get touch position
-        const startX = touch.clientX;
-        const startY = touch.clientY;
+        document.addEventListener('pointermove', _handlePointerMove);
+        document.addEventListener('pointerup', _handlePointerUp);
+        document.addEventListener('pointercancel', _handlePointerCancel);
+    }
+    
+    /**
+     * Start dragging the pressed tile
+     * @param {PointerEvent} e - The pointer move that started the drag
+     */
+    function _startDrag(e) {
+        _dragStarted = true;
+        _draggingItem.classList.add('dragging');
         
-        // Calculate offset from the tile center for more accurate positioning
+        // Create a clone that follows the pointer
         const rect = _draggingItem.getBoundingClientRect();
-        const offsetX = startX - (rect.left + rect.width / 2);
-        const offsetY = startY - (rect.top + rect.height / 2);
-        
-        // Create a clone for visual feedback
         _dragTileClone = _draggingItem.cloneNode(true);
-        _dragTileClone.classList.add('touch-clone');
+        _dragTileClone.removeAttribute('id');
+        _dragTileClone.classList.add('drag-clone');
         _dragTileClone.style.width = `${rect.width}px`;
         _dragTileClone.style.height = `${rect.height}px`;
-        
-        // Position at the touch point
-        _positionCloneAtTouch(touch);
-        
         document.body.appendChild(_dragTileClone);
         
-        // Make the original semi-transparent to indicate it's being dragged
-        _draggingItem.style.opacity = '0.4';
-        
         // Play drag sound
         window.AudioService.playSound('drag');
         
-        // Publish touch start event
-        window.EventBus.publish('touchDragStart', {
+        // Publish drag start event
+        window.EventBus.publish('dragStart', {
             element: _draggingItem,
             id: _draggingItem.id,
-            touch: {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            },
-            sourceContainer: _draggingItem.closest('.letter-box') ? 'letter-box' : 'scrambled-word'
+            pointerType: e.pointerType,
+            sourceContainer: _getSourceContainer(_draggingItem)
         });
     }
     
     /**
-     * Handle touch move event
-     * @param {TouchEvent} e - Touch move event
+     * Handle the pointer moving, dragging the tile once it has moved far enough
+     * @param {PointerEvent} e - Pointer move event
      */
-    function _handleTouchMove(e) {
-        if (!_draggingItem || !_dragTileClone) return;
-        
-        e.preventDefault(); // Prevent scrolling
-        
-        const touch = e.touches[0];
+    function _handlePointerMove(e) {
+        if (!_draggingItem || e.pointerId !== _pointerId) return;
         
-        // Move the clone with the touch
-        _positionCloneAtTouch(touch);
+        if (!_dragStarted) {
+            const distance = Math.hypot(e.clientX - _startPoint.x, e.clientY - _startPoint.y);
+            if (distance < _dragThreshold) return;
+            _startDrag(e);
+        }
         
-        // Identify potential drop targets
-        const elementUnderTouch = document.elementFromPoint(touch.clientX, touch.clientY);
+        e.preventDefault();
         
-        // Remove highlight from all potential drop targets
-        document.querySelectorAll('.drag-over, .drag-highlight').forEach(el => {
-            el.classList.remove('drag-over');
-            el.classList.remove('drag-highlight');
-        });
+        // Move the clone with the pointer
+        _positionCloneAtPoint(e.clientX, e.clientY);
         
-        // Highlight the potential drop target
-        const dropTarget = _findDropTarget(elementUnderTouch);
-        if (dropTarget) {
-            dropTarget.classList.add('drag-highlight');
+        // Highlight the letter box under the pointer
+        _clearHighlights();
+        const dropTarget = _findDropTarget(document.elementFromPoint(e.clientX, e.clientY));
+        if (dropTarget && dropTarget.classList.contains('letter-box')) {
+            dropTarget.classList.add('drag-over');
         }
-        
-        // Publish touch move event
-        window.EventBus.publish('touchDragMove', {
-            element: _draggingItem,
-            id: _draggingItem.id,
-            touch: {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            },
-            dropTarget: dropTarget ? dropTarget.id : null
-        });
     }
     
     /**
-     * Handle touch end event
-     * @param {TouchEvent} e - Touch end event
+     * Handle the pointer being released, dropping the tile where it is
+     * @param {PointerEvent} e - Pointer up event
      */
-    function _handleTouchEnd(e) {
-        if (!_draggingItem || !_dragTileClone) return;
-        
-        e.preventDefault(); // Prevent default behavior
+    function _handlePointerUp(e) {
+        if (!_draggingItem || e.pointerId !== _pointerId) return;
         
-        // Get the position of the last touch
-        const touch = e.changedTouches[0];
-        
-        // Find the element under the touch
-        const elementUnderTouch = document.elementFromPoint(touch.clientX, touch.clientY);
+        // A press without a drag is a click, which is left alone
+        if (!_dragStarted) {
+            _cleanupDrag();
+            return;
+        }
         
-        // Find potential drop target
-        const dropTarget = _findDropTarget(elementUnderTouch);
+        const dropTarget = _findDropTarget(document.elementFromPoint(e.clientX, e.clientY));
+        let dropped = false;
         
-        // Reset original tile opacity
-        if (_draggingItem) {
-            _draggingItem.style.opacity = '1';
+        if (dropTarget && dropTarget.classList.contains('letter-box')) {
+            dropped = _handleDropInLetterBox(dropTarget);
+        } else if (dropTarget === _dropArea) {
+            dropped = _handleDropInDropArea();
+        } else if (dropTarget === _scrambledWordArea) {
+            dropped = _handleDropInScrambledArea(e.clientX, e.clientY);
         }
         
-        // Handle the drop
-        if (dropTarget) {
-            dropTarget.classList.remove('drag-highlight');
-            
-            if (dropTarget.classList.contains('letter-box')) {
-                _handleDropInLetterBox(dropTarget);
-            } else if (dropTarget.id === 'scrambled-word' || dropTarget.closest('#scrambled-word')) {
-                _handleDropInScrambledArea(_scrambledWordArea, touch);
-            }
-        } else {
-            // If no valid target, return to original position
+        if (!dropped) {
             _returnToOriginalPosition();
         }
         
-        // Publish touch end event
-        window.EventBus.publish('touchDragEnd', {
-            element: _draggingItem,
-            id: _draggingItem.id,
-            dropTarget: dropTarget ? dropTarget.id : null,
-            touch: {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            }
-        });
+        _endDrag(dropped);
+    }
+    
+    /**
+     * Handle the browser taking the pointer away (a scroll, a call, a lost pen)
+     * @param {PointerEvent} e - Pointer cancel event
+     */
+    function _handlePointerCancel(e) {
+        if (!_draggingItem || e.pointerId !== _pointerId) return;
+        
+        if (!_dragStarted) {
+            _cleanupDrag();
+            return;
+        }
         
-        // Clean up
+        _returnToOriginalPosition();
+        _endDrag(false);
+    }
+    
+    /**
+     * Finish a drag, whether or not the tile was dropped somewhere new
+     * @param {boolean} dropped - Whether the tile was moved
+     */
+    function _endDrag(dropped) {
+        const tile = _draggingItem;
         _cleanupDrag();
+        
+        // Publish drag end event
+        window.EventBus.publish('dragEnd', {
+            element: tile,
+            id: tile.id,
+            dropped
+        });
     }
     
     /**
-     * Position the clone at the touch position
-     * @param {Touch} touch - The touch object
+     * Position the clone at a point on the screen
+     * @param {number} x - Pointer X position
+     * @param {number} y - Pointer Y position
      */
-    function _positionCloneAtTouch(touch) {
+    function _positionCloneAtPoint(x, y) {
         if (!_dragTileClone) return;
         
-        // Center the clone at the touch point
-        _dragTileClone.style.left = (touch.clientX - _dragTileClone.offsetWidth/2) + 'px';
-        _dragTileClone.style.top = (touch.clientY - _dragTileClone.offsetHeight/2) + 'px';
+        // Center the clone at the pointer
+        _dragTileClone.style.left = (x - _dragTileClone.offsetWidth / 2) + 'px';
+        _dragTileClone.style.top = (y - _dragTileClone.offsetHeight / 2) + 'px';
     }
     
     /**
-     * Find a valid drop target from the element under touch
-     * @param {HTMLElement} element - The element under touch
-     * @returns {HTMLElement|null} The drop target or null
+     * Find a valid drop target from the element under the pointer
+     * @param {HTMLElement} element - The element under the pointer
+     * @returns {HTMLElement|null} A letter box, the drop area, the scrambled word area or null
      */
     function _findDropTarget(element) {
         if (!element) return null;
         
-        // Check if the element itself is a drop target
-        if (element.classList.contains('letter-box')) {
-            return element;
-        }
+        const letterBox = element.closest('.letter-box');
+        if (letterBox) return letterBox;
         
-        // Check if the element is the scrambled word area or within it
-        if (element.id === 'scrambled-word' || element.closest('#scrambled-word')) {
-            return document.getElementById('scrambled-word');
-        }
-        
-        // Check parents for letter-box
-        let parent = element.parentElement;
-        while (parent) {
-            if (parent.classList.contains('letter-box')) {
-                return parent;
-            }
-            parent = parent.parentElement;
-        }
+        if (_scrambledWordArea.contains(element)) return _scrambledWordArea;
+        if (_dropArea.contains(element)) return _dropArea;
         
         return null;
     }
     
     /**
-     * Handle dropping a tile in a letter box
+     * Drop the dragged tile in a letter box
+     * A tile already in the box swaps places with the dragged one
      * @param {HTMLElement} letterBox - The letter box element
+     * @returns {boolean} Whether the tile was moved
      */
     function _handleDropInLetterBox(letterBox) {
-        // Check if box already has a letter tile
+        // Dropped back where it started
+        if (letterBox === _originalPosition.parent) return false;
+        
         const existingTile = letterBox.querySelector('.letter-tile');
         
-        if (!existingTile) {
-            // Empty box - just move the tile there
-            letterBox.appendChild(_draggingItem);
-        } else {
-            // Swap with the existing tile
-            
-            // 1. Find where our dragged tile came from
-            const originalParent = _originalPosition.parent;
-            const originalNextSibling = _originalPosition.nextSibling;
-            
-            // 2. Put the existing tile where our dragged tile came from
-            if (originalNextSibling) {
-                originalParent.insertBefore(existingTile, originalNextSibling);
-            } else {
-                originalParent.appendChild(existingTile);
-            }
-            
-            // 3. Put our dragged tile in the letter box
-            letterBox.appendChild(_draggingItem);
+        // A locked tile keeps its box
+        if (existingTile && existingTile.classList.contains('locked')) return false;
+        
+        if (existingTile) {
+            // Put the existing tile where the dragged tile came from
+            _originalPosition.parent.insertBefore(existingTile, _originalPosition.nextSibling);
         }
         
+        letterBox.appendChild(_draggingItem);
+        
         // Play sound
         window.AudioService.playSound('drag');
         
+        window.EventBus.publish('letterDropped', {
+            letter: _draggingItem.textContent,
+            targetBox: letterBox.getAttribute('data-position')
+        });
+        
+        // A tile swapped out of the answer is back with the scrambled letters
+        if (existingTile && _originalPosition.parent === _scrambledWordArea) {
+            window.EventBus.publish('letterReturnedToScrambled', {
+                letter: existingTile.textContent
+            });
+        }
+        
         // Check if answer is complete
         _checkAnswer();
+        return true;
     }
     
     /**
-     * Handle dropping a tile back to the scrambled area
-     * @param {HTMLElement} scrambledArea - The scrambled word area
-     * @param {Touch} touch - The touch that ended the drag
+     * Drop the dragged tile on the drop area between the letter boxes
+     * A scrambled tile goes to the first empty letter box
+     * @returns {boolean} Whether the tile was moved
      */
-    function _handleDropInScrambledArea(scrambledArea, touch) {
-        // Only proceed if the tile is coming from a letter box
-        if (_originalPosition.parent.classList.contains('letter-box')) {
-            // Find position to insert based on touch Y position
-            const afterElement = _getElementAfterTouch(scrambledArea, touch.clientY);
-            
-            // Insert at appropriate position
-            if (afterElement) {
-                scrambledArea.insertBefore(_draggingItem, afterElement);
-            } else {
-                scrambledArea.appendChild(_draggingItem);
-            }
-            
-            // Play sound
-            window.AudioService.playSound('drag');
-        } else {
-            // Coming from another position in the scrambled area
-            // Find position to insert based on touch Y position
-            const afterElement = _getElementAfterTouch(scrambledArea, touch.clientY);
-            
-            // Insert at appropriate position
-            if (afterElement && afterElement !== _draggingItem) {
-                scrambledArea.insertBefore(_draggingItem, afterElement);
-            } else if (!afterElement) {
-                scrambledArea.appendChild(_draggingItem);
-            } else {
-                // Put it back where it was
-                _returnToOriginalPosition();
-            }
+    function _handleDropInDropArea() {
+        if (_originalPosition.parent !== _scrambledWordArea) return false;
+        
+        const emptyBox = Array.from(_dropArea.querySelectorAll('.letter-box'))
+            .find(box => !box.querySelector('.letter-tile'));
+        if (!emptyBox) return false;
+        
+        return _handleDropInLetterBox(emptyBox);
+    }
+    
+    /**
+     * Drop the dragged tile among the scrambled letters
+     * The tile goes in at the pointer, so the scrambled letters can be reordered
+     * @param {number} x - Pointer X position
+     * @param {number} y - Pointer Y position
+     * @returns {boolean} Whether the tile was moved
+     */
+    function _handleDropInScrambledArea(x, y) {
+        const fromLetterBox = _originalPosition.parent !== _scrambledWordArea;
+        const nextTile = _getTileAfterPoint(_scrambledWordArea, x, y);
+        
+        _scrambledWordArea.insertBefore(_draggingItem, nextTile);
+        
+        // Play sound
+        window.AudioService.playSound('drag');
+        
+        if (fromLetterBox) {
+            window.EventBus.publish('letterReturnedToScrambled', {
+                letter: _draggingItem.textContent
+            });
         }
+        
+        return true;
     }
     
     /**
@@ -357,42 +318,32 @@ const InputManager = (function() {
     function _returnToOriginalPosition() {
         if (!_draggingItem || !_originalPosition || !_originalPosition.parent) return;
         
-        if (_originalPosition.nextSibling) {
-            _originalPosition.parent.insertBefore(_draggingItem, _originalPosition.nextSibling);
-        } else {
-            _originalPosition.parent.appendChild(_draggingItem);
-        }
+        _originalPosition.parent.insertBefore(_draggingItem, _originalPosition.nextSibling);
     }
     
     /**
-     * Get element after which to insert based on Y position
+     * Get the tile a dropped tile should go in front of
+     * Tiles are read row by row, so this is the first tile on a lower row or to the right on the same row
      * @param {HTMLElement} container - Container element
-     * @param {number} y - Touch Y position
-     * @returns {HTMLElement|null} Element to insert after or null
+     * @param {number} x - Pointer X position
+     * @param {number} y - Pointer Y position
+     * @returns {HTMLElement|null} Tile to insert before, or null for the end
      */
-    function _getElementAfterTouch(container, y) {
-        // Get all letter tiles in the container except the one being dragged
-        const draggableElements = [...container.querySelectorAll('.letter-tile:not(.dragging)')];
-        
-        // Find the element after which to insert the dragged element
-        return draggableElements.reduce((closest, child) => {
-            const box = child.getBoundingClientRect();
-            const offset = y - box.top - box.height / 2;
-            
-            // If offset is negative but greater than closest, this element is closer
-            if (offset < 0 && offset > closest.offset) {
-                return { offset: offset, element: child };
-            } else {
-                return closest;
-            }
-        }, { offset: Number.NEGATIVE_INFINITY }).element;
+    function _getTileAfterPoint(container, x, y) {
+        const tiles = [...container.querySelectorAll('.letter-tile:not(.dragging)')];
+        
+        return tiles.find(tile => {
+            const box = tile.getBoundingClientRect();
+            return y < box.top || (y <= box.bottom && x < box.left + box.width / 2);
+        }) || null;
     }
     
     /**
      * Check if the answer is complete and trigger answer checking
      */
     function _checkAnswer() {
-        const allBoxesFilled = _dropArea.querySelectorAll('.letter-box:empty').length === 0;
+        const letterBoxes = Array.from(_dropArea.querySelectorAll('.letter-box'));
+        const allBoxesFilled = letterBoxes.length > 0 && letterBoxes.every(box => box.querySelector('.letter-tile'));
         if (allBoxesFilled) {
             setTimeout(() => {
                 window.EventBus.publish('allLettersPlaced', null);
@@ -401,120 +352,138 @@ const InputManager = (function() {
     }
     
     /**
-     * Clean up after dragging
+     * Move a tapped or activated tile: a scrambled tile goes to the first empty
+     * letter box, and a placed tile goes back to the scrambled letters
+     * @param {HTMLElement} tile - The tile
+     * @returns {boolean} Whether the tile was moved
      */
-    function _cleanupDrag() {
-        if (_draggingItem) {
-            _draggingItem.classList.remove('dragging');
-            _draggingItem.style.opacity = '1';
-        }
+    function _moveTile(tile) {
+        if (!tile || tile.classList.contains('locked')) return false;
         
-        if (_dragTileClone && _dragTileClone.parentElement) {
-            _dragTileClone.parentElement.removeChild(_dragTileClone);
+        const letterBox = tile.closest('.letter-box');
+        
+        if (letterBox) {
+            _scrambledWordArea.appendChild(tile);
+            window.AudioService.playSound('drag');
+            
+            window.EventBus.publish('letterReturnedToScrambled', {
+                letter: tile.textContent
+            });
+            return true;
         }
         
-        // Remove highlight from all potential drop targets
-        document.querySelectorAll('.drag-over, .drag-highlight').forEach(el => {
-            el.classList.remove('drag-over');
-            el.classList.remove('drag-highlight');
+        const emptyBox = Array.from(_dropArea.querySelectorAll('.letter-box'))
+            .find(box => !box.querySelector('.letter-tile'));
+        if (!emptyBox) return false;
+        
+        emptyBox.appendChild(tile);
+        window.AudioService.playSound('drag');
+        
+        window.EventBus.publish('letterDropped', {
+            letter: tile.textContent,
+            targetBox: emptyBox.getAttribute('data-position')
         });
         
-        // Reset variables
-        _draggingItem = null;
-        _dragTileClone = null;
-        _originalPosition = null;
+        // Check if answer is complete
+        _checkAnswer();
+        return true;
     }
     
     /**
-     * Add touch-specific CSS styles
+     * Handle Enter or Space on a focused tile or letter box, in either input mode
+     * A scrambled tile is placed and a placed tile is taken back, as with a tap
+     * @param {KeyboardEvent} e - Key event
      */
-    function _addTouchStyles() {
-        if (!document.getElementById('touch-drag-styles')) {
-            const style = document.createElement('style');
-            style.id = 'touch-drag-styles';
-            style.textContent = `
-                .letter-tile {
-                    -webkit-touch-callout: none;
-                    -webkit-user-select: none;
-                    -webkit-tap-highlight-color: transparent;
-                    touch-action: none;
-                }
-                
-                .touch-clone {
-                    position: fixed;
-                    z-index: 9999;
-                    opacity: 0.8;
-                    pointer-events: none;
-                    transition: none;
-                    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
-                }
-                
-                .letter-box.drag-highlight {
-                    background-color: rgba(142, 68, 173, 0.2);
-                    border: 2px solid #8e44ad;
-                    transform: scale(1.1);
-                }
-            `;
-            document.head.appendChild(style);
-        }
+    function _handleActivateKey(e) {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        
+        const letterBox = e.target.closest('.letter-box');
+        const tile = letterBox ? letterBox.querySelector('.letter-tile') : e.target.closest('.letter-tile');
+        if (!tile) return;
+        
+        e.preventDefault();
+        
+        const nextTile = letterBox ? null : (tile.nextElementSibling || tile.previousElementSibling);
+        if (!_moveTile(tile) || letterBox) return;
+        
+        // Moving the tile loses its focus, so keep focus on the next scrambled letter or the box it went to
+        (nextTile || tile.closest('.letter-box')).focus();
     }
     
     /**
-     * Set up mouse drag handlers for an element
-     * @param {HTMLElement} element - Element to set up
+     * Switch tap-to-place mode on or off
+     * @param {boolean} enabled - Whether tiles are placed by tapping
      */
-    function _setupMouseDragHandlers(element) {
-        if (!element) return;
+    function _setTapMode(enabled) {
+        _tapMode = !!enabled;
         
-        // Skip if already set up
-        if (element.dataset.dragEnabled) return;
+        document.body.classList.toggle('tap-to-place', _tapMode);
         
-        element.addEventListener('dragstart', _handleDragStart);
-        element.addEventListener('dragend', _handleDragEnd);
-        
-        // Mark as drag-enabled
-        element.dataset.dragEnabled = 'true';
+        if (_modeSelect) {
+            _modeSelect.value = _tapMode ? 'tap' : 'drag';
+        }
+    }
+    
+    /**
+     * Use the active learner's chosen way of placing letters
+     */
+    function _loadInputMode() {
+        let mode = GameConfig.get('inputMode');
+        if (window.ProfileManager && typeof window.ProfileManager.getPreference === 'function') {
+            mode = window.ProfileManager.getPreference('inputMode', mode);
+        }
+        _setTapMode(mode === 'tap');
+    }
+    
+    /**
+     * Remove the drop target highlight
+     */
+    function _clearHighlights() {
+        document.querySelectorAll('.letter-box.drag-over').forEach(el => el.classList.remove('drag-over'));
     }
     
     /**
-     * Set up touch handlers for an element
-     * @param {HTMLElement} element - Element to set up
+     * Clean up after dragging
      */
-    function _setupTouchHandlers(element) {
-        if (!element || !_isTouchDevice) return;
+    function _cleanupDrag() {
+        document.removeEventListener('pointermove', _handlePointerMove);
+        document.removeEventListener('pointerup', _handlePointerUp);
+        document.removeEventListener('pointercancel', _handlePointerCancel);
+        
+        if (_draggingItem) {
+            _draggingItem.classList.remove('dragging');
+        }
         
-        // Skip if already set up
-        if (element.dataset.touchEnabled) return;
+        if (_dragTileClone && _dragTileClone.parentElement) {
+            _dragTileClone.parentElement.removeChild(_dragTileClone);
+        }
         
-        element.addEventListener('touchstart', _handleTouchStart, { passive: false });
-        element.addEventListener('touchmove', _handleTouchMove, { passive: false });
-        element.addEventListener('touchend', _handleTouchEnd, { passive: false });
-        element.addEventListener('touchcancel', _handleTouchEnd, { passive: false });
+        _clearHighlights();
         
-        // Mark as touch-enabled
-        element.dataset.touchEnabled = 'true';
+        // Reset variables
+        _draggingItem = null;
+        _dragTileClone = null;
+        _originalPosition = null;
+        _pointerId = null;
+        _startPoint = null;
+        _dragStarted = false;
     }
     
     /**
-     * Set up mutation observer to watch for new letter tiles
+     * Set up pointer, tap and key handlers on an area holding letter tiles
+     * The handlers are on the area, so tiles added later need no setup of their own
+     * Clicks come from mouse clicks, taps and switch access
+     * @param {HTMLElement} area - Drop area or scrambled word area
      */
-    function _setupMutationObserver() {
-        const observer = new MutationObserver(mutations => {
-            mutations.forEach(mutation => {
-                if (mutation.type === 'childList') {
-                    mutation.addedNodes.forEach(node => {
-                        if (node.nodeType === 1 && node.classList.contains('letter-tile')) {
-                            _setupMouseDragHandlers(node);
-                            _setupTouchHandlers(node);
-                        }
-                    });
-                }
-            });
-        });
+    function _setupAreaHandlers(area) {
+        area.addEventListener('pointerdown', _handlePointerDown);
         
-        // Observe both drop area and scrambled word area
-        observer.observe(_dropArea, { childList: true, subtree: true });
-        observer.observe(_scrambledWordArea, { childList: true, subtree: true });
+        area.addEventListener('click', e => {
+            if (_tapMode) {
+                _moveTile(e.target.closest('.letter-tile'));
+            }
+        });
+        area.addEventListener('keydown', _handleActivateKey);
     }
     
     // Public API
@@ -524,95 +493,45 @@ const InputManager = (function() {
          * @returns {Object} InputManager for chaining
          */
         init: function() {
+            // Prevent multiple initializations (GameController.init also calls this)
+            if (_initialized) {
+                return this;
+            }
+            
             // Get DOM elements
             _dropArea = document.getElementById('drop-area');
             _scrambledWordArea = document.getElementById('scrambled-word');
             
+            if (!_dropArea || !_scrambledWordArea) {
+                console.error('Missing required elements for the input manager');
+                return this;
+            }
+            
             // Check for touch support
             _isTouchDevice = _detectTouchSupport();
             
-            // Add touch styles if this is a touch device
-            if (_isTouchDevice) {
-                _addTouchStyles();
+            // Use the active learner's way of placing letters, and keep it when learners switch
+            _modeSelect = document.getElementById('input-mode-select');
+            _loadInputMode();
+            if (_modeSelect) {
+                _modeSelect.addEventListener('change', () => {
+                    if (window.ProfileManager && typeof window.ProfileManager.setPreference === 'function') {
+                        window.ProfileManager.setPreference('inputMode', _modeSelect.value);
+                    }
+                    _setTapMode(_modeSelect.value === 'tap');
+                });
             }
+            window.EventBus.subscribe('profileChanged', _loadInputMode);
             
-            // Apply input handlers to existing letter tiles
-            document.querySelectorAll('.letter-tile').forEach(tile => {
-                _setupMouseDragHandlers(tile);
-                _setupTouchHandlers(tile);
+            // A new word replaces the tiles, so a drag in progress is abandoned
+            window.EventBus.subscribe('wordLoaded', () => {
+                if (_draggingItem) _cleanupDrag();
             });
             
-            // Set up drop area listeners
-            this.setupDropAreaListeners();
-            
-            // Set up mutation observer to watch for new letter tiles
-            _setupMutationObserver();
-            
-            return this;
-        },
-        
-        /**
-         * Set up drop area listeners
-         * @returns {Object} InputManager for chaining
-         */
-        setupDropAreaListeners: function() {
-            if (!_dropArea || !_scrambledWordArea) return this;
-            
-            // Set up drop area event listeners
-            _dropArea.addEventListener('dragover', e => e.preventDefault());
-            _dropArea.addEventListener('drop', e => {
-                e.preventDefault();
-                
-                // Get data and elements
-                const id = e.dataTransfer.getData('text/plain');
-                const draggedElement = document.getElementById(id);
-                
-                if (!draggedElement) return;
-                
-                // Find the first empty letter box
-                const emptyBox = _dropArea.querySelector('.letter-box:empty');
-                if (emptyBox) {
-                    // Create a clone of the dragged tile
-                    const clone = draggedElement.cloneNode(true);
-                    
-                    // Set up drag handlers on the clone
-                    _setupMouseDragHandlers(clone);
-                    _setupTouchHandlers(clone);
-                    
-                    // Add to target and remove original
-                    emptyBox.appendChild(clone);
-                    draggedElement.remove();
-                    
-                    // Play sound
-                    window.AudioService.playSound('drag');
-                    
-                    // Check if answer is complete
-                    _checkAnswer();
-                }
-            });
-            
-            // Set up scrambled word area event listeners
-            _scrambledWordArea.addEventListener('dragover', e => e.preventDefault());
-            _scrambledWordArea.addEventListener('drop', e => {
-                e.preventDefault();
-                
-                // Get data and elements
-                const id = e.dataTransfer.getData('text/plain');
-                const draggedElement = document.getElementById(id);
-                
-                if (!draggedElement) return;
-                
-                // Only process if coming from drop area letter box
-                const sourceContainer = e.dataTransfer.getData('source-container');
-                if (sourceContainer === 'letter-box') {
-                    // Add to scrambled word area
-                    _scrambledWordArea.appendChild(draggedElement);
-                    
-                    // Play sound
-                    window.AudioService.playSound('drag');
-                }
-            });
+            _setupAreaHandlers(_dropArea);
+            _setupAreaHandlers(_scrambledWordArea);
             
+            _initialized = true;
             return this;
         },
         
@@ -622,6 +541,22 @@ const InputManager = (function() {
          */
         isTouchDevice: function() {
             return _isTouchDevice;
+        },
+        
+        /**
+         * Check whether letters are placed by tapping instead of dragging
+         * @returns {boolean} Whether tap-to-place mode is on
+         */
+        isTapMode: function() {
+            return _tapMode;
+        },
+        
+        /**
+         * Switch tap-to-place mode on or off for this session (not saved)
+         * @param {boolean} enabled - Whether tiles are placed by tapping
+         */
+        setTapMode: function(enabled) {
+            _setTapMode(enabled);
         }
     };
 })();
@@ -0,0 +1,296 @@
+/**
+ * Keyboard Controls Module for Word Scramble Game
+ * Lets the game be played without a mouse or touch screen: typing a letter
+ * places a matching tile, Backspace takes one back, the arrow keys move a
+ * cursor between the letter boxes, Enter checks, and shortcut keys give a
+ * hint, say the word or move on to the next word
+ */
+const KeyboardControls = (function() {
+    // Private variables
+    let _elements = {
+        dropArea: null,
+        scrambledWordArea: null,
+        helpText: null,
+        checkBtn: null,
+        hintBtn: null,
+        pronounceBtn: null,
+        nextBtn: null
+    };
+    
+    // Letter box the next typed letter goes to
+    let _cursor = 0;
+    // The cursor is only shown once the keyboard has been used
+    let _keyboardUsed = false;
+    // Whether the word on screen has been solved (its tiles stay put)
+    let _solved = false;
+    
+    // Open dialogs take the keyboard away from the game
+    const _dialogSelector = '.mode-overlay.active, .dashboard-overlay.active, .profile-overlay.active';
+    
+    // Private methods
+    
+    /**
+     * Get the letter boxes in order
+     * @returns {Array} Letter box elements
+     */
+    function _getLetterBoxes() {
+        return Array.from(_elements.dropArea.querySelectorAll('.letter-box'));
+    }
+    
+    /**
+     * Show the cursor on its letter box
+     */
+    function _renderCursor() {
+        _getLetterBoxes().forEach((box, index) => {
+            box.classList.toggle('keyboard-cursor', _keyboardUsed && !_solved && index === _cursor);
+        });
+    }
+    
+    /**
+     * Move the cursor to a letter box
+     * @param {number} position - Letter box position (kept within the word)
+     */
+    function _moveCursor(position) {
+        const count = _getLetterBoxes().length;
+        _cursor = count > 0 ? Math.max(0, Math.min(position, count - 1)) : 0;
+        _renderCursor();
+    }
+    
+    /**
+     * Find the first empty letter box at or after a position, wrapping around
+     * @param {number} start - Position to search from
+     * @returns {number} Position, or -1 if every box is filled
+     */
+    function _findEmptyBox(start) {
+        const letterBoxes = _getLetterBoxes();
+        
+        for (let offset = 0; offset < letterBoxes.length; offset++) {
+            const index = (start + offset) % letterBoxes.length;
+            if (!letterBoxes[index].querySelector('.letter-tile')) {
+                return index;
+            }
+        }
+        
+        return -1;
+    }
+    
+    /**
+     * Let the game know a tile was placed, as a drop would
+     * @param {HTMLElement} tile - The placed tile
+     * @param {HTMLElement} letterBox - The box it was placed in
+     */
+    function _announcePlacement(tile, letterBox) {
+        if (window.AudioService && typeof window.AudioService.playSound === 'function') {
+            window.AudioService.playSound('drag');
+        }
+        
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('letterDropped', {
+                letter: tile.textContent,
+                targetBox: letterBox.getAttribute('data-position')
+            });
+            
+            if (_getLetterBoxes().every(box => box.querySelector('.letter-tile'))) {
+                window.EventBus.publish('allLettersPlaced', null);
+            }
+        }
+    }
+    
+    /**
+     * Place a scrambled tile showing the typed letter
+     * The letter goes in the cursor's box if it is empty, otherwise in the next empty box
+     * @param {string} letter - Typed letter
+     * @returns {boolean} Whether a tile was placed
+     */
+    function _typeLetter(letter) {
+        const tile = Array.from(_elements.scrambledWordArea.querySelectorAll('.letter-tile'))
+            .find(item => item.textContent.toLowerCase() === letter.toLowerCase());
+        const position = _findEmptyBox(_cursor);
+        if (!tile || position === -1) return false;
+        
+        const letterBox = _getLetterBoxes()[position];
+        letterBox.appendChild(tile);
+        
+        // Carry on from the next empty box
+        const next = _findEmptyBox(position + 1);
+        _moveCursor(next === -1 ? position : next);
+        
+        _announcePlacement(tile, letterBox);
+        return true;
+    }
+    
+    /**
+     * Return a placed tile to the scrambled letters
+     * Takes the tile under the cursor, or else the closest one before it
+     * @returns {boolean} Whether a tile was returned
+     */
+    function _returnLetter() {
+        const letterBoxes = _getLetterBoxes();
+        let position = -1;
+        
+        for (let index = Math.min(_cursor, letterBoxes.length - 1); index >= 0; index--) {
+            const tile = letterBoxes[index].querySelector('.letter-tile');
+            // Tiles locked in place by letter feedback stay
+            if (tile && !tile.classList.contains('locked')) {
+                position = index;
+                break;
+            }
+        }
+        if (position === -1) return false;
+        
+        const tile = letterBoxes[position].querySelector('.letter-tile');
+        _elements.scrambledWordArea.appendChild(tile);
+        _moveCursor(position);
+        
+        if (window.AudioService && typeof window.AudioService.playSound === 'function') {
+            window.AudioService.playSound('drag');
+        }
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('letterReturnedToScrambled', {
+                letter: tile.textContent
+            });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Press a game button, unless it is disabled
+     * @param {HTMLElement} button - Button to press
+     * @returns {boolean} Whether the button was pressed
+     */
+    function _pressButton(button) {
+        if (!button || button.disabled) return false;
+        button.click();
+        return true;
+    }
+    
+    /**
+     * Check whether a key event belongs to something other than the game
+     * @param {KeyboardEvent} e - Key event
+     * @returns {boolean} Whether the game should leave the key alone
+     */
+    function _isForSomethingElse(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return true;
+        
+        const target = e.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+            return true;
+        }
+        
+        // Enter and Space already press a focused button (or a tile in tap-to-place mode)
+        const isButton = target && (target.tagName === 'BUTTON' || target.getAttribute('role') === 'button');
+        if (isButton && (e.key === 'Enter' || e.key === ' ')) {
+            return true;
+        }
+        
+        return !!document.querySelector(_dialogSelector);
+    }
+    
+    /**
+     * Handle a key press
+     * @param {KeyboardEvent} e - Key event
+     */
+    function _handleKeyDown(e) {
+        if (!_elements.dropArea || _isForSomethingElse(e)) return;
+        
+        const shortcuts = GameConfig.get('keyboardShortcuts');
+        let handled = false;
+        
+        if (e.key === shortcuts.check) {
+            handled = _pressButton(_elements.checkBtn);
+        } else if (e.key === shortcuts.hint) {
+            handled = _pressButton(_elements.hintBtn);
+        } else if (e.key === shortcuts.pronounce) {
+            handled = _pressButton(_elements.pronounceBtn);
+        } else if (e.key === shortcuts.next) {
+            handled = _pressButton(_elements.nextBtn);
+        } else if (_solved) {
+            // A solved word's tiles stay where they are
+            return;
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            _moveCursor(_cursor + (e.key === 'ArrowLeft' ? -1 : 1));
+            handled = true;
+        } else if (e.key === 'Home' || e.key === 'End') {
+            _moveCursor(e.key === 'Home' ? 0 : _getLetterBoxes().length - 1);
+            handled = true;
+        } else if (e.key === 'Backspace') {
+            _returnLetter();
+            handled = true;
+        } else if (e.key.length === 1) {
+            handled = _typeLetter(e.key);
+        }
+        
+        if (handled) {
+            e.preventDefault();
+            _keyboardUsed = true;
+            _renderCursor();
+        }
+    }
+    
+    /**
+     * Describe the keys in the help text
+     */
+    function _renderHelp() {
+        if (!_elements.helpText) return;
+        
+        const shortcuts = GameConfig.get('keyboardShortcuts');
+        _elements.helpText.textContent = 'Keyboard: type the letters, ← → to move, Backspace to take a letter back, ' +
+            `${shortcuts.check} to check, ${shortcuts.hint} for a hint, ${shortcuts.pronounce} to hear the word, ` +
+            `${shortcuts.next} for the next word`;
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize keyboard controls
+         * @param {Object} elements - DOM elements
+         * @returns {Object} KeyboardControls for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.dropArea || !_elements.scrambledWordArea) {
+                console.error('Missing required elements for keyboard controls');
+                return this;
+            }
+            
+            document.addEventListener('keydown', _handleKeyDown);
+            _renderHelp();
+            
+            // Tabbing to a letter box puts the cursor there, so the next typed letter goes in it
+            _elements.dropArea.addEventListener('focusin', e => {
+                const letterBox = e.target.closest('.letter-box');
+                if (!letterBox || _solved) return;
+                
+                _keyboardUsed = true;
+                _moveCursor(_getLetterBoxes().indexOf(letterBox));
+            });
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                // Each word starts with the cursor on the first box
+                window.EventBus.subscribe('wordLoaded', () => {
+                    _solved = false;
+                    _moveCursor(0);
+                });
+                window.EventBus.subscribe('answerCorrect', () => {
+                    _solved = true;
+                    _renderCursor();
+                });
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Get the letter box the cursor is on
+         * @returns {number} Letter box position
+         */
+        getCursor: function() {
+            return _cursor;
+        }
+    };
+})();
+
+// Export the module
+window.KeyboardControls = KeyboardControls;
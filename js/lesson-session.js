@@ -0,0 +1,367 @@
+/**
+ * Lesson Session Module for Word Scramble Game
+ * A game mode that plays a fixed number of words from the active deck, shows
+ * progress through the lesson and ends with a results report
+ */
+const LessonSession = (function() {
+    // Private variables
+    let _elements = {
+        startBtn: null,
+        progressBar: null,
+        progressText: null,
+        progressFill: null,
+        stopBtn: null,
+        overlay: null,
+        setupPanel: null,
+        deckInfo: null,
+        lengthOptions: null,
+        cancelBtn: null,
+        resultsPanel: null,
+        stars: null,
+        result: null,
+        wordList: null,
+        retryBtn: null,
+        newBtn: null,
+        doneBtn: null
+    };
+    
+    // The lesson being played, or null
+    let _lesson = null;
+    // Words from the last lesson that were not solved at the first try
+    let _missedWords = [];
+    
+    // How each outcome is described in the results
+    const _outcomeNotes = {
+        clean: 'first try',
+        hint: 'with a hint',
+        wrong: 'after a few tries',
+        skipped: 'skipped'
+    };
+    
+    // Private methods
+    
+    /**
+     * Get the words in the active deck
+     * @returns {Array} Words
+     */
+    function _getDeckWords() {
+        if (window.WordManager && typeof window.WordManager.getWords === 'function') {
+            return window.WordManager.getWords();
+        }
+        return [];
+    }
+    
+    /**
+     * Choose the words for a lesson
+     * Words most due for review come first when the scheduler is available
+     * @param {number} count - Number of words
+     * @returns {Array} Chosen words
+     */
+    function _chooseWords(count) {
+        const remaining = _getDeckWords().slice();
+        const chosen = [];
+        
+        while (chosen.length < count && remaining.length > 0) {
+            let word;
+            if (window.WordScheduler && typeof window.WordScheduler.chooseNextWord === 'function') {
+                word = window.WordScheduler.chooseNextWord(remaining, null);
+            } else {
+                word = remaining[Math.floor(Math.random() * remaining.length)];
+            }
+            
+            chosen.push(word);
+            remaining.splice(remaining.indexOf(word), 1);
+        }
+        
+        return chosen;
+    }
+    
+    /**
+     * Show "word 4 of 10" and how much of the lesson is done
+     */
+    function _updateProgress() {
+        if (!_lesson) return;
+        
+        const total = _lesson.words.length;
+        _elements.progressText.textContent = `Word ${Math.min(_lesson.position, total)} of ${total}`;
+        if (_elements.progressFill) {
+            _elements.progressFill.style.width = `${_lesson.results.length / total * 100}%`;
+        }
+    }
+    
+    /**
+     * Show the setup panel to choose a lesson length
+     */
+    function _showSetup() {
+        if (window.GameState.get('gameMode') !== 'practice') {
+            alert('Please finish the current game first.');
+            return;
+        }
+        
+        const deckSize = _getDeckWords().length;
+        if (deckSize === 0) {
+            alert('Please add some words to the deck first.');
+            return;
+        }
+        
+        // Lessons cannot be longer than the deck
+        const lengths = GameConfig.get('lesson').lengths
+            .map(length => Math.min(length, deckSize))
+            .filter((length, index, all) => all.indexOf(length) === index);
+        
+        _elements.lengthOptions.innerHTML = '';
+        lengths.forEach(length => {
+            _elements.lengthOptions.appendChild(UIFactory.createModeOption(`${length} word${length === 1 ? '' : 's'}`, () => {
+                _startLesson(_chooseWords(length));
+            }));
+        });
+        
+        if (_elements.deckInfo) {
+            _elements.deckInfo.textContent = `Words are chosen from the current deck (${deckSize} word${deckSize === 1 ? '' : 's'}), starting with the ones that need practice.`;
+        }
+        
+        _elements.resultsPanel.classList.remove('active');
+        _elements.setupPanel.classList.add('active');
+        _elements.overlay.classList.add('active');
+    }
+    
+    /**
+     * Close the lesson dialog
+     */
+    function _closeOverlay() {
+        _elements.overlay.classList.remove('active');
+    }
+    
+    /**
+     * Start a lesson
+     * @param {Array} words - Words to play, in order
+     */
+    function _startLesson(words) {
+        _closeOverlay();
+        
+        _lesson = {
+            words,
+            position: 0,
+            results: [],
+            current: null
+        };
+        
+        window.GameState.update({ gameMode: 'lesson' });
+        
+        // The lesson supplies the words until it runs out
+        window.WordController.setWordSource(() => {
+            if (!_lesson || _lesson.position >= _lesson.words.length) return null;
+            return _lesson.words[_lesson.position++];
+        });
+        
+        _elements.progressBar.classList.add('active');
+        window.WordController.loadNextWord();
+        
+        if (window.EventBus) {
+            window.EventBus.publish('lessonStarted', { words: words.slice() });
+        }
+    }
+    
+    /**
+     * Record the word on screen as skipped if it was not solved
+     */
+    function _resolveSkipped() {
+        const current = _lesson.current;
+        if (current && !current.resolved) {
+            current.resolved = true;
+            _lesson.results.push({ word: current.word, outcome: 'skipped' });
+        }
+    }
+    
+    /**
+     * Follow a newly loaded lesson word
+     * @param {string} word - Word now on screen
+     */
+    function _handleWordLoaded(word) {
+        if (!_lesson) return;
+        
+        _resolveSkipped();
+        _lesson.current = { word, wrongAttempts: 0, resolved: false };
+        _updateProgress();
+    }
+    
+    /**
+     * Record a solved lesson word
+     */
+    function _handleSolved() {
+        const current = _lesson && _lesson.current;
+        if (!current || current.resolved) return;
+        
+        current.resolved = true;
+        
+        let outcome = 'clean';
+        if (window.GameState.get('hintLevel') > 0) {
+            outcome = 'hint';
+        } else if (current.wrongAttempts > 0) {
+            outcome = 'wrong';
+        }
+        
+        _lesson.results.push({ word: current.word, outcome });
+        _updateProgress();
+    }
+    
+    /**
+     * Work out the stars earned
+     * A first-try solve is worth a point and a solve with help half a point
+     * @param {Array} results - Per-word results
+     * @param {number} total - Number of words in the lesson
+     * @returns {number} Stars (0-3)
+     */
+    function _countStars(results, total) {
+        const points = results.reduce((sum, item) => {
+            if (item.outcome === 'clean') return sum + 1;
+            if (item.outcome === 'skipped') return sum;
+            return sum + 0.5;
+        }, 0);
+        
+        const ratio = total > 0 ? points / total : 0;
+        return GameConfig.get('lesson').starThresholds.filter(threshold => ratio >= threshold).length;
+    }
+    
+    /**
+     * End the lesson and show the results
+     */
+    function _finishLesson() {
+        if (!_lesson) return;
+        
+        _resolveSkipped();
+        
+        const lesson = _lesson;
+        _lesson = null;
+        
+        window.WordController.setWordSource(null);
+        window.GameState.update({ gameMode: 'practice' });
+        _elements.progressBar.classList.remove('active');
+        
+        const stars = _countStars(lesson.results, lesson.words.length);
+        _showResults(lesson, stars);
+        
+        if (window.EventBus) {
+            window.EventBus.publish('lessonCompleted', {
+                words: lesson.words.slice(),
+                results: lesson.results.slice(),
+                stars
+            });
+        }
+    }
+    
+    /**
+     * Fill and show the results report
+     * @param {Object} lesson - The finished lesson
+     * @param {number} stars - Stars earned
+     */
+    function _showResults(lesson, stars) {
+        const solved = lesson.results.filter(item => item.outcome !== 'skipped').length;
+        const maxStars = GameConfig.get('lesson').starThresholds.length;
+        
+        _elements.stars.innerHTML = '';
+        for (let i = 0; i < maxStars; i++) {
+            const star = document.createElement('i');
+            star.className = i < stars ? 'fas fa-star lesson-star earned' : 'far fa-star lesson-star';
+            _elements.stars.appendChild(star);
+        }
+        
+        _elements.result.textContent = `You solved ${solved} of ${lesson.words.length} word${lesson.words.length === 1 ? '' : 's'}!`;
+        
+        _elements.wordList.innerHTML = '';
+        lesson.results.forEach(item => {
+            const listItem = UIFactory.createResultWordItem(item.word, _outcomeNotes[item.outcome]);
+            listItem.classList.add(`outcome-${item.outcome}`);
+            _elements.wordList.appendChild(listItem);
+        });
+        
+        // Anything not solved at the first try can be practised again
+        _missedWords = lesson.results
+            .filter(item => item.outcome !== 'clean')
+            .map(item => item.word);
+        _elements.retryBtn.style.display = _missedWords.length > 0 ? '' : 'none';
+        
+        _elements.setupPanel.classList.remove('active');
+        _elements.resultsPanel.classList.add('active');
+        _elements.overlay.classList.add('active');
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize lesson sessions
+         * @param {Object} elements - DOM elements
+         * @returns {Object} LessonSession for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.startBtn || !_elements.progressBar || !_elements.progressText || !_elements.overlay ||
+                !_elements.setupPanel || !_elements.lengthOptions || !_elements.resultsPanel ||
+                !_elements.stars || !_elements.result || !_elements.wordList || !_elements.retryBtn) {
+                console.error('Missing required elements for lesson sessions');
+                return this;
+            }
+            
+            _elements.startBtn.addEventListener('click', _showSetup);
+            _elements.retryBtn.addEventListener('click', () => _startLesson(_missedWords.slice()));
+            
+            if (_elements.cancelBtn) {
+                _elements.cancelBtn.addEventListener('click', _closeOverlay);
+            }
+            if (_elements.stopBtn) {
+                _elements.stopBtn.addEventListener('click', _finishLesson);
+            }
+            if (_elements.newBtn) {
+                _elements.newBtn.addEventListener('click', _showSetup);
+            }
+            if (_elements.doneBtn) {
+                _elements.doneBtn.addEventListener('click', () => {
+                    _closeOverlay();
+                    window.WordController.loadNextWord();
+                });
+            }
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('wordLoaded', data => _handleWordLoaded(data && data.word));
+                window.EventBus.subscribe('answerCorrect', _handleSolved);
+                window.EventBus.subscribe('answerIncorrect', () => {
+                    if (_lesson && _lesson.current && !_lesson.current.resolved) {
+                        _lesson.current.wrongAttempts++;
+                    }
+                });
+                
+                // The last word has been played
+                window.EventBus.subscribe('wordSourceEmpty', _finishLesson);
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Start a lesson
+         * @param {Array} words - Words to play (defaults to a lesson of the first configured length)
+         */
+        start: function(words) {
+            _startLesson(words || _chooseWords(GameConfig.get('lesson').lengths[0]));
+        },
+        
+        /**
+         * End the current lesson early and show the results
+         */
+        stop: function() {
+            _finishLesson();
+        },
+        
+        /**
+         * Check whether a lesson is being played
+         * @returns {boolean} Whether a lesson is running
+         */
+        isRunning: function() {
+            return _lesson !== null;
+        }
+    };
+})();
+
+// Export the module
+window.LessonSession = LessonSession;
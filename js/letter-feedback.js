@@ -0,0 +1,201 @@
+/**
+ * Letter Feedback Module for Word Scramble Game
+ * After a wrong answer, colors each placed tile to show whether its letter is
+ * in the right place, belongs somewhere else in the word, or is not needed
+ * (like Wordle), and can lock correctly placed tiles so they stay put
+ */
+const LetterFeedback = (function() {
+    // Private variables
+    let _elements = {
+        dropArea: null,
+        feedbackToggle: null,
+        lockToggle: null
+    };
+    
+    // Tile class for each answerIncorrect letter result
+    const _resultClasses = {
+        correct: 'feedback-correct',
+        present: 'feedback-present',
+        absent: 'feedback-absent'
+    };
+    
+    // Private methods
+    
+    /**
+     * Get one of the active learner's feedback settings
+     * @param {string} name - Preference name ('letterFeedback' or 'lockCorrectLetters')
+     * @returns {boolean} Setting value (the configured default if not set)
+     */
+    function _getSetting(name) {
+        const defaults = GameConfig.get('letterFeedback');
+        const defaultValue = name === 'lockCorrectLetters' ? defaults.lockCorrect : defaults.enabled;
+        
+        if (window.ProfileManager && typeof window.ProfileManager.getPreference === 'function') {
+            return !!window.ProfileManager.getPreference(name, defaultValue);
+        }
+        return defaultValue;
+    }
+    
+    /**
+     * Remove the feedback color from a tile
+     * @param {HTMLElement} tile - Letter tile
+     */
+    function _clearTile(tile) {
+        Object.keys(_resultClasses).forEach(result => tile.classList.remove(_resultClasses[result]));
+        delete tile.dataset.feedbackPosition;
+    }
+    
+    /**
+     * Keep a correctly placed tile in its box
+     * @param {HTMLElement} tile - Letter tile
+     * @param {HTMLElement} box - The letter box holding it
+     */
+    function _lockTile(tile, box) {
+        tile.classList.add('locked');
+        box.classList.add('locked');
+    }
+    
+    /**
+     * Let every locked tile be moved again
+     */
+    function _unlockAll() {
+        document.querySelectorAll('.letter-tile.locked, .letter-box.locked').forEach(element => {
+            element.classList.remove('locked');
+        });
+    }
+    
+    /**
+     * Remove all feedback colors and locks
+     */
+    function _clearAll() {
+        document.querySelectorAll('.letter-tile[data-feedback-position]').forEach(_clearTile);
+        _unlockAll();
+    }
+    
+    /**
+     * Color the placed tiles by how each letter compares with the word
+     * @param {Array} letterResults - 'correct', 'present', 'absent' or 'empty' for each box
+     */
+    function _showFeedback(letterResults) {
+        if (!_elements.dropArea || !Array.isArray(letterResults) || !_getSetting('letterFeedback')) return;
+        
+        const lockCorrect = _getSetting('lockCorrectLetters');
+        const letterBoxes = _elements.dropArea.querySelectorAll('.letter-box');
+        
+        letterBoxes.forEach((box, index) => {
+            const tile = box.querySelector('.letter-tile');
+            if (!tile) return;
+            
+            _clearTile(tile);
+            
+            const result = letterResults[index];
+            if (!_resultClasses[result]) return;
+            
+            tile.classList.add(_resultClasses[result]);
+            tile.dataset.feedbackPosition = box.getAttribute('data-position');
+            
+            if (lockCorrect && result === 'correct') {
+                _lockTile(tile, box);
+            }
+        });
+    }
+    
+    /**
+     * Clear the colors of tiles moved since the last check, which no longer apply
+     */
+    function _refreshTiles() {
+        document.querySelectorAll('.letter-tile[data-feedback-position]').forEach(tile => {
+            const box = tile.closest('.letter-box');
+            if (!box || box.getAttribute('data-position') !== tile.dataset.feedbackPosition) {
+                _clearTile(tile);
+            }
+        });
+    }
+    
+    /**
+     * Show the active learner's settings in the toggles
+     */
+    function _updateToggles() {
+        const enabled = _getSetting('letterFeedback');
+        
+        if (_elements.feedbackToggle) {
+            _elements.feedbackToggle.checked = enabled;
+        }
+        if (_elements.lockToggle) {
+            _elements.lockToggle.checked = _getSetting('lockCorrectLetters');
+            // Tiles are only locked as part of the feedback
+            _elements.lockToggle.disabled = !enabled;
+        }
+    }
+    
+    /**
+     * Save a setting changed with a toggle
+     * @param {string} name - Preference name
+     * @param {boolean} value - New value
+     */
+    function _saveSetting(name, value) {
+        if (window.ProfileManager && typeof window.ProfileManager.setPreference === 'function') {
+            window.ProfileManager.setPreference(name, value);
+        }
+        
+        if (name === 'letterFeedback' && !value) {
+            _clearAll();
+        } else if (name === 'lockCorrectLetters' && !value) {
+            _unlockAll();
+        }
+        
+        _updateToggles();
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize letter feedback
+         * @param {Object} elements - DOM elements
+         * @returns {Object} LetterFeedback for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.dropArea) {
+                console.error('Missing required elements for letter feedback');
+                return this;
+            }
+            
+            if (_elements.feedbackToggle) {
+                _elements.feedbackToggle.addEventListener('change', () => {
+                    _saveSetting('letterFeedback', _elements.feedbackToggle.checked);
+                });
+            }
+            if (_elements.lockToggle) {
+                _elements.lockToggle.addEventListener('change', () => {
+                    _saveSetting('lockCorrectLetters', _elements.lockToggle.checked);
+                });
+            }
+            _updateToggles();
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('answerIncorrect', data => _showFeedback(data && data.letterResults));
+                
+                // Colors belong to where a tile was when it was checked
+                ['dragEnd', 'letterDropped', 'letterReturnedToScrambled', 'hintApplied'].forEach(eventName => {
+                    window.EventBus.subscribe(eventName, _refreshTiles);
+                });
+                
+                window.EventBus.subscribe('profileChanged', () => {
+                    _updateToggles();
+                    if (!_getSetting('letterFeedback')) {
+                        _clearAll();
+                    } else if (!_getSetting('lockCorrectLetters')) {
+                        _unlockAll();
+                    }
+                });
+            }
+            
+            return this;
+        }
+    };
+})();
+
+// Export the module
+window.LetterFeedback = LetterFeedback;
@@ -2,25 +2,49 @@
  * Main entry point for Word Scramble Game
  * Initializes all modules and starts the game
  * - Updated to use the new architecture with EventBus and GameState
- * - Added fallback for missing DragDropManager
  */
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing Word Scramble Game...');
     
-    try {
-        // Initialize modules in correct order (dependencies first)
-        initializeModules();
-        
-        // Add share button with a slight delay to ensure DOM is ready
-        setTimeout(() => {
-            addShareButton();
-        }, 1000);
-        
-    } catch (error) {
-        console.error('Critical error initializing game:', error);
-    }
+    // Saved data must be loaded before modules read it
+    initializeStorage()
+        .then(() => {
+            // Initialize modules in correct order (dependencies first)
+            initializeModules();
+            
+            // Add share button with a slight delay to ensure DOM is ready
+            setTimeout(() => {
+                addShareButton();
+            }, 1000);
+        })
+        .catch(error => {
+            console.error('Critical error initializing game:', error);
+        });
 });
 
+/**
+ * Load saved data from the configured storage backend
+ * @returns {Promise} Resolves when StorageService is ready
+ */
+function initializeStorage() {
+    if (!window.StorageService) {
+        console.error('StorageService not found!');
+        return Promise.resolve();
+    }
+    
+    console.log('Initializing StorageService...');
+    
+    if (window.EventBus) {
+        window.EventBus.subscribe('storageMigrated', data => {
+            console.log(`Saved data migrated from schema ${data.fromVersion} to ${data.toVersion}:`, data.migrations);
+        });
+    }
+    
+    return window.StorageService.init().ready().then(backend => {
+        console.log(`StorageService initialized (${backend})`);
+    });
+}
+
 /**
  * Initialize modules in the correct dependency order
  */
@@ -61,6 +85,42 @@ function initializeModules() {
         console.error('StorageService not found!');
     }
     
+    if (window.ImageStore) {
+        console.log('Initializing ImageStore...');
+        try {
+            window.ImageStore.init();
+            console.log('ImageStore initialized');
+        } catch (error) {
+            console.error('Error initializing ImageStore:', error);
+        }
+    } else {
+        console.error('ImageStore not found!');
+    }
+    
+    if (window.RecordingStore) {
+        console.log('Initializing RecordingStore...');
+        try {
+            window.RecordingStore.init();
+            console.log('RecordingStore initialized');
+        } catch (error) {
+            console.error('Error initializing RecordingStore:', error);
+        }
+    } else {
+        console.error('RecordingStore not found!');
+    }
+    
+    if (window.SoundStore) {
+        console.log('Initializing SoundStore...');
+        try {
+            window.SoundStore.init();
+            console.log('SoundStore initialized');
+        } catch (error) {
+            console.error('Error initializing SoundStore:', error);
+        }
+    } else {
+        console.error('SoundStore not found!');
+    }
+    
     if (window.AudioService) {
         console.log('Initializing AudioService...');
         try {
@@ -93,80 +153,33 @@ function initializeModules() {
         console.error('GameState not found!');
     }
     
-    // 6. Check for DragDropManager and create fallback if not present
-    if (!window.DragDropManager) {
-        console.warn('DragDropManager not found! Creating fallback implementation...');
-        
-        // Create a minimal fallback implementation
-        window.DragDropManager = {
-            init: function() {
-                console.log('Using fallback DragDropManager');
-                return this;
-            },
-            
-            dragStart: function(e) {
-                e.dataTransfer.setData('text/plain', e.target.id);
-                e.target.classList.add('dragging');
-                
-                if (window.AudioService && typeof window.AudioService.playSound === 'function') {
-                    window.AudioService.playSound('drag');
-                }
-            },
-            
-            dragEnd: function(e) {
-                e.target.classList.remove('dragging');
-            },
-            
-            setupDropAreaListeners: function() {
-                return this;
-            },
-            
-            setupScrambledAreaListeners: function() {
-                return this;
-            },
-            
-            getLetterBoxCallbacks: function(callback) {
-                return {
-                    dragOver: function(e) { e.preventDefault(); },
-                    dragEnter: function(e) { 
-                        e.preventDefault();
-                        e.target.classList.add('drag-over');
-                    },
-                    dragLeave: function(e) { 
-                        e.target.classList.remove('drag-over');
-                    },
-                    drop: function(e) {
-                        e.preventDefault();
-                        e.target.classList.remove('drag-over');
-                        
-                        const id = e.dataTransfer.getData('text/plain');
-                        const draggedElement = document.getElementById(id);
-                        
-                        if (draggedElement) {
-                            e.target.appendChild(draggedElement);
-                            
-                            if (window.AudioService) {
-                                window.AudioService.playSound('drag');
-                            }
-                            
-                            if (callback) callback();
-                        }
-                    }
-                };
-            }
-        };
-    }
-    
-    // Initialize DragDropManager
-    console.log('Initializing DragDropManager...');
-    try {
-        window.DragDropManager.init();
-        console.log('DragDropManager initialized');
-    } catch (error) {
-        console.error('Error initializing DragDropManager:', error);
+    // Profile Manager (depends on StorageService, UIFactory)
+    if (window.ProfileManager) {
+        console.log('Initializing ProfileManager...');
+        try {
+            window.ProfileManager.init({
+                switchBtn: document.getElementById('profile-switch-btn'),
+                avatarDisplay: document.getElementById('profile-avatar'),
+                nameDisplay: document.getElementById('profile-name'),
+                overlay: document.getElementById('profile-overlay'),
+                profileList: document.getElementById('profile-list'),
+                addProfileBtn: document.getElementById('add-profile-btn'),
+                form: document.getElementById('profile-form'),
+                formTitle: document.getElementById('profile-form-title'),
+                nameInput: document.getElementById('profile-name-input'),
+                ageInput: document.getElementById('profile-age-input'),
+                avatarOptions: document.getElementById('profile-avatar-options'),
+                cancelBtn: document.getElementById('profile-cancel-btn')
+            });
+            console.log('ProfileManager initialized');
+        } catch (error) {
+            console.error('Error initializing ProfileManager:', error);
+        }
+    } else {
+        console.error('ProfileManager not found!');
     }
     
-    // 7. Word Manager (depends on StorageService, UIFactory)
+    // 6. Word Manager (depends on StorageService, UIFactory)
     if (window.WordManager) {
         console.log('Initializing WordManager...');
         try {
@@ -176,7 +189,15 @@ function initializeModules() {
                 imageUploadArea: document.getElementById('image-upload-area'),
                 imageUpload: document.getElementById('image-upload'),
                 imagePreview: document.getElementById('image-preview'),
-                wordList: document.getElementById('word-items')
+                wordList: document.getElementById('word-items'),
+                deckSelect: document.getElementById('deck-select'),
+                newDeckBtn: document.getElementById('new-deck-btn'),
+                renameDeckBtn: document.getElementById('rename-deck-btn'),
+                duplicateDeckBtn: document.getElementById('duplicate-deck-btn'),
+                deleteDeckBtn: document.getElementById('delete-deck-btn'),
+                exportDeckBtn: document.getElementById('export-deck-btn'),
+                importDeckBtn: document.getElementById('import-deck-btn'),
+                deckFileInput: document.getElementById('deck-file-input')
             };
             
             window.WordManager.init(wordManagerElements);
@@ -188,7 +209,105 @@ function initializeModules() {
         console.error('WordManager not found!');
     }
     
-    // 8. Word Controller (depends on WordManager, GameState, EventBus)
+    // Word Importer (depends on WordManager, UIFactory)
+    if (window.WordImporter) {
+        console.log('Initializing WordImporter...');
+        try {
+            window.WordImporter.init({
+                toggleBtn: document.getElementById('import-toggle-btn'),
+                panel: document.getElementById('import-panel'),
+                textInput: document.getElementById('import-text'),
+                dropArea: document.getElementById('import-drop-area'),
+                fileInput: document.getElementById('import-file'),
+                fileBtn: document.getElementById('import-file-btn'),
+                formatSelect: document.getElementById('import-format'),
+                previewBtn: document.getElementById('import-preview-btn'),
+                confirmBtn: document.getElementById('import-confirm-btn'),
+                summary: document.getElementById('import-summary'),
+                previewTable: document.getElementById('import-preview-rows')
+            });
+            console.log('WordImporter initialized');
+        } catch (error) {
+            console.error('Error initializing WordImporter:', error);
+        }
+    } else {
+        console.error('WordImporter not found!');
+    }
+    
+    // Backup Manager (depends on StorageService, ImageStore, RecordingStore, SoundStore, UIFactory)
+    if (window.BackupManager) {
+        console.log('Initializing BackupManager...');
+        try {
+            window.BackupManager.init({
+                backupBtn: document.getElementById('backup-btn'),
+                restoreBtn: document.getElementById('restore-btn'),
+                fileInput: document.getElementById('restore-file-input'),
+                panel: document.getElementById('restore-panel'),
+                summary: document.getElementById('restore-summary'),
+                previewTable: document.getElementById('restore-preview-rows'),
+                confirmBtn: document.getElementById('restore-confirm-btn'),
+                cancelBtn: document.getElementById('restore-cancel-btn')
+            });
+            console.log('BackupManager initialized');
+        } catch (error) {
+            console.error('Error initializing BackupManager:', error);
+        }
+    } else {
+        console.error('BackupManager not found!');
+    }
+    
+    // Word Scheduler (depends on StorageService, EventBus; before WordController so skips are recorded first)
+    if (window.WordScheduler) {
+        console.log('Initializing WordScheduler...');
+        try {
+            window.WordScheduler.init();
+            console.log('WordScheduler initialized');
+        } catch (error) {
+            console.error('Error initializing WordScheduler:', error);
+        }
+    } else {
+        console.error('WordScheduler not found!');
+    }
+    
+    // Word Stats (depends on StorageService, EventBus; before WordController so the first word is seen)
+    if (window.WordStats) {
+        console.log('Initializing WordStats...');
+        try {
+            window.WordStats.init();
+            console.log('WordStats initialized');
+        } catch (error) {
+            console.error('Error initializing WordStats:', error);
+        }
+    } else {
+        console.error('WordStats not found!');
+    }
+    
+    // Progress Dashboard (depends on WordStats, WordManager, UIFactory)
+    if (window.ProgressDashboard) {
+        console.log('Initializing ProgressDashboard...');
+        try {
+            window.ProgressDashboard.init({
+                openBtn: document.getElementById('dashboard-btn'),
+                overlay: document.getElementById('dashboard-overlay'),
+                closeBtn: document.getElementById('dashboard-close-btn'),
+                learnerName: document.getElementById('dashboard-learner'),
+                summary: document.getElementById('dashboard-summary'),
+                masteryChart: document.getElementById('dashboard-mastery'),
+                wordLists: document.getElementById('dashboard-word-lists'),
+                accuracyChart: document.getElementById('dashboard-accuracy-chart'),
+                timeChart: document.getElementById('dashboard-time-chart'),
+                hintChart: document.getElementById('dashboard-hint-chart'),
+                sessionTable: document.getElementById('dashboard-session-rows')
+            });
+            console.log('ProgressDashboard initialized');
+        } catch (error) {
+            console.error('Error initializing ProgressDashboard:', error);
+        }
+    } else {
+        console.error('ProgressDashboard not found!');
+    }
+    
+    // 7. Word Controller (depends on WordManager, WordScheduler, GameState, EventBus)
     if (window.WordController) {
         console.log('Initializing WordController...');
         try {
@@ -201,7 +320,7 @@ function initializeModules() {
         console.error('WordController not found!');
     }
     
-    // 9. Input Managers (depend on EventBus)
+    // 8. Input (depends on EventBus)
     if (window.InputManager) {
         console.log('Initializing InputManager...');
         try {
@@ -214,20 +333,27 @@ function initializeModules() {
         console.error('InputManager not found!');
     }
     
-    // Initialize TouchDragManager after InputManager
-    if (window.TouchDragManager) {
-        console.log('Initializing TouchDragManager...');
+    if (window.KeyboardControls) {
+        console.log('Initializing KeyboardControls...');
         try {
-            window.TouchDragManager.init();
-            console.log('TouchDragManager initialized');
+            window.KeyboardControls.init({
+                dropArea: document.getElementById('drop-area'),
+                scrambledWordArea: document.getElementById('scrambled-word'),
+                helpText: document.getElementById('keyboard-help'),
+                checkBtn: document.getElementById('check-btn'),
+                hintBtn: document.getElementById('hint-btn'),
+                pronounceBtn: document.getElementById('pronounce-btn'),
+                nextBtn: document.getElementById('next-btn')
+            });
+            console.log('KeyboardControls initialized');
         } catch (error) {
-            console.error('Error initializing TouchDragManager:', error);
+            console.error('Error initializing KeyboardControls:', error);
         }
     } else {
-        console.log('TouchDragManager not found or not needed on this device');
+        console.error('KeyboardControls not found!');
     }
     
-    // 10. Game Controller (depends on all other modules)
+    // 9. Game Controller (depends on all other modules)
     if (window.GameController) {
         console.log('Initializing GameController...');
         try {
@@ -250,6 +376,190 @@ function initializeModules() {
     } else {
         console.error('GameController not found!');
     }
+    
+    // 10. Game modes (depend on GameController, WordController, UIFactory)
+    if (window.TimedChallenge) {
+        console.log('Initializing TimedChallenge...');
+        try {
+            window.TimedChallenge.init({
+                startBtn: document.getElementById('timed-btn'),
+                timerBar: document.getElementById('timer-bar'),
+                timerDisplay: document.getElementById('timer-display'),
+                bonusDisplay: document.getElementById('timer-bonus'),
+                stopBtn: document.getElementById('timed-stop-btn'),
+                overlay: document.getElementById('timed-overlay'),
+                setupPanel: document.getElementById('timed-setup'),
+                durationOptions: document.getElementById('timed-duration-options'),
+                cancelBtn: document.getElementById('timed-cancel-btn'),
+                summaryPanel: document.getElementById('timed-summary'),
+                result: document.getElementById('timed-result'),
+                solvedList: document.getElementById('timed-solved-list'),
+                skippedList: document.getElementById('timed-skipped-list'),
+                againBtn: document.getElementById('timed-again-btn'),
+                doneBtn: document.getElementById('timed-done-btn')
+            });
+            console.log('TimedChallenge initialized');
+        } catch (error) {
+            console.error('Error initializing TimedChallenge:', error);
+        }
+    } else {
+        console.error('TimedChallenge not found!');
+    }
+    
+    if (window.LessonSession) {
+        console.log('Initializing LessonSession...');
+        try {
+            window.LessonSession.init({
+                startBtn: document.getElementById('lesson-btn'),
+                progressBar: document.getElementById('lesson-bar'),
+                progressText: document.getElementById('lesson-progress-text'),
+                progressFill: document.getElementById('lesson-progress-fill'),
+                stopBtn: document.getElementById('lesson-stop-btn'),
+                overlay: document.getElementById('lesson-overlay'),
+                setupPanel: document.getElementById('lesson-setup'),
+                deckInfo: document.getElementById('lesson-deck-info'),
+                lengthOptions: document.getElementById('lesson-length-options'),
+                cancelBtn: document.getElementById('lesson-cancel-btn'),
+                resultsPanel: document.getElementById('lesson-results'),
+                stars: document.getElementById('lesson-stars'),
+                result: document.getElementById('lesson-result'),
+                wordList: document.getElementById('lesson-word-list'),
+                retryBtn: document.getElementById('lesson-retry-btn'),
+                newBtn: document.getElementById('lesson-new-btn'),
+                doneBtn: document.getElementById('lesson-done-btn')
+            });
+            console.log('LessonSession initialized');
+        } catch (error) {
+            console.error('Error initializing LessonSession:', error);
+        }
+    } else {
+        console.error('LessonSession not found!');
+    }
+    
+    if (window.SurvivalMode) {
+        console.log('Initializing SurvivalMode...');
+        try {
+            window.SurvivalMode.init({
+                startBtn: document.getElementById('survival-btn'),
+                survivalBar: document.getElementById('survival-bar'),
+                livesDisplay: document.getElementById('lives-display'),
+                pointsDisplay: document.getElementById('survival-points'),
+                stopBtn: document.getElementById('survival-stop-btn'),
+                overlay: document.getElementById('survival-overlay'),
+                introPanel: document.getElementById('survival-intro'),
+                introText: document.getElementById('survival-intro-text'),
+                beginBtn: document.getElementById('survival-begin-btn'),
+                cancelBtn: document.getElementById('survival-cancel-btn'),
+                summaryPanel: document.getElementById('survival-summary'),
+                result: document.getElementById('survival-result'),
+                solvedList: document.getElementById('survival-solved-list'),
+                againBtn: document.getElementById('survival-again-btn'),
+                doneBtn: document.getElementById('survival-done-btn')
+            });
+            console.log('SurvivalMode initialized');
+        } catch (error) {
+            console.error('Error initializing SurvivalMode:', error);
+        }
+    } else {
+        console.error('SurvivalMode not found!');
+    }
+    
+    // 11. Letter feedback (depends on GameController, ProfileManager)
+    if (window.LetterFeedback) {
+        console.log('Initializing LetterFeedback...');
+        try {
+            window.LetterFeedback.init({
+                dropArea: document.getElementById('drop-area'),
+                feedbackToggle: document.getElementById('letter-feedback-toggle'),
+                lockToggle: document.getElementById('lock-correct-toggle')
+            });
+            console.log('LetterFeedback initialized');
+        } catch (error) {
+            console.error('Error initializing LetterFeedback:', error);
+        }
+    } else {
+        console.error('LetterFeedback not found!');
+    }
+    
+    // 12. Screen reader support (after LetterFeedback, so its colors are in the box labels)
+    if (window.ScreenReader) {
+        console.log('Initializing ScreenReader...');
+        try {
+            window.ScreenReader.init({
+                announcer: document.getElementById('sr-announcer'),
+                dropArea: document.getElementById('drop-area'),
+                celebration: document.getElementById('celebration-element')
+            });
+            console.log('ScreenReader initialized');
+        } catch (error) {
+            console.error('Error initializing ScreenReader:', error);
+        }
+    } else {
+        console.error('ScreenReader not found!');
+    }
+    
+    // 13. Speech settings (depends on AudioService and ProfileManager)
+    if (window.SpeechSettings) {
+        console.log('Initializing SpeechSettings...');
+        try {
+            window.SpeechSettings.init({
+                langSelect: document.getElementById('speech-lang-select'),
+                voiceSelect: document.getElementById('speech-voice-select'),
+                rateInput: document.getElementById('speech-rate'),
+                rateValue: document.getElementById('speech-rate-value'),
+                pitchInput: document.getElementById('speech-pitch'),
+                pitchValue: document.getElementById('speech-pitch-value'),
+                fallbackToggle: document.getElementById('speech-fallback-toggle'),
+                testBtn: document.getElementById('speech-test-btn'),
+                status: document.getElementById('speech-status')
+            });
+            console.log('SpeechSettings initialized');
+        } catch (error) {
+            console.error('Error initializing SpeechSettings:', error);
+        }
+    } else {
+        console.error('SpeechSettings not found!');
+    }
+    
+    // 14. Sound effect settings (depends on AudioService)
+    if (window.SoundSettings) {
+        console.log('Initializing SoundSettings...');
+        try {
+            window.SoundSettings.init({
+                list: document.getElementById('sound-effects-list'),
+                fileInput: document.getElementById('sound-file-input'),
+                status: document.getElementById('sound-status')
+            });
+            console.log('SoundSettings initialized');
+        } catch (error) {
+            console.error('Error initializing SoundSettings:', error);
+        }
+    } else {
+        console.error('SoundSettings not found!');
+    }
+    
+    // 15. Mute button and volume settings (depends on AudioService and ProfileManager)
+    if (window.AudioSettings) {
+        console.log('Initializing AudioSettings...');
+        try {
+            window.AudioSettings.init({
+                muteBtn: document.getElementById('mute-btn'),
+                masterInput: document.getElementById('volume-master'),
+                masterValue: document.getElementById('volume-master-value'),
+                effectsInput: document.getElementById('volume-effects'),
+                effectsValue: document.getElementById('volume-effects-value'),
+                celebrationInput: document.getElementById('volume-celebration'),
+                celebrationValue: document.getElementById('volume-celebration-value'),
+                speechInput: document.getElementById('volume-speech'),
+                speechValue: document.getElementById('volume-speech-value')
+            });
+            console.log('AudioSettings initialized');
+        } catch (error) {
+            console.error('Error initializing AudioSettings:', error);
+        }
+    } else {
+        console.error('AudioSettings not found!');
+    }
 }
 
 /**
@@ -0,0 +1,523 @@
+/**
+ * Profile Manager Module for Word Scramble Game
+ * Manages learner profiles so each child keeps their own score, word history and preferences
+ */
+const ProfileManager = (function() {
+    // Private state
+    let _profiles = [];
+    let _activeProfileId = null;
+    let _editingProfileId = null;
+    let _selectedAvatar = null;
+    
+    // DOM elements
+    let _elements = {
+        switchBtn: null,
+        avatarDisplay: null,
+        nameDisplay: null,
+        overlay: null,
+        profileList: null,
+        addProfileBtn: null,
+        form: null,
+        formTitle: null,
+        nameInput: null,
+        ageInput: null,
+        avatarOptions: null,
+        cancelBtn: null
+    };
+    
+    // Private methods
+    
+    /**
+     * Find a profile by ID
+     * @param {string} profileId - Profile ID
+     * @returns {Object|null} Profile or null
+     */
+    function _findProfile(profileId) {
+        return _profiles.find(profile => profile.id === profileId) || null;
+    }
+    
+    /**
+     * Generate a unique profile ID
+     * @returns {string} Profile ID
+     */
+    function _generateProfileId() {
+        return `profile-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    }
+    
+    /**
+     * Validate a profile name
+     * @param {string} name - Proposed name
+     * @param {string} ignoreProfileId - Profile allowed to already use the name
+     * @returns {string|null} Trimmed name or null if invalid
+     */
+    function _validateName(name, ignoreProfileId) {
+        const trimmed = (name || '').trim();
+        if (!trimmed || trimmed.length > 30) {
+            return null;
+        }
+        
+        const lowerName = trimmed.toLowerCase();
+        const existing = _profiles.find(profile => profile.name.toLowerCase() === lowerName);
+        if (existing && existing.id !== ignoreProfileId) {
+            return null;
+        }
+        
+        return trimmed;
+    }
+    
+    /**
+     * Normalize an optional age
+     * @param {*} age - Age as entered
+     * @returns {number|null|undefined} Whole age, null if blank, undefined if invalid
+     */
+    function _normalizeAge(age) {
+        if (age === null || age === undefined || age === '') {
+            return null;
+        }
+        
+        const value = Number(age);
+        return Number.isInteger(value) && value > 0 && value < 120 ? value : undefined;
+    }
+    
+    /**
+     * Save profiles to storage
+     */
+    function _saveProfiles() {
+        StorageService.saveProfiles(_profiles);
+    }
+    
+    /**
+     * Switch to another profile
+     * @param {string} profileId - Profile ID to activate
+     * @returns {boolean} Success status
+     */
+    function _setActiveProfile(profileId) {
+        const profile = _findProfile(profileId);
+        if (!profile) {
+            return false;
+        }
+        
+        _activeProfileId = profile.id;
+        StorageService.saveActiveProfileId(profile.id);
+        _updateProfileBar();
+        
+        // Let the game load this profile's score and preferences
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('profileChanged', {
+                profileId: profile.id,
+                name: profile.name
+            });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Create a profile
+     * @param {Object} data - Profile fields ({name, avatar, age})
+     * @returns {string|null} New profile ID or null if the data is invalid
+     */
+    function _createProfile(data) {
+        const name = _validateName(data && data.name);
+        const age = _normalizeAge(data && data.age);
+        if (!name || age === undefined) {
+            return null;
+        }
+        
+        const profile = {
+            id: _generateProfileId(),
+            name,
+            avatar: (data.avatar || '').trim() || GameConfig.get('profileAvatars')[0],
+            age
+        };
+        
+        _profiles.push(profile);
+        _saveProfiles();
+        
+        return profile.id;
+    }
+    
+    /**
+     * Update a profile's name, avatar or age
+     * @param {string} profileId - Profile ID
+     * @param {Object} changes - Fields to change ({name, avatar, age})
+     * @returns {boolean} Success status
+     */
+    function _updateProfile(profileId, changes) {
+        const profile = _findProfile(profileId);
+        if (!profile || !changes) {
+            return false;
+        }
+        
+        const name = changes.name === undefined ? profile.name : _validateName(changes.name, profileId);
+        const age = changes.age === undefined ? profile.age : _normalizeAge(changes.age);
+        if (!name || age === undefined) {
+            return false;
+        }
+        
+        profile.name = name;
+        profile.age = age;
+        if (changes.avatar && changes.avatar.trim()) {
+            profile.avatar = changes.avatar.trim();
+        }
+        
+        _saveProfiles();
+        _updateProfileBar();
+        
+        return true;
+    }
+    
+    /**
+     * Delete a profile and its progress (the last remaining profile cannot be deleted)
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} Success status
+     */
+    function _deleteProfile(profileId) {
+        const index = _profiles.findIndex(profile => profile.id === profileId);
+        if (index === -1 || _profiles.length <= 1) {
+            return false;
+        }
+        
+        _profiles.splice(index, 1);
+        _saveProfiles();
+        StorageService.removeProfileData(profileId);
+        
+        // Fall back to the first profile if the active one was deleted
+        if (profileId === _activeProfileId) {
+            _setActiveProfile(_profiles[0].id);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Show the active profile in the profile bar
+     */
+    function _updateProfileBar() {
+        const profile = _findProfile(_activeProfileId);
+        if (!profile) return;
+        
+        if (_elements.avatarDisplay) {
+            _elements.avatarDisplay.textContent = profile.avatar;
+        }
+        if (_elements.nameDisplay) {
+            _elements.nameDisplay.textContent = profile.name;
+        }
+    }
+    
+    /**
+     * Fill the profile picker
+     */
+    function _populateProfileList() {
+        if (!_elements.profileList) return;
+        
+        _elements.profileList.innerHTML = '';
+        _profiles.forEach(profile => {
+            _elements.profileList.appendChild(window.UIFactory.createProfileCard(
+                profile,
+                profile.id === _activeProfileId,
+                {
+                    select: _chooseProfile,
+                    edit: _openForm,
+                    remove: _confirmDeleteProfile
+                },
+                _profiles.length > 1
+            ));
+        });
+    }
+    
+    /**
+     * Select a profile from the picker and start playing
+     * @param {string} profileId - Profile ID
+     */
+    function _chooseProfile(profileId) {
+        if (profileId !== _activeProfileId) {
+            _setActiveProfile(profileId);
+        }
+        _hidePicker();
+    }
+    
+    /**
+     * Ask before deleting a profile
+     * @param {string} profileId - Profile ID
+     */
+    function _confirmDeleteProfile(profileId) {
+        const profile = _findProfile(profileId);
+        if (!profile) return;
+        
+        if (_profiles.length <= 1) {
+            alert('You need at least one profile.');
+            return;
+        }
+        
+        if (confirm(`Delete ${profile.name}'s profile? Their score and progress will be lost.`)) {
+            _deleteProfile(profileId);
+            _populateProfileList();
+        }
+    }
+    
+    /**
+     * Highlight the chosen avatar in the form
+     * @param {string} avatar - Avatar emoji
+     */
+    function _selectAvatar(avatar) {
+        _selectedAvatar = avatar;
+        
+        if (!_elements.avatarOptions) return;
+        _elements.avatarOptions.querySelectorAll('.avatar-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.avatar === avatar);
+        });
+    }
+    
+    /**
+     * Show the add/edit profile form
+     * @param {string} profileId - Profile to edit, or nothing to add a new one
+     */
+    function _openForm(profileId) {
+        const profile = profileId ? _findProfile(profileId) : null;
+        const avatars = GameConfig.get('profileAvatars');
+        _editingProfileId = profile ? profile.id : null;
+        
+        _elements.formTitle.textContent = profile ? 'Edit Profile' : 'New Profile';
+        _elements.nameInput.value = profile ? profile.name : '';
+        _elements.ageInput.value = profile && profile.age ? profile.age : '';
+        _selectAvatar(profile ? profile.avatar : avatars[_profiles.length % avatars.length]);
+        
+        _elements.form.classList.add('active');
+        _elements.addProfileBtn.style.display = 'none';
+        _elements.nameInput.focus();
+    }
+    
+    /**
+     * Hide the add/edit profile form
+     */
+    function _closeForm() {
+        _editingProfileId = null;
+        _elements.form.classList.remove('active');
+        _elements.addProfileBtn.style.display = '';
+    }
+    
+    /**
+     * Save the add/edit profile form
+     */
+    function _submitForm() {
+        const data = {
+            name: _elements.nameInput.value,
+            avatar: _selectedAvatar,
+            age: _elements.ageInput.value
+        };
+        
+        if (!_validateName(data.name, _editingProfileId)) {
+            alert('Please enter a name that no other profile uses.');
+            return;
+        }
+        if (_normalizeAge(data.age) === undefined) {
+            alert('Please enter the age as a whole number, or leave it empty.');
+            return;
+        }
+        
+        if (_editingProfileId) {
+            _updateProfile(_editingProfileId, data);
+        } else {
+            _createProfile(data);
+        }
+        
+        _closeForm();
+        _populateProfileList();
+    }
+    
+    /**
+     * Show the profile picker
+     */
+    function _showPicker() {
+        if (!_elements.overlay) return;
+        
+        _populateProfileList();
+        _closeForm();
+        _elements.overlay.classList.add('active');
+    }
+    
+    /**
+     * Hide the profile picker
+     */
+    function _hidePicker() {
+        if (_elements.overlay) {
+            _elements.overlay.classList.remove('active');
+        }
+    }
+    
+    /**
+     * Set up the profile bar and picker controls
+     */
+    function _setupControls() {
+        if (_elements.switchBtn) {
+            _elements.switchBtn.addEventListener('click', _showPicker);
+        }
+        
+        if (_elements.addProfileBtn) {
+            _elements.addProfileBtn.addEventListener('click', () => _openForm());
+        }
+        
+        if (_elements.avatarOptions) {
+            _elements.avatarOptions.innerHTML = '';
+            GameConfig.get('profileAvatars').forEach(avatar => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'avatar-option';
+                option.dataset.avatar = avatar;
+                option.textContent = avatar;
+                option.addEventListener('click', () => _selectAvatar(avatar));
+                _elements.avatarOptions.appendChild(option);
+            });
+        }
+        
+        if (_elements.form) {
+            _elements.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                _submitForm();
+            });
+        }
+        
+        if (_elements.cancelBtn) {
+            _elements.cancelBtn.addEventListener('click', _closeForm);
+        }
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the profile manager
+         * Shows the profile picker when more than one learner uses the game
+         * @param {Object} elements - DOM elements
+         * @returns {Object} ProfileManager for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            _profiles = StorageService.getProfiles();
+            const savedProfileId = StorageService.getActiveProfileId();
+            _activeProfileId = (_findProfile(savedProfileId) || _profiles[0]).id;
+            
+            // Make sure the default profile is stored
+            if (savedProfileId !== _activeProfileId) {
+                _saveProfiles();
+                StorageService.saveActiveProfileId(_activeProfileId);
+            }
+            
+            if (!_elements.overlay || !_elements.profileList || !_elements.form ||
+                !_elements.nameInput || !_elements.ageInput || !_elements.addProfileBtn) {
+                console.error('Missing required elements for profile management');
+            } else {
+                _setupControls();
+            }
+            _updateProfileBar();
+            
+            if (_profiles.length > 1) {
+                _showPicker();
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Get all profiles
+         * @returns {Array} Copies of the profiles ({id, name, avatar, age})
+         */
+        getProfiles: function() {
+            return _profiles.map(profile => ({...profile}));
+        },
+        
+        /**
+         * Get the active profile
+         * @returns {Object|null} Copy of the active profile
+         */
+        getActiveProfile: function() {
+            const profile = _findProfile(_activeProfileId);
+            return profile ? {...profile} : null;
+        },
+        
+        /**
+         * Switch to another profile
+         * @param {string} profileId - Profile ID
+         * @returns {boolean} Success status
+         */
+        setActiveProfile: function(profileId) {
+            return _setActiveProfile(profileId);
+        },
+        
+        /**
+         * Create a profile
+         * @param {Object} data - Profile fields ({name, avatar, age})
+         * @returns {string|null} New profile ID or null if the data is invalid
+         */
+        createProfile: function(data) {
+            return _createProfile(data);
+        },
+        
+        /**
+         * Update a profile
+         * @param {string} profileId - Profile ID
+         * @param {Object} changes - Fields to change ({name, avatar, age})
+         * @returns {boolean} Success status
+         */
+        updateProfile: function(profileId, changes) {
+            return _updateProfile(profileId, changes);
+        },
+        
+        /**
+         * Delete a profile and its progress
+         * @param {string} profileId - Profile ID
+         * @returns {boolean} Success status
+         */
+        deleteProfile: function(profileId) {
+            return _deleteProfile(profileId);
+        },
+        
+        /**
+         * Get the active profile's per-word history (recorded by WordStats)
+         * @returns {Object} Word to saved statistics entry
+         */
+        getWordHistory: function() {
+            return StorageService.getWordHistory();
+        },
+        
+        /**
+         * Get one of the active profile's preferences
+         * @param {string} name - Preference name
+         * @param {*} defaultValue - Value to use if the preference is not set
+         * @returns {*} Preference value
+         */
+        getPreference: function(name, defaultValue) {
+            const preferences = StorageService.getPreferences();
+            return Object.prototype.hasOwnProperty.call(preferences, name) ? preferences[name] : defaultValue;
+        },
+        
+        /**
+         * Set one of the active profile's preferences
+         * @param {string} name - Preference name
+         * @param {*} value - Preference value
+         * @returns {boolean} Success status
+         */
+        setPreference: function(name, value) {
+            const preferences = StorageService.getPreferences();
+            preferences[name] = value;
+            const saved = StorageService.savePreferences(preferences);
+            
+            if (window.EventBus && typeof window.EventBus.publish === 'function') {
+                window.EventBus.publish('preferenceChanged', { name, value });
+            }
+            
+            return saved;
+        },
+        
+        /**
+         * Show the profile picker
+         */
+        showPicker: function() {
+            _showPicker();
+        }
+    };
+})();
+
+// Export the module
+window.ProfileManager = ProfileManager;
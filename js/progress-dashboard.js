@@ -0,0 +1,427 @@
+/**
+ * Progress Dashboard Module for Word Scramble Game
+ * Shows parents and teachers how the active learner is doing: words mastered
+ * and struggling, accuracy, solve time and hint reliance by day, and recent sessions
+ * Charts are drawn with SVG and canvas from the data recorded by WordStats
+ */
+const ProgressDashboard = (function() {
+    // Private variables
+    let _elements = {
+        openBtn: null,
+        overlay: null,
+        closeBtn: null,
+        learnerName: null,
+        summary: null,
+        masteryChart: null,
+        wordLists: null,
+        accuracyChart: null,
+        timeChart: null,
+        hintChart: null,
+        sessionTable: null
+    };
+    
+    // Colours for each word status, in the order they are drawn
+    const _statusColors = {
+        mastered: '#00b894',
+        learning: '#74b9ff',
+        struggling: '#ff7675',
+        new: '#dfe6e9'
+    };
+    
+    const _statusLabels = {
+        mastered: 'Mastered',
+        learning: 'Learning',
+        struggling: 'Struggling',
+        new: 'Not played yet'
+    };
+    
+    // Private methods
+    
+    /**
+     * Format a 0-1 ratio as a percentage
+     * @param {number|null} value - Ratio
+     * @returns {string} Percentage, or a dash when unknown
+     */
+    function _formatPercent(value) {
+        return value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+    }
+    
+    /**
+     * Format a duration for display
+     * @param {number|null} ms - Duration in milliseconds
+     * @returns {string} Duration such as "8s" or "2m 5s", or a dash when unknown
+     */
+    function _formatDuration(ms) {
+        if (ms === null || ms === undefined) return '–';
+        
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+    
+    /**
+     * Get the words in the active deck
+     * @returns {Array} Words
+     */
+    function _getDeckWords() {
+        if (window.WordManager && typeof window.WordManager.getWords === 'function') {
+            return window.WordManager.getWords();
+        }
+        return [];
+    }
+    
+    /**
+     * Show the summary tiles
+     * @param {Object} summary - WordStats summary for all words played
+     * @param {Object} groups - Deck words grouped by status
+     * @param {number} deckSize - Number of words in the deck
+     */
+    function _renderSummary(summary, groups, deckSize) {
+        _elements.summary.innerHTML = '';
+        
+        const tiles = [
+            ['Words mastered', `${groups.mastered.length} of ${deckSize}`],
+            ['Struggling words', String(groups.struggling.length)],
+            ['Accuracy', _formatPercent(summary.accuracy)],
+            ['Average solve time', _formatDuration(summary.averageSolveTime)],
+            ['Solved with a hint', _formatPercent(summary.hintReliance)],
+            ['Words played', String(summary.wordsPlayed)]
+        ];
+        
+        tiles.forEach(([label, value]) => {
+            _elements.summary.appendChild(UIFactory.createDashboardTile(label, value));
+        });
+    }
+    
+    /**
+     * Draw the deck's words as a stacked SVG bar by status, with a legend
+     * @param {Object} groups - Deck words grouped by status
+     */
+    function _renderMasteryChart(groups) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const total = Object.keys(_statusColors).reduce((sum, status) => sum + groups[status].length, 0);
+        
+        _elements.masteryChart.innerHTML = '';
+        
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'dashboard-mastery-bar');
+        svg.setAttribute('viewBox', '0 0 100 10');
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', Object.keys(_statusColors)
+            .map(status => `${_statusLabels[status]}: ${groups[status].length}`)
+            .join(', '));
+        
+        let offset = 0;
+        Object.keys(_statusColors).forEach(status => {
+            const count = groups[status].length;
+            if (total === 0 || count === 0) return;
+            
+            const rect = document.createElementNS(svgNS, 'rect');
+            const width = count / total * 100;
+            rect.setAttribute('x', offset);
+            rect.setAttribute('y', 0);
+            rect.setAttribute('width', width);
+            rect.setAttribute('height', 10);
+            rect.setAttribute('fill', _statusColors[status]);
+            
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = `${_statusLabels[status]}: ${count}`;
+            rect.appendChild(title);
+            
+            svg.appendChild(rect);
+            offset += width;
+        });
+        
+        _elements.masteryChart.appendChild(svg);
+        
+        const legend = document.createElement('div');
+        legend.className = 'dashboard-legend';
+        Object.keys(_statusColors).forEach(status => {
+            const item = document.createElement('span');
+            item.className = 'dashboard-legend-item';
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'dashboard-swatch';
+            swatch.style.backgroundColor = _statusColors[status];
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(`${_statusLabels[status]} (${groups[status].length})`));
+            
+            legend.appendChild(item);
+        });
+        _elements.masteryChart.appendChild(legend);
+    }
+    
+    /**
+     * List the struggling and mastered words
+     * @param {Object} groups - Deck words grouped by status
+     */
+    function _renderWordLists(groups) {
+        _elements.wordLists.innerHTML = '';
+        
+        ['struggling', 'mastered'].forEach(status => {
+            const paragraph = document.createElement('p');
+            
+            const label = document.createElement('strong');
+            label.textContent = `${_statusLabels[status]}: `;
+            paragraph.appendChild(label);
+            paragraph.appendChild(document.createTextNode(groups[status].length > 0 ? groups[status].join(', ') : 'none yet'));
+            
+            _elements.wordLists.appendChild(paragraph);
+        });
+    }
+    
+    /**
+     * Draw a line or bar chart of one value per day on a canvas
+     * Days without play are left empty
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Array} labels - Label for each day
+     * @param {Array} values - Value for each day (null when there is none)
+     * @param {Object} options - {type: 'line' or 'bar', color, max (optional), format(value)}
+     */
+    function _drawChart(canvas, labels, values, options) {
+        const context = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+        if (!context) return;
+        
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = { top: 15, right: 10, bottom: 25, left: 45 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const max = options.max || Math.max(1, ...values.filter(value => value !== null));
+        const step = plotWidth / labels.length;
+        const xFor = index => padding.left + step * (index + 0.5);
+        const yFor = value => padding.top + plotHeight - (value / max) * plotHeight;
+        
+        context.clearRect(0, 0, width, height);
+        context.font = '11px sans-serif';
+        context.lineWidth = 1;
+        
+        // Grid lines with value labels
+        context.strokeStyle = '#dfe6e9';
+        context.fillStyle = '#576574';
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const value = max * i / 4;
+            const y = yFor(value);
+            context.beginPath();
+            context.moveTo(padding.left, y);
+            context.lineTo(width - padding.right, y);
+            context.stroke();
+            context.fillText(options.format(value), padding.left - 6, y);
+        }
+        
+        // Day labels
+        context.textAlign = 'center';
+        context.textBaseline = 'top';
+        labels.forEach((label, index) => {
+            context.fillText(label, xFor(index), height - padding.bottom + 8);
+        });
+        
+        context.fillStyle = options.color;
+        context.strokeStyle = options.color;
+        
+        if (options.type === 'line') {
+            context.lineWidth = 2;
+            context.beginPath();
+            let drawing = false;
+            values.forEach((value, index) => {
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                if (drawing) {
+                    context.lineTo(xFor(index), yFor(value));
+                } else {
+                    context.moveTo(xFor(index), yFor(value));
+                }
+                drawing = true;
+            });
+            context.stroke();
+            
+            values.forEach((value, index) => {
+                if (value === null) return;
+                context.beginPath();
+                context.arc(xFor(index), yFor(value), 3, 0, Math.PI * 2);
+                context.fill();
+            });
+        } else {
+            const barWidth = step * 0.6;
+            values.forEach((value, index) => {
+                if (value === null) return;
+                const y = yFor(value);
+                context.fillRect(xFor(index) - barWidth / 2, y, barWidth, padding.top + plotHeight - y);
+            });
+        }
+    }
+    
+    /**
+     * Draw the daily accuracy, solve time and hint reliance charts
+     * @param {Array} days - WordStats daily totals, oldest first
+     */
+    function _renderDailyCharts(days) {
+        const labels = days.map(day => {
+            const [year, month, date] = day.date.split('-').map(Number);
+            return new Date(year, month - 1, date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        });
+        
+        _drawChart(_elements.accuracyChart, labels, days.map(day => day.accuracy), {
+            type: 'line',
+            color: '#0984e3',
+            max: 1,
+            format: _formatPercent
+        });
+        
+        _drawChart(_elements.timeChart, labels, days.map(day => day.averageSolveTime), {
+            type: 'bar',
+            color: '#fdcb6e',
+            format: _formatDuration
+        });
+        
+        _drawChart(_elements.hintChart, labels, days.map(day => day.hintReliance), {
+            type: 'bar',
+            color: '#e17055',
+            max: 1,
+            format: _formatPercent
+        });
+    }
+    
+    /**
+     * Fill the session history table
+     * @param {Array} sessions - WordStats sessions, newest first
+     */
+    function _renderSessions(sessions) {
+        _elements.sessionTable.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            const row = UIFactory.createSessionRow({
+                date: 'No sessions yet',
+                length: '',
+                words: '',
+                solved: '',
+                accuracy: '',
+                hints: ''
+            });
+            _elements.sessionTable.appendChild(row);
+            return;
+        }
+        
+        sessions.forEach(session => {
+            _elements.sessionTable.appendChild(UIFactory.createSessionRow({
+                date: new Date(session.startedAt).toLocaleString(),
+                length: _formatDuration(session.endedAt - session.startedAt),
+                words: String(session.seen),
+                solved: String(session.correct),
+                accuracy: _formatPercent(session.accuracy),
+                hints: String(session.hintsUsed)
+            }));
+        });
+    }
+    
+    /**
+     * Redraw the whole dashboard for the active learner
+     */
+    function _render() {
+        if (!window.WordStats) {
+            console.error('WordStats not available for the progress dashboard');
+            return;
+        }
+        
+        const words = _getDeckWords();
+        const groups = WordStats.getWordsByStatus(words);
+        
+        if (_elements.learnerName && window.ProfileManager) {
+            const profile = ProfileManager.getActiveProfile();
+            _elements.learnerName.textContent = profile ? profile.name : '';
+        }
+        
+        _renderSummary(WordStats.getSummary(), groups, words.length);
+        _renderMasteryChart(groups);
+        _renderWordLists(groups);
+        _renderDailyCharts(WordStats.getDailyStats(GameConfig.get('dashboardDays')));
+        _renderSessions(WordStats.getSessions(10));
+    }
+    
+    /**
+     * Check whether the dashboard is showing
+     * @returns {boolean} Whether it is open
+     */
+    function _isOpen() {
+        return _elements.overlay.classList.contains('active');
+    }
+    
+    /**
+     * Open the dashboard
+     */
+    function _open() {
+        _render();
+        _elements.overlay.classList.add('active');
+    }
+    
+    /**
+     * Close the dashboard
+     */
+    function _close() {
+        _elements.overlay.classList.remove('active');
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the progress dashboard
+         * @param {Object} elements - DOM elements
+         * @returns {Object} ProgressDashboard for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.openBtn || !_elements.overlay || !_elements.summary || !_elements.masteryChart ||
+                !_elements.wordLists || !_elements.sessionTable) {
+                console.error('Missing required elements for the progress dashboard');
+                return this;
+            }
+            
+            _elements.openBtn.addEventListener('click', _open);
+            
+            if (_elements.closeBtn) {
+                _elements.closeBtn.addEventListener('click', _close);
+            }
+            
+            // Clicking outside the dialog closes it
+            _elements.overlay.addEventListener('click', (e) => {
+                if (e.target === _elements.overlay) {
+                    _close();
+                }
+            });
+            
+            // Keep an open dashboard current
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                ['wordStatsUpdated', 'profileChanged', 'deckChanged'].forEach(eventName => {
+                    window.EventBus.subscribe(eventName, () => {
+                        if (_isOpen()) _render();
+                    });
+                });
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Open the dashboard
+         */
+        show: function() {
+            _open();
+        },
+        
+        /**
+         * Close the dashboard
+         */
+        hide: function() {
+            _close();
+        }
+    };
+})();
+
+// Export the module
+window.ProgressDashboard = ProgressDashboard;
@@ -0,0 +1,93 @@
+/**
+ * Recording Store Module for Word Scramble Game
+ * Keeps recorded pronunciations as blobs in IndexedDB (see BlobStore)
+ * Words reference stored recordings with "rec:<id>" instead of inline data URLs
+ */
+const RecordingStore = (function() {
+    // Stored recordings
+    const _store = BlobStore.create({
+        prefix: 'rec:',
+        idPrefix: 'rec',
+        dbName: GameConfig.get('recordingStore').dbName,
+        storeName: GameConfig.get('recordingStore').storeName,
+        itemName: 'recordings'
+    });
+    
+    // Public API
+    return {
+        /**
+         * Open the recording database and load stored recordings
+         * @returns {Object} RecordingStore for chaining
+         */
+        init: function() {
+            _store.init();
+            return this;
+        },
+        
+        /**
+         * Wait until stored recordings are loaded
+         * @returns {Promise<boolean>} Resolves with whether IndexedDB is available
+         */
+        ready: function() {
+            return _store.ready();
+        },
+        
+        /**
+         * Check whether a value is a stored recording reference
+         * @param {string} ref - Recording reference or data URL
+         * @returns {boolean} Whether the value points into the recording store
+         */
+        isStoredRecording: function(ref) {
+            return _store.isStored(ref);
+        },
+        
+        /**
+         * Resolve a recording reference to a playable URL
+         * Data URLs are returned unchanged
+         * @param {string} ref - Recording reference or data URL
+         * @returns {string|null} Playable URL or null if not loaded
+         */
+        getUrl: function(ref) {
+            return _store.getUrl(ref);
+        },
+        
+        /**
+         * Get a recording as a data URL (for exporting)
+         * @param {string} ref - Recording reference or data URL
+         * @returns {Promise<string|null>} Data URL, or null if missing
+         */
+        toDataUrl: function(ref) {
+            return _store.toDataUrl(ref);
+        },
+        
+        /**
+         * Store a recording
+         * @param {Blob} blob - Recorded audio
+         * @returns {Promise<string>} Recording reference, or a data URL if IndexedDB is unavailable
+         */
+        storeRecording: function(blob) {
+            return _store.store(blob);
+        },
+        
+        /**
+         * Move an inline data URL recording into the store
+         * @param {string} dataUrl - Data URL
+         * @returns {Promise<string>} Recording reference, or the data URL if it cannot be stored
+         */
+        storeDataUrl: function(dataUrl) {
+            return _store.storeDataUrl(dataUrl);
+        },
+        
+        /**
+         * Delete stored recordings that are no longer referenced
+         * @param {Array} refsInUse - Recording references still in use
+         * @returns {Promise<number>} Number of recordings deleted
+         */
+        deleteUnused: function(refsInUse) {
+            return _store.deleteUnused(refsInUse);
+        }
+    };
+})();
+
+// Export the module
+window.RecordingStore = RecordingStore;
@@ -0,0 +1,197 @@
+/**
+ * Screen Reader Module for Word Scramble Game
+ * Keeps the letter boxes labeled with the letters in them and announces
+ * what happens in the game (placed letters, results, the score and the
+ * celebration) through a polite ARIA live region
+ */
+const ScreenReader = (function() {
+    // Private variables
+    let _elements = {
+        announcer: null,
+        dropArea: null,
+        celebration: null
+    };
+    
+    // Messages waiting to be read out together
+    let _pending = [];
+    let _announceTimeout = null;
+    
+    // How each letter feedback class is read out
+    const _feedbackDescriptions = {
+        'feedback-correct': 'in the right place',
+        'feedback-present': 'in the word but in the wrong place',
+        'feedback-absent': 'not in the word'
+    };
+    
+    // Private methods
+    
+    /**
+     * Queue a message for the live region
+     * Messages arriving close together are read as one, so none is cut off
+     * @param {string} message - Message to read out
+     */
+    function _announce(message) {
+        if (!_elements.announcer || !message) return;
+        
+        _pending.push(message);
+        
+        clearTimeout(_announceTimeout);
+        _announceTimeout = setTimeout(() => {
+            // Clear first, so the same message is read again when repeated
+            _elements.announcer.textContent = '';
+            setTimeout(() => {
+                _elements.announcer.textContent = _pending.join(' ');
+                _pending = [];
+            }, 50);
+        }, 150);
+    }
+    
+    /**
+     * Get a letter as it should be read out
+     * @param {string} letter - Letter
+     * @returns {string} The letter in capitals, so it is spelled rather than read as a word
+     */
+    function _spell(letter) {
+        return String(letter || '').trim().toUpperCase();
+    }
+    
+    /**
+     * Describe a letter box: its position, its letter and any feedback on it
+     * @param {HTMLElement} box - Letter box
+     * @param {number} index - Position of the box
+     * @param {number} total - Number of boxes
+     * @returns {string} Label for the box
+     */
+    function _describeBox(box, index, total) {
+        const tile = box.querySelector('.letter-tile');
+        const parts = [`Box ${index + 1} of ${total}`, tile ? _spell(tile.textContent) : 'empty'];
+        
+        if (tile) {
+            Object.keys(_feedbackDescriptions).forEach(className => {
+                if (tile.classList.contains(className)) parts.push(_feedbackDescriptions[className]);
+            });
+            if (tile.classList.contains('locked')) parts.push('locked');
+        }
+        
+        return parts.join(', ');
+    }
+    
+    /**
+     * Label every letter box with what is in it
+     * A placed tile is read as part of its box, so it leaves the tab order until it comes back
+     */
+    function _refreshLabels() {
+        if (!_elements.dropArea) return;
+        
+        const letterBoxes = Array.from(_elements.dropArea.querySelectorAll('.letter-box'));
+        letterBoxes.forEach((box, index) => {
+            box.setAttribute('aria-label', _describeBox(box, index, letterBoxes.length));
+        });
+        
+        document.querySelectorAll('.letter-tile').forEach(tile => {
+            const placed = !!tile.closest('.letter-box');
+            tile.tabIndex = placed ? -1 : 0;
+            if (placed) {
+                tile.setAttribute('aria-hidden', 'true');
+            } else {
+                tile.removeAttribute('aria-hidden');
+            }
+        });
+    }
+    
+    /**
+     * Announce a new word
+     * @param {Object} data - wordLoaded event data
+     */
+    function _handleWordLoaded(data) {
+        if (!data || !data.word) return;
+        
+        _announce(`New word with ${data.word.length} letters.`);
+    }
+    
+    /**
+     * Announce a correct answer with the points and the new score
+     * @param {Object} data - answerCorrect event data
+     */
+    function _handleCorrect(data) {
+        if (!data) return;
+        
+        const bonus = data.multiplier > 1 ? ` with a ×${data.multiplier} streak bonus` : '';
+        _announce(`Correct! ${data.points} points${bonus}. Your score is ${data.score}.`);
+    }
+    
+    /**
+     * Announce a wrong answer, with how many letters are right when letter feedback is shown
+     */
+    function _handleIncorrect() {
+        let message = 'Not quite, try again.';
+        
+        if (_elements.dropArea) {
+            const rightPlace = _elements.dropArea.querySelectorAll('.letter-tile.feedback-correct').length;
+            const colored = _elements.dropArea.querySelectorAll('.letter-tile[data-feedback-position]').length;
+            if (colored > 0) {
+                message += ` ${rightPlace} letter${rightPlace === 1 ? ' is' : 's are'} in the right place.`;
+            }
+        }
+        
+        _announce(message);
+    }
+    
+    /**
+     * Read out the celebration, which is shown without taking focus
+     */
+    function _handleCelebration() {
+        if (!_elements.celebration) return;
+        
+        const text = _elements.celebration.textContent.replace(/\s+/g, ' ').trim();
+        _announce(text);
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize screen reader support
+         * @param {Object} elements - DOM elements
+         * @returns {Object} ScreenReader for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.announcer || !_elements.dropArea) {
+                console.error('Missing required elements for screen reader support');
+                return this;
+            }
+            
+            _refreshLabels();
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                // Box labels follow the letters wherever they move
+                ['wordLoaded', 'dragEnd', 'letterDropped', 'letterReturnedToScrambled', 'hintApplied',
+                    'answerIncorrect', 'answerCorrect'].forEach(eventName => {
+                    window.EventBus.subscribe(eventName, _refreshLabels);
+                });
+                
+                window.EventBus.subscribe('wordLoaded', _handleWordLoaded);
+                window.EventBus.subscribe('letterDropped', data => {
+                    if (data) _announce(`${_spell(data.letter)} in box ${Number(data.targetBox) + 1}.`);
+                });
+                window.EventBus.subscribe('letterReturnedToScrambled', data => {
+                    if (data) _announce(`${_spell(data.letter)} taken back.`);
+                });
+                window.EventBus.subscribe('hintApplied', data => {
+                    if (data && data.letter) {
+                        _announce(`Hint: ${_spell(data.letter)} in box ${data.position + 1}.`);
+                    }
+                });
+                window.EventBus.subscribe('answerCorrect', _handleCorrect);
+                window.EventBus.subscribe('answerIncorrect', _handleIncorrect);
+                window.EventBus.subscribe('celebrationShown', _handleCelebration);
+            }
+            
+            return this;
+        }
+    };
+})();
+
+// Export the module
+window.ScreenReader = ScreenReader;
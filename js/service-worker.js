@@ -9,12 +9,34 @@ const urlsToCache = [
     '/js/main.js',
     '/js/config.js',
     '/js/audio.js',
-    '/js/drag-drop.js',
+    '/js/sound-synth.js',
+    '/js/sound-settings.js',
+    '/js/audio-settings.js',
+    '/js/speech-providers.js',
+    '/js/speech-settings.js',
     '/js/game-controller.js',
+    '/js/timed-challenge.js',
+    '/js/lesson-session.js',
+    '/js/survival-mode.js',
+    '/js/letter-feedback.js',
+    '/js/keyboard-controls.js',
+    '/js/screen-reader.js',
+    '/js/storage-adapters.js',
+    '/js/storage-migrations.js',
     '/js/storage.js',
-    '/js/touch-drag.js',
+    '/js/blob-store.js',
+    '/js/image-store.js',
+    '/js/recording-store.js',
+    '/js/sound-store.js',
+    '/js/voice-recorder.js',
     '/js/ui-factory.js',
-    '/js/word-manager.js'
+    '/js/profile-manager.js',
+    '/js/word-manager.js',
+    '/js/word-scheduler.js',
+    '/js/word-stats.js',
+    '/js/progress-dashboard.js',
+    '/js/word-importer.js',
+    '/js/backup-manager.js'
 ];
 
 self.addEventListener('install', (event) => {
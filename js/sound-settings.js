@@ -0,0 +1,183 @@
+/**
+ * Sound Settings Module for Word Scramble Game
+ * Lists the game's sound effects so each can be heard, replaced with a sound
+ * file, or set back to the built-in sound
+ */
+const SoundSettings = (function() {
+    // Private variables
+    let _elements = {
+        list: null,
+        fileInput: null,
+        status: null
+    };
+    
+    // Sound type waiting for a file from the file picker
+    let _pendingSoundType = null;
+    
+    // Names shown for each sound type
+    const _labels = {
+        correct: 'Correct answer',
+        wrong: 'Wrong answer',
+        drag: 'Letter moved',
+        hint: 'Hint',
+        clapping: 'Applause',
+        whistle: 'Whistle'
+    };
+    
+    // Private methods
+    
+    /**
+     * Describe where a sound type's sound comes from
+     * @param {string} status - Replacement status from AudioService.getCustomSoundStatus()
+     * @returns {string} Description
+     */
+    function _describeStatus(status) {
+        switch (status) {
+            case 'ready':
+                return 'Your sound';
+            case 'loading':
+                return 'Loading your sound…';
+            case 'failed':
+                return 'Your sound could not be played, so the built-in sound is used';
+            default:
+                return 'Built-in';
+        }
+    }
+    
+    /**
+     * Create a small button for a sound row
+     * @param {string} className - Button class
+     * @param {string} icon - Font Awesome icon class
+     * @param {string} text - Button text
+     * @param {string} label - Accessible label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     */
+    function _createButton(className, icon, text, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `game-btn ${className}`;
+        button.setAttribute('aria-label', label);
+        
+        const iconElement = document.createElement('i');
+        iconElement.className = `fas ${icon}`;
+        iconElement.setAttribute('aria-hidden', 'true');
+        button.appendChild(iconElement);
+        if (text) button.appendChild(document.createTextNode(` ${text}`));
+        
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Create the row for one sound type
+     * @param {string} soundType - Type of sound
+     * @returns {HTMLElement} Row element
+     */
+    function _createRow(soundType) {
+        const label = _labels[soundType] || soundType;
+        const status = window.AudioService.getCustomSoundStatus(soundType);
+        
+        const row = document.createElement('div');
+        row.className = 'sound-effect-row';
+        row.dataset.soundType = soundType;
+        
+        const name = document.createElement('span');
+        name.className = 'sound-effect-name';
+        name.textContent = label;
+        row.appendChild(name);
+        
+        const source = document.createElement('span');
+        source.className = `sound-effect-source${status === 'failed' ? ' failed' : ''}`;
+        source.textContent = _describeStatus(status);
+        row.appendChild(source);
+        
+        row.appendChild(_createButton('sound-play-btn', 'fa-play', '', `Play the ${label} sound`, () => {
+            window.AudioService.playSound(soundType);
+        }));
+        row.appendChild(_createButton('sound-replace-btn', 'fa-file-audio', 'Replace…',
+            `Replace the ${label} sound with a sound file`, () => {
+                _pendingSoundType = soundType;
+                _elements.fileInput.value = '';
+                _elements.fileInput.click();
+            }));
+        if (status !== 'none') {
+            row.appendChild(_createButton('sound-reset-btn', 'fa-undo', 'Built-in',
+                `Use the built-in ${label} sound`, () => {
+                    window.AudioService.removeCustomSound(soundType);
+                }));
+        }
+        
+        return row;
+    }
+    
+    /**
+     * Show every sound type and where its sound comes from
+     */
+    function _render() {
+        const supported = window.AudioService.canPlaySounds();
+        
+        _elements.list.innerHTML = '';
+        if (supported) {
+            window.AudioService.getSoundTypes().forEach(soundType => {
+                _elements.list.appendChild(_createRow(soundType));
+            });
+        }
+        
+        if (_elements.status) {
+            _elements.status.textContent = supported ? '' : 'This browser cannot play sound effects.';
+            _elements.status.style.display = supported ? 'none' : 'block';
+        }
+    }
+    
+    /**
+     * Use the chosen file for the sound type that asked for it
+     * @param {File} file - Chosen sound file
+     */
+    function _handleFile(file) {
+        const soundType = _pendingSoundType;
+        _pendingSoundType = null;
+        if (!file || !soundType) return;
+        
+        window.AudioService.setCustomSound(soundType, file)
+            .then(() => {
+                window.AudioService.playSound(soundType);
+            })
+            .catch(error => {
+                console.error(`Error replacing ${soundType} sound:`, error);
+                alert(`That file cannot be used for the ${_labels[soundType] || soundType} sound. ${error.message}`);
+            });
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the sound settings panel
+         * @param {Object} elements - DOM elements
+         * @returns {Object} SoundSettings for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.list || !_elements.fileInput || !window.AudioService) {
+                console.error('Missing required elements for sound settings');
+                return this;
+            }
+            
+            _elements.fileInput.addEventListener('change', (e) => {
+                _handleFile(e.target.files[0]);
+            });
+            
+            _render();
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('customSoundChanged', _render);
+            }
+            
+            return this;
+        }
+    };
+})();
+
+// Export the module
+window.SoundSettings = SoundSettings;
@@ -0,0 +1,92 @@
+/**
+ * Sound Store Module for Word Scramble Game
+ * Keeps replacement sound effect files as blobs in IndexedDB (see BlobStore)
+ * The saved sound settings reference stored files with "snd:<id>" instead of inline data URLs
+ */
+const SoundStore = (function() {
+    // Stored sound files
+    const _store = BlobStore.create({
+        prefix: 'snd:',
+        idPrefix: 'snd',
+        dbName: GameConfig.get('soundStore').dbName,
+        storeName: GameConfig.get('soundStore').storeName,
+        itemName: 'sounds'
+    });
+    
+    // Public API
+    return {
+        /**
+         * Open the sound database and load stored sound files
+         * @returns {Object} SoundStore for chaining
+         */
+        init: function() {
+            _store.init();
+            return this;
+        },
+        
+        /**
+         * Wait until stored sound files are loaded
+         * @returns {Promise<boolean>} Resolves with whether IndexedDB is available
+         */
+        ready: function() {
+            return _store.ready();
+        },
+        
+        /**
+         * Check whether a value is a stored sound reference
+         * @param {string} ref - Sound reference or data URL
+         * @returns {boolean} Whether the value points into the sound store
+         */
+        isStoredSound: function(ref) {
+            return _store.isStored(ref);
+        },
+        
+        /**
+         * Get a sound file for decoding
+         * @param {string} ref - Sound reference or data URL
+         * @returns {Blob|null} Sound file, or null if missing
+         */
+        getBlob: function(ref) {
+            return _store.getBlob(ref);
+        },
+        
+        /**
+         * Get a sound file as a data URL (for backups)
+         * @param {string} ref - Sound reference or data URL
+         * @returns {Promise<string|null>} Data URL, or null if missing
+         */
+        toDataUrl: function(ref) {
+            return _store.toDataUrl(ref);
+        },
+        
+        /**
+         * Store a sound file
+         * @param {Blob} blob - Sound file
+         * @returns {Promise<string>} Sound reference, or a data URL if IndexedDB is unavailable
+         */
+        storeSound: function(blob) {
+            return _store.store(blob);
+        },
+        
+        /**
+         * Move an inline data URL sound file into the store
+         * @param {string} dataUrl - Data URL
+         * @returns {Promise<string>} Sound reference, or the data URL if it cannot be stored
+         */
+        storeDataUrl: function(dataUrl) {
+            return _store.storeDataUrl(dataUrl);
+        },
+        
+        /**
+         * Delete stored sound files that are no longer referenced
+         * @param {Array} refsInUse - Sound references still in use
+         * @returns {Promise<number>} Number of sound files deleted
+         */
+        deleteUnused: function(refsInUse) {
+            return _store.deleteUnused(refsInUse);
+        }
+    };
+})();
+
+// Export the module
+window.SoundStore = SoundStore;
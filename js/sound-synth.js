@@ -0,0 +1,122 @@
+/**
+ * Sound Synth Module for Word Scramble Game
+ * Makes the game's sound effects with the Web Audio API from the recipes in
+ * GameConfig sounds, so no sound files have to be downloaded
+ */
+const SoundSynth = (function() {
+    // Private state
+    const _noiseBuffers = new WeakMap();
+    
+    // Private methods
+    
+    /**
+     * Shape a part's volume: a quick fade in, then a fade out to silence
+     * @param {AudioContext} context - Audio context
+     * @param {Object} part - Tone or noise part
+     * @param {number} startTime - Context time the part starts at
+     * @returns {GainNode} Gain node with the envelope applied
+     */
+    function _createEnvelope(context, part, startTime) {
+        const gain = context.createGain();
+        const endTime = startTime + part.duration;
+        
+        gain.gain.setValueAtTime(0.0001, startTime);
+        gain.gain.exponentialRampToValueAtTime(part.volume || 0.3, startTime + Math.min(0.01, part.duration / 4));
+        gain.gain.exponentialRampToValueAtTime(0.0001, endTime);
+        return gain;
+    }
+    
+    /**
+     * Get a second of white noise for a context, made once
+     * @param {AudioContext} context - Audio context
+     * @returns {AudioBuffer} Noise buffer
+     */
+    function _getNoiseBuffer(context) {
+        if (!_noiseBuffers.has(context)) {
+            const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+            const samples = buffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = Math.random() * 2 - 1;
+            }
+            _noiseBuffers.set(context, buffer);
+        }
+        return _noiseBuffers.get(context);
+    }
+    
+    /**
+     * Create the source for a part: an oscillator for tones, filtered noise for the rest
+     * @param {AudioContext} context - Audio context
+     * @param {Object} part - Tone or noise part
+     * @param {number} startTime - Context time the part starts at
+     * @param {AudioNode} envelope - Node the source plays into
+     * @returns {AudioScheduledSourceNode} Source to start
+     */
+    function _createSource(context, part, startTime, envelope) {
+        if (part.noise) {
+            const source = context.createBufferSource();
+            source.buffer = _getNoiseBuffer(context);
+            
+            const filter = context.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = part.filterFrequency || 1000;
+            
+            source.connect(filter);
+            filter.connect(envelope);
+            return source;
+        }
+        
+        const oscillator = context.createOscillator();
+        oscillator.type = part.wave || 'sine';
+        oscillator.frequency.setValueAtTime(part.frequency, startTime);
+        if (part.endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(part.endFrequency, startTime + part.duration);
+        }
+        
+        oscillator.connect(envelope);
+        return oscillator;
+    }
+    
+    // Public API
+    return {
+        /**
+         * Play a sound recipe
+         * @param {AudioContext} context - Audio context
+         * @param {AudioNode} destination - Node to play into
+         * @param {Array} parts - Tone and noise parts (see GameConfig sounds)
+         * @returns {number} Length of the sound in seconds
+         */
+        play: function(context, destination, parts) {
+            const now = context.currentTime;
+            
+            return parts.reduce((length, part) => {
+                const startTime = now + (part.start || 0);
+                const envelope = _createEnvelope(context, part, startTime);
+                const source = _createSource(context, part, startTime, envelope);
+                
+                envelope.connect(destination);
+                source.start(startTime);
+                source.stop(startTime + part.duration + 0.05);
+                
+                return Math.max(length, (part.start || 0) + part.duration);
+            }, 0);
+        },
+        
+        /**
+         * Play a decoded sound file
+         * @param {AudioContext} context - Audio context
+         * @param {AudioNode} destination - Node to play into
+         * @param {AudioBuffer} buffer - Decoded sound
+         * @returns {number} Length of the sound in seconds
+         */
+        playBuffer: function(context, destination, buffer) {
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(destination);
+            source.start(context.currentTime);
+            return buffer.duration;
+        }
+    };
+})();
+
+// Export the module
+window.SoundSynth = SoundSynth;
@@ -0,0 +1,255 @@
+/**
+ * Speech Providers Module for Word Scramble Game
+ * Interchangeable ways of saying a word out loud, with one interface:
+ *   isAvailable(text)       -> boolean (whether it can say the text, or anything if no text is given)
+ *   getVoices()             -> Array<{id, name, lang, isDefault, isLocal}>
+ *   prepare(text, settings) -> get ready to say the text (optional preloading)
+ *   speak(text, settings)   -> Promise, resolved when the text has been said
+ *   stop()                  -> stop speaking
+ * where settings is {lang, voice, rate, pitch, volume}
+ */
+const SpeechProviders = (function() {
+    // Private methods
+    
+    /**
+     * Choose the voice to use for a language
+     * Voices on the device come first, as they also work offline
+     * @param {Array} voices - SpeechSynthesisVoice objects
+     * @param {string} lang - Language tag, e.g. 'en-US'
+     * @returns {SpeechSynthesisVoice|null} Best matching voice
+     */
+    function _findVoiceForLang(voices, lang) {
+        const primary = String(lang || '').split('-')[0].toLowerCase();
+        const candidates = voices.filter(voice => voice.lang === lang)
+            .concat(voices.filter(voice => voice.lang !== lang && voice.lang.split(/[-_]/)[0].toLowerCase() === primary));
+        
+        return candidates.find(voice => voice.localService) || candidates[0] || null;
+    }
+    
+    /**
+     * Create a provider using the browser's speech synthesis (Web Speech API)
+     * The voices are usually installed on the device, so words can be spoken offline
+     * @returns {Object} Speech provider
+     */
+    function _createWebSpeechProvider() {
+        return {
+            name: 'webSpeech',
+            
+            isAvailable: function() {
+                return !!(window.speechSynthesis && window.SpeechSynthesisUtterance);
+            },
+            
+            getVoices: function() {
+                if (!this.isAvailable()) return [];
+                
+                return window.speechSynthesis.getVoices().map(voice => ({
+                    id: voice.voiceURI,
+                    name: voice.name,
+                    lang: voice.lang,
+                    isDefault: voice.default,
+                    isLocal: voice.localService
+                }));
+            },
+            
+            prepare: function() {
+                // Nothing to load: speech is made when it is needed
+            },
+            
+            speak: function(text, settings) {
+                if (!this.isAvailable()) {
+                    return Promise.reject(new Error('Speech synthesis is not supported in this browser'));
+                }
+                
+                return new Promise((resolve, reject) => {
+                    const voices = window.speechSynthesis.getVoices();
+                    const voice = voices.find(item => item.voiceURI === settings.voice) ||
+                        _findVoiceForLang(voices, settings.lang);
+                    
+                    const utterance = new SpeechSynthesisUtterance(text);
+                    if (voice) utterance.voice = voice;
+                    utterance.lang = voice ? voice.lang : settings.lang;
+                    utterance.rate = settings.rate;
+                    utterance.pitch = settings.pitch;
+                    if (settings.volume !== undefined) utterance.volume = settings.volume;
+                    
+                    utterance.onend = () => resolve();
+                    utterance.onerror = event => {
+                        // Being cut off by the next word is not a failure
+                        if (event.error === 'interrupted' || event.error === 'canceled') {
+                            resolve();
+                        } else {
+                            reject(new Error(`Speech synthesis failed: ${event.error}`));
+                        }
+                    };
+                    
+                    // A new word replaces the one being said instead of queueing behind it
+                    window.speechSynthesis.cancel();
+                    window.speechSynthesis.speak(utterance);
+                });
+            },
+            
+            stop: function() {
+                if (this.isAvailable()) {
+                    window.speechSynthesis.cancel();
+                }
+            }
+        };
+    }
+    
+    /**
+     * Create a provider that plays speech from the online service at apis.textToSpeech
+     * Needs a network connection, so it is only used as a fallback
+     * @param {HTMLAudioElement} audioElement - Audio element to play the speech with
+     * @returns {Object} Speech provider
+     */
+    function _createRemoteProvider(audioElement) {
+        /**
+         * Build the service URL for a text
+         * @param {string} text - Text to say
+         * @param {string} lang - Language tag
+         * @returns {string} URL
+         */
+        function _buildUrl(text, lang) {
+            return GameConfig.get('apis').textToSpeech
+                .replace('{lang}', encodeURIComponent(String(lang || 'en').split('-')[0]))
+                .replace('{text}', encodeURIComponent(text));
+        }
+        
+        return {
+            name: 'remote',
+            
+            isAvailable: function() {
+                return !!audioElement && navigator.onLine !== false;
+            },
+            
+            getVoices: function() {
+                return [];
+            },
+            
+            prepare: function(text, settings) {
+                if (!audioElement) return;
+                
+                const url = _buildUrl(text, settings.lang);
+                if (audioElement.getAttribute('src') !== url) {
+                    audioElement.src = url;
+                    audioElement.load();
+                }
+            },
+            
+            speak: function(text, settings) {
+                if (!audioElement) {
+                    return Promise.reject(new Error('Pronunciation audio element not found'));
+                }
+                
+                this.prepare(text, settings);
+                
+                return new Promise((resolve, reject) => {
+                    audioElement.onended = () => resolve();
+                    audioElement.onerror = () => reject(new Error('Could not load speech from the online service'));
+                    
+                    if (settings.volume !== undefined) audioElement.volume = settings.volume;
+                    audioElement.currentTime = 0;
+                    Promise.resolve(audioElement.play()).catch(reject);
+                });
+            },
+            
+            stop: function() {
+                if (audioElement) {
+                    audioElement.pause();
+                }
+            }
+        };
+    }
+    
+    /**
+     * Create a provider that plays a word's recorded pronunciation
+     * @param {Function} getRecordingUrl - Returns the recording URL for a word, or null
+     * @returns {Object} Speech provider
+     */
+    function _createRecordingProvider(getRecordingUrl) {
+        const audioElement = typeof Audio === 'function' ? new Audio() : null;
+        
+        /**
+         * Find the recording for a text
+         * @param {string} text - Word
+         * @returns {string|null} Recording URL
+         */
+        function _findRecording(text) {
+            return text && typeof getRecordingUrl === 'function' ? getRecordingUrl(text) : null;
+        }
+        
+        return {
+            name: 'recording',
+            
+            isAvailable: function(text) {
+                return !!audioElement && (text === undefined || !!_findRecording(text));
+            },
+            
+            getVoices: function() {
+                return [];
+            },
+            
+            prepare: function(text) {
+                const url = _findRecording(text);
+                if (audioElement && url && audioElement.getAttribute('src') !== url) {
+                    audioElement.src = url;
+                    audioElement.load();
+                }
+            },
+            
+            speak: function(text, settings) {
+                const url = _findRecording(text);
+                if (!audioElement || !url) {
+                    return Promise.reject(new Error(`No recording for "${text}"`));
+                }
+                
+                this.prepare(text);
+                
+                return new Promise((resolve, reject) => {
+                    audioElement.onended = () => resolve();
+                    audioElement.onerror = () => reject(new Error(`Could not play the recording for "${text}"`));
+                    
+                    if (settings && settings.volume !== undefined) audioElement.volume = settings.volume;
+                    audioElement.currentTime = 0;
+                    Promise.resolve(audioElement.play()).catch(reject);
+                });
+            },
+            
+            stop: function() {
+                if (audioElement) {
+                    audioElement.pause();
+                }
+            }
+        };
+    }
+    
+    // Public API
+    return {
+        /**
+         * Create a speech provider by name
+         * @param {string} name - 'recording', 'webSpeech' or 'remote'
+         * @param {Object} options - Provider options ({getRecordingUrl} for 'recording', {audioElement} for 'remote')
+         * @returns {Object|null} Speech provider or null if the name is unknown
+         */
+        create: function(name, options) {
+            switch (name) {
+                case 'recording':
+                    return _createRecordingProvider(options && options.getRecordingUrl);
+                case 'webSpeech':
+                    return _createWebSpeechProvider();
+                case 'remote':
+                    return _createRemoteProvider(options && options.audioElement);
+                default:
+                    console.error(`Unknown speech provider "${name}"`);
+                    return null;
+            }
+        },
+        
+        createRecordingProvider: _createRecordingProvider,
+        createWebSpeechProvider: _createWebSpeechProvider,
+        createRemoteProvider: _createRemoteProvider
+    };
+})();
+
+// Export the module
+window.SpeechProviders = SpeechProviders;
@@ -0,0 +1,176 @@
+/**
+ * Speech Settings Module for Word Scramble Game
+ * Lets each learner choose the language, voice, speed and pitch used to say
+ * the words, and whether an online voice may be used when the device has none
+ */
+const SpeechSettings = (function() {
+    // Private variables
+    let _elements = {
+        langSelect: null,
+        voiceSelect: null,
+        rateInput: null,
+        rateValue: null,
+        pitchInput: null,
+        pitchValue: null,
+        fallbackToggle: null,
+        testBtn: null,
+        status: null
+    };
+    
+    // Private methods
+    
+    /**
+     * Save a change to the active learner's speech settings
+     * @param {Object} changes - Settings to change
+     */
+    function _saveSettings(changes) {
+        if (!window.ProfileManager || typeof window.ProfileManager.setPreference !== 'function') return;
+        
+        const saved = window.ProfileManager.getPreference('speech', {}) || {};
+        window.ProfileManager.setPreference('speech', Object.assign({}, saved, changes));
+    }
+    
+    /**
+     * Check whether a voice speaks a language (or a variety of it)
+     * @param {Object} voice - Voice from AudioService.getVoices()
+     * @param {string} lang - Language tag
+     * @returns {boolean} Whether the voice fits the language
+     */
+    function _voiceFitsLang(voice, lang) {
+        return voice.lang.split(/[-_]/)[0].toLowerCase() === lang.split('-')[0].toLowerCase();
+    }
+    
+    /**
+     * Fill a select with options
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {Array} options - Options ({value, label})
+     * @param {string} value - Value to select
+     */
+    function _fillSelect(select, options, value) {
+        select.innerHTML = '';
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = value;
+    }
+    
+    /**
+     * Show the active learner's settings and the voices available for their language
+     */
+    function _render() {
+        const settings = window.AudioService.getSpeechSettings();
+        const voices = window.AudioService.getVoices();
+        
+        // Languages the device has voices for, plus the chosen one
+        const langs = voices.map(voice => voice.lang.replace('_', '-'));
+        langs.push(settings.lang);
+        _fillSelect(_elements.langSelect,
+            Array.from(new Set(langs)).sort().map(lang => ({ value: lang, label: lang })),
+            settings.lang);
+        
+        // Voices for the chosen language, marking those that need the internet
+        const voiceOptions = [{ value: '', label: 'Automatic' }].concat(voices
+            .filter(voice => _voiceFitsLang(voice, settings.lang))
+            .map(voice => ({ value: voice.id, label: voice.isLocal ? voice.name : `${voice.name} (online)` })));
+        _fillSelect(_elements.voiceSelect, voiceOptions,
+            voiceOptions.some(option => option.value === settings.voice) ? settings.voice : '');
+        
+        if (_elements.rateInput) _elements.rateInput.value = settings.rate;
+        if (_elements.rateValue) _elements.rateValue.textContent = `${settings.rate}×`;
+        if (_elements.pitchInput) _elements.pitchInput.value = settings.pitch;
+        if (_elements.pitchValue) _elements.pitchValue.textContent = `${settings.pitch}×`;
+        if (_elements.fallbackToggle) _elements.fallbackToggle.checked = !!settings.remoteFallback;
+        
+        _renderStatus(settings);
+    }
+    
+    /**
+     * Tell the learner when words cannot be spoken with their settings
+     * @param {Object} settings - Speech settings
+     */
+    function _renderStatus(settings) {
+        const supported = !!(window.speechSynthesis && window.SpeechSynthesisUtterance);
+        let message = '';
+        
+        if (!supported) {
+            message = settings.remoteFallback ?
+                'This browser cannot speak words itself, so the online voice is used.' :
+                'This browser cannot speak words itself. Allow the online voice below to hear them.';
+        }
+        
+        if (_elements.status) {
+            _elements.status.textContent = message;
+            _elements.status.style.display = message ? 'block' : 'none';
+        }
+        if (_elements.testBtn) {
+            _elements.testBtn.disabled = !window.AudioService.canPronounce();
+        }
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the speech settings panel
+         * @param {Object} elements - DOM elements
+         * @returns {Object} SpeechSettings for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.langSelect || !_elements.voiceSelect || !window.AudioService) {
+                console.error('Missing required elements for speech settings');
+                return this;
+            }
+            
+            // A new language starts with its automatic voice
+            _elements.langSelect.addEventListener('change', () => {
+                _saveSettings({ lang: _elements.langSelect.value, voice: '' });
+            });
+            _elements.voiceSelect.addEventListener('change', () => {
+                _saveSettings({ voice: _elements.voiceSelect.value });
+            });
+            if (_elements.rateInput) {
+                _elements.rateInput.addEventListener('change', () => {
+                    _saveSettings({ rate: parseFloat(_elements.rateInput.value) });
+                });
+            }
+            if (_elements.pitchInput) {
+                _elements.pitchInput.addEventListener('change', () => {
+                    _saveSettings({ pitch: parseFloat(_elements.pitchInput.value) });
+                });
+            }
+            if (_elements.fallbackToggle) {
+                _elements.fallbackToggle.addEventListener('change', () => {
+                    _saveSettings({ remoteFallback: _elements.fallbackToggle.checked });
+                });
+            }
+            if (_elements.testBtn) {
+                _elements.testBtn.addEventListener('click', () => {
+                    window.AudioService.speak(GameConfig.get('speech').sampleText);
+                });
+            }
+            
+            _render();
+            
+            // Most browsers load their voices after the page
+            if (window.speechSynthesis && typeof window.speechSynthesis.addEventListener === 'function') {
+                window.speechSynthesis.addEventListener('voiceschanged', _render);
+            }
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('profileChanged', _render);
+                window.EventBus.subscribe('preferenceChanged', data => {
+                    if (data && data.name === 'speech') _render();
+                });
+            }
+            
+            return this;
+        }
+    };
+})();
+
+// Export the module
+window.SpeechSettings = SpeechSettings;
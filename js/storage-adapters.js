@@ -0,0 +1,225 @@
+/**
+ * Storage Adapters Module for Word Scramble Game
+ * Interchangeable key-value backends with one async interface:
+ *   isAvailable() -> Promise<boolean>
+ *   get(key)      -> Promise<value|undefined>
+ *   set(key, value), remove(key) -> Promise
+ *   keys()        -> Promise<Array<string>>
+ */
+const StorageAdapters = (function() {
+    // Private methods
+    
+    /**
+     * Copy a JSON-compatible value so callers cannot mutate stored data
+     * @param {*} value - Value to copy
+     * @returns {*} Deep copy
+     */
+    function _copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    
+    /**
+     * Create an adapter backed by localStorage (values are stored as JSON)
+     * @returns {Object} Storage adapter
+     */
+    function _createLocalStorageAdapter() {
+        return {
+            name: 'localStorage',
+            
+            isAvailable: function() {
+                try {
+                    const testKey = '__storage_test__';
+                    localStorage.setItem(testKey, testKey);
+                    localStorage.removeItem(testKey);
+                    return Promise.resolve(true);
+                } catch (error) {
+                    return Promise.resolve(false);
+                }
+            },
+            
+            get: function(key) {
+                try {
+                    const item = localStorage.getItem(key);
+                    return Promise.resolve(item === null ? undefined : JSON.parse(item));
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            },
+            
+            set: function(key, value) {
+                try {
+                    localStorage.setItem(key, JSON.stringify(value));
+                    return Promise.resolve();
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            },
+            
+            remove: function(key) {
+                try {
+                    localStorage.removeItem(key);
+                    return Promise.resolve();
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            },
+            
+            keys: function() {
+                try {
+                    const keys = [];
+                    for (let i = 0; i < localStorage.length; i++) {
+                        keys.push(localStorage.key(i));
+                    }
+                    return Promise.resolve(keys);
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            }
+        };
+    }
+    
+    /**
+     * Create an adapter backed by an IndexedDB object store
+     * Values are stored with the structured clone algorithm, so blobs are allowed
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     * @returns {Object} Storage adapter
+     */
+    function _createIndexedDBAdapter(dbName, storeName) {
+        let dbPromise = null;
+        
+        function openDatabase() {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    if (typeof indexedDB === 'undefined') {
+                        reject(new Error('IndexedDB is not available'));
+                        return;
+                    }
+                    
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(storeName);
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        }
+        
+        // Run a single request and resolve once its transaction has committed
+        function withStore(mode, makeRequest) {
+            return openDatabase().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = makeRequest(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }));
+        }
+        
+        return {
+            name: 'indexedDB',
+            
+            isAvailable: function() {
+                return openDatabase().then(() => true).catch(() => false);
+            },
+            
+            get: function(key) {
+                return withStore('readonly', store => store.get(key));
+            },
+            
+            set: function(key, value) {
+                return withStore('readwrite', store => store.put(value, key)).then(() => undefined);
+            },
+            
+            remove: function(key) {
+                return withStore('readwrite', store => store.delete(key)).then(() => undefined);
+            },
+            
+            keys: function() {
+                return withStore('readonly', store => store.getAllKeys()).then(keys => keys.map(String));
+            }
+        };
+    }
+    
+    /**
+     * Create an adapter that only keeps data in memory (lost on reload)
+     * @param {Object} initialData - Optional starting data
+     * @returns {Object} Storage adapter
+     */
+    function _createMemoryAdapter(initialData) {
+        const data = _copy(initialData || {});
+        
+        return {
+            name: 'memory',
+            
+            isAvailable: function() {
+                return Promise.resolve(true);
+            },
+            
+            get: function(key) {
+                return Promise.resolve(_copy(data[key]));
+            },
+            
+            set: function(key, value) {
+                data[key] = _copy(value);
+                return Promise.resolve();
+            },
+            
+            remove: function(key) {
+                delete data[key];
+                return Promise.resolve();
+            },
+            
+            keys: function() {
+                return Promise.resolve(Object.keys(data));
+            }
+        };
+    }
+    
+    // Public API
+    return {
+        /**
+         * Create an adapter by backend name
+         * @param {string} name - 'indexedDB', 'localStorage' or 'memory'
+         * @returns {Object|null} Storage adapter or null if the name is unknown
+         */
+        create: function(name) {
+            switch (name) {
+                case 'indexedDB': {
+                    const settings = GameConfig.get('dataStore');
+                    return _createIndexedDBAdapter(settings.dbName, settings.storeName);
+                }
+                case 'localStorage':
+                    return _createLocalStorageAdapter();
+                case 'memory':
+                    return _createMemoryAdapter();
+                default:
+                    console.error(`Unknown storage backend "${name}"`);
+                    return null;
+            }
+        },
+        
+        /**
+         * Create the first available adapter from a list of backend names
+         * @param {Array} names - Backend names in order of preference
+         * @returns {Promise<Object>} First available adapter (memory as a last resort)
+         */
+        createFirstAvailable: function(names) {
+            const candidates = names.map(name => this.create(name)).filter(Boolean);
+            
+            return candidates.reduce((found, adapter) => found.then(result => {
+                if (result) return result;
+                return adapter.isAvailable().then(available => (available ? adapter : null));
+            }), Promise.resolve(null)).then(adapter => adapter || _createMemoryAdapter());
+        },
+        
+        createLocalStorageAdapter: _createLocalStorageAdapter,
+        createIndexedDBAdapter: _createIndexedDBAdapter,
+        createMemoryAdapter: _createMemoryAdapter
+    };
+})();
+
+// Export the module
+window.StorageAdapters = StorageAdapters;
@@ -0,0 +1,119 @@
+/**
+ * Storage Migrations Module for Word Scramble Game
+ * Ordered steps that upgrade saved game data to the current schema version
+ * Each step receives every stored value keyed by storage key and changes it in place
+ */
+const StorageMigrations = (function() {
+    // Private state
+    // Data saved before versioning existed is treated as version 0
+    const _migrations = [
+        {
+            version: 1,
+            description: 'Move the word list and word images into a deck',
+            migrate: function(data, keys) {
+                const hasDecks = Array.isArray(data[keys.decks]) && data[keys.decks].length > 0;
+                const hasLegacyWords = data[keys.words] !== undefined || data[keys.wordImages] !== undefined;
+                
+                if (!hasDecks && hasLegacyWords) {
+                    data[keys.decks] = [{
+                        id: 'default',
+                        name: GameConfig.get('defaultDeckName'),
+                        words: Array.isArray(data[keys.words]) ? data[keys.words] : GameConfig.get('defaultWords').slice(),
+                        wordImages: data[keys.wordImages] || Object.assign({}, GameConfig.get('defaultWordImages')),
+                        wordDetails: {}
+                    }];
+                }
+                
+                delete data[keys.words];
+                delete data[keys.wordImages];
+            }
+        },
+        {
+            version: 2,
+            description: 'Add word details to decks and drop invalid words',
+            migrate: function(data, keys) {
+                if (!Array.isArray(data[keys.decks])) return;
+                
+                data[keys.decks].forEach(deck => {
+                    deck.words = (Array.isArray(deck.words) ? deck.words : [])
+                        .filter(word => typeof word === 'string' && word.trim() !== '');
+                    deck.wordImages = deck.wordImages || {};
+                    deck.wordDetails = deck.wordDetails || {};
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Move the score into a learner profile',
+            migrate: function(data, keys) {
+                if (!Array.isArray(data[keys.profiles]) || data[keys.profiles].length === 0) {
+                    data[keys.profiles] = [{
+                        id: GameConfig.get('defaultProfileId'),
+                        name: GameConfig.get('defaultProfileName'),
+                        avatar: GameConfig.get('profileAvatars')[0],
+                        age: null
+                    }];
+                    data[keys.activeProfile] = GameConfig.get('defaultProfileId');
+                }
+                
+                if (data[keys.score] !== undefined) {
+                    const profileId = data[keys.activeProfile] || data[keys.profiles][0].id;
+                    data[`${keys.score}:${profileId}`] = data[keys.score];
+                    delete data[keys.score];
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Add recorded pronunciations to decks',
+            migrate: function(data, keys) {
+                if (!Array.isArray(data[keys.decks])) return;
+                
+                data[keys.decks].forEach(deck => {
+                    deck.wordRecordings = deck.wordRecordings || {};
+                });
+            }
+        }
+    ];
+    
+    // Public API
+    return {
+        /**
+         * Get the schema version written by this version of the game
+         * @returns {number} Latest schema version
+         */
+        getLatestVersion: function() {
+            return _migrations[_migrations.length - 1].version;
+        },
+        
+        /**
+         * Get the migrations needed to upgrade from a version
+         * @param {number} fromVersion - Version of the stored data
+         * @returns {Array} Migrations in the order they must run
+         */
+        getPending: function(fromVersion) {
+            return _migrations.filter(migration => migration.version > fromVersion);
+        },
+        
+        /**
+         * Upgrade a copy of the stored data
+         * @param {Object} data - Stored values keyed by storage key (changed in place)
+         * @param {number} fromVersion - Version of the stored data
+         * @returns {Array} Migrations that were applied
+         */
+        run: function(data, fromVersion) {
+            const keys = GameConfig.get('storage');
+            const pending = this.getPending(fromVersion);
+            
+            pending.forEach(migration => {
+                console.log(`Migrating saved data to version ${migration.version}: ${migration.description}`);
+                migration.migrate(data, keys);
+            });
+            
+            return pending;
+        }
+    };
+})();
+
+// Export the module
+window.StorageMigrations = StorageMigrations;
@@ -1,44 +1,333 @@
 /**
  * Storage Module for Word Scramble Game
- * This module handles data persistence using localStorage
+ * This module handles data persistence through a pluggable storage adapter
+ * Data is loaded into memory at startup so reads stay synchronous,
+ * while writes are queued to the backend in order
  * Follows the Repository Pattern
  */
 const StorageService = (function() {
+    // Private state
+    let _adapter = null;
+    let _readyPromise = null;
+    let _cache = {};
+    let _writeQueue = Promise.resolve(true);
+    let _lastWrites = {};
+    
     // Private methods
     
     /**
-     * Safely parse JSON from localStorage
-     * @param {string} key - The localStorage key
-     * @param {*} defaultValue - Default value if key doesn't exist or parsing fails
-     * @returns {*} Parsed value or default
+     * Copy a stored value so callers cannot change the cache by accident
+     * @param {*} value - Value to copy
+     * @returns {*} Deep copy
+     */
+    function _copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    
+    /**
+     * Read a value from the in-memory copy of storage
+     * @param {string} key - The storage key
+     * @param {*} defaultValue - Default value if key doesn't exist
+     * @returns {*} Stored value or default
      */
     function _safelyGetItem(key, defaultValue) {
-        try {
-            const item = localStorage.getItem(key);
-            return item ? JSON.parse(item) : defaultValue;
-        } catch (error) {
-            console.error(`Error retrieving ${key} from localStorage:`, error);
-            return defaultValue;
-        }
+        return Object.prototype.hasOwnProperty.call(_cache, key) ? _copy(_cache[key]) : defaultValue;
     }
     
     /**
-     * Safely store JSON in localStorage
-     * @param {string} key - The localStorage key
+     * Queue a write to the storage backend
+     * Failures are logged and published as a storageError event
+     * @param {string} key - The storage key
+     * @param {Function} operation - Performs the write and returns a promise
+     * @returns {Promise<boolean>} Resolves with whether the write succeeded
+     */
+    function _queueWrite(key, operation) {
+        const write = _writeQueue.then(() => {
+            if (!_adapter) return true;
+            return operation(_adapter).then(() => true);
+        }).catch(error => {
+            console.error(`Error saving ${key} to ${_adapter.name}:`, error);
+            if (window.EventBus && typeof window.EventBus.publish === 'function') {
+                window.EventBus.publish('storageError', {
+                    key: key,
+                    error: error
+                });
+            }
+            return false;
+        });
+        
+        _writeQueue = write;
+        _lastWrites[key] = write;
+        return write;
+    }
+    
+    /**
+     * Store a value in memory and queue it for the backend
+     * @param {string} key - The storage key
      * @param {*} value - Value to store
+     * @returns {boolean} Whether the value could be stored
      */
     function _safelySetItem(key, value) {
+        let copy;
         try {
-            localStorage.setItem(key, JSON.stringify(value));
-            return true;
+            copy = _copy(value);
         } catch (error) {
-            console.error(`Error saving ${key} to localStorage:`, error);
+            console.error(`Error saving ${key}:`, error);
             return false;
         }
+        
+        _cache[key] = copy;
+        _queueWrite(key, adapter => adapter.set(key, copy));
+        return true;
+    }
+    
+    /**
+     * Remove a value from memory and queue its removal from the backend
+     * @param {string} key - The storage key
+     * @returns {Promise<boolean>} Resolves with whether the removal succeeded
+     */
+    function _safelyRemoveItem(key) {
+        delete _cache[key];
+        return _queueWrite(key, adapter => adapter.remove(key));
+    }
+    
+    /**
+     * Check whether a key holds game data (the migration backup does not count)
+     * Per-profile keys look like "<key>:<profileId>"
+     * @param {string} key - The storage key
+     * @returns {boolean} Whether the key is game data
+     */
+    function _isGameDataKey(key) {
+        const keys = GameConfig.get('storage');
+        if (key === keys.migrationBackup) return false;
+        if (Object.values(keys).includes(key)) return true;
+        
+        return GameConfig.get('profileStorage').some(name => key.startsWith(`${keys[name]}:`));
+    }
+    
+    /**
+     * Get the storage key for the active profile's copy of a value
+     * @param {string} name - Name of the key in GameConfig storage
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {string} Storage key
+     */
+    function _profileKey(name, profileId) {
+        const keys = GameConfig.get('storage');
+        const id = profileId || _safelyGetItem(keys.activeProfile, null) || GameConfig.get('defaultProfileId');
+        return `${keys[name]}:${id}`;
+    }
+    
+    /**
+     * Get the ordered list of backends to try
+     * @param {string} preferred - Preferred backend name
+     * @returns {Array} Backend names
+     */
+    function _getBackendOrder(preferred) {
+        return [preferred, 'localStorage', 'memory'].filter((name, index, names) => names.indexOf(name) === index);
+    }
+    
+    /**
+     * Copy game data saved by older versions from localStorage into a new, empty backend
+     * @returns {Promise} Resolves when the data has been copied
+     */
+    function _importLocalStorageData() {
+        if (_adapter.name !== 'indexedDB') {
+            return Promise.resolve();
+        }
+        
+        const local = StorageAdapters.createLocalStorageAdapter();
+        const keys = Object.values(GameConfig.get('storage'));
+        
+        return Promise.all([_adapter.keys(), local.isAvailable()]).then(([existingKeys, localAvailable]) => {
+            if (existingKeys.length > 0 || !localAvailable) return;
+            
+            return Promise.all(keys.map(key => local.get(key).catch(() => undefined))).then(values => {
+                const found = keys
+                    .map((key, index) => ({ key: key, value: values[index] }))
+                    .filter(item => item.value !== undefined);
+                if (found.length === 0) return;
+                
+                return Promise.all(found.map(item => _adapter.set(item.key, item.value)))
+                    .then(() => Promise.all(found.map(item => local.remove(item.key))))
+                    .then(() => console.log(`Moved ${found.length} saved item(s) from localStorage to ${_adapter.name}`));
+            });
+        });
+    }
+    
+    /**
+     * Load every stored value into memory
+     * @returns {Promise} Resolves when all values are loaded
+     */
+    function _loadCache() {
+        return _adapter.keys().then(keys => Promise.all(keys.map(key => _adapter.get(key)
+            .then(value => {
+                if (value !== undefined) {
+                    _cache[key] = value;
+                }
+            })
+            .catch(error => {
+                console.warn(`Skipping unreadable storage key ${key}:`, error);
+            }))));
+    }
+    
+    /**
+     * Keep a copy of the data from before an upgrade under the migrationBackup key
+     * Inline data URLs (images and recordings not yet in their stores) are left out,
+     * and the copy is skipped if it is still too large, as the quota is tightest now
+     * @param {Object} original - Game data before the upgrade
+     * @param {number} fromVersion - Schema version before the upgrade
+     * @param {number} toVersion - Schema version after the upgrade
+     * @returns {boolean} Whether the backup was saved
+     */
+    function _backUpBeforeMigration(original, fromVersion, toVersion) {
+        const data = JSON.parse(JSON.stringify(original, (key, value) => {
+            return typeof value === 'string' && value.startsWith('data:') ? undefined : value;
+        }));
+        const backup = {
+            fromVersion: fromVersion,
+            toVersion: toVersion,
+            createdAt: new Date().toISOString(),
+            inlineDataOmitted: true,
+            data: data
+        };
+        
+        const sizeKilobytes = JSON.stringify(backup).length / 1024;
+        const maxKilobytes = GameConfig.get('migrationBackupMaxKilobytes');
+        if (sizeKilobytes > maxKilobytes) {
+            console.warn(`Saved data is too large to back up before upgrading (${Math.round(sizeKilobytes)} KB, limit ${maxKilobytes} KB), upgrading without a backup`);
+            return false;
+        }
+        
+        return _safelySetItem(GameConfig.get('storage').migrationBackup, backup);
+    }
+    
+    /**
+     * Upgrade saved data to the latest schema version
+     * The data from before the upgrade is kept under the migrationBackup key (see _backUpBeforeMigration)
+     */
+    function _migrateData() {
+        const keys = GameConfig.get('storage');
+        const latestVersion = StorageMigrations.getLatestVersion();
+        const storedVersion = _safelyGetItem(keys.schemaVersion, null);
+        
+        if (storedVersion === latestVersion) return;
+        
+        if (storedVersion > latestVersion) {
+            console.warn(`Saved data is from a newer version of the game (schema ${storedVersion}), leaving it unchanged`);
+            return;
+        }
+        
+        // Only game data is migrated (localStorage may hold other keys for this site)
+        const original = {};
+        Object.keys(_cache).filter(_isGameDataKey).forEach(key => {
+            if (key !== keys.schemaVersion) {
+                original[key] = _copy(_cache[key]);
+            }
+        });
+        
+        // Fresh installs start at the latest version
+        if (Object.keys(original).length === 0) {
+            _safelySetItem(keys.schemaVersion, latestVersion);
+            return;
+        }
+        
+        const fromVersion = storedVersion || 0;
+        const data = _copy(original);
+        let applied;
+        try {
+            applied = StorageMigrations.run(data, fromVersion);
+        } catch (error) {
+            console.error('Error migrating saved data, keeping it unchanged:', error);
+            return;
+        }
+        
+        // Back up first so the writes below are queued after it
+        _backUpBeforeMigration(original, fromVersion, latestVersion);
+        
+        Object.keys(data).forEach(key => {
+            if (JSON.stringify(data[key]) !== JSON.stringify(original[key])) {
+                _safelySetItem(key, data[key]);
+            }
+        });
+        Object.keys(original).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(data, key)) {
+                _safelyRemoveItem(key);
+            }
+        });
+        _safelySetItem(keys.schemaVersion, latestVersion);
+        
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('storageMigrated', {
+                fromVersion: fromVersion,
+                toVersion: latestVersion,
+                migrations: applied.map(migration => migration.description)
+            });
+        }
     }
     
     // Public API
     return {
+        /**
+         * Choose a storage backend, load saved data into memory and migrate it
+         * Falls back to localStorage, then memory, if the backend is unavailable
+         * @param {string} backend - Optional backend name overriding GameConfig storageBackend
+         * @returns {Object} StorageService for chaining
+         */
+        init: function(backend) {
+            if (_readyPromise) return this;
+            
+            const preferred = backend || GameConfig.get('storageBackend');
+            
+            _readyPromise = StorageAdapters.createFirstAvailable(_getBackendOrder(preferred))
+                .then(adapter => {
+                    _adapter = adapter;
+                    if (adapter.name !== preferred) {
+                        console.warn(`Storage backend "${preferred}" unavailable, using ${adapter.name}`);
+                    }
+                    return _importLocalStorageData();
+                })
+                .then(() => _loadCache())
+                .catch(error => {
+                    // Keep the game playable even if saved data cannot be read
+                    console.error('Error loading saved data, changes will not be kept:', error);
+                    _adapter = StorageAdapters.createMemoryAdapter();
+                    _cache = {};
+                })
+                .then(() => {
+                    _migrateData();
+                    return _adapter.name;
+                });
+            
+            return this;
+        },
+        
+        /**
+         * Wait until saved data has been loaded
+         * @returns {Promise<string>} Resolves with the name of the backend in use
+         */
+        ready: function() {
+            if (!_readyPromise) this.init();
+            return _readyPromise;
+        },
+        
+        /**
+         * Get the name of the backend in use
+         * @returns {string|null} 'indexedDB', 'localStorage', 'memory', or null before init
+         */
+        getBackend: function() {
+            return _adapter ? _adapter.name : null;
+        },
+        
+        /**
+         * Wait for queued writes to reach the backend
+         * @param {string} key - Optional storage key to wait for (defaults to all writes)
+         * @returns {Promise<boolean>} Resolves with whether the last write succeeded
+         */
+        whenSaved: function(key) {
+            if (key === undefined) return _writeQueue;
+            return _lastWrites[key] || Promise.resolve(true);
+        },
+        
         /**
          * Get words from storage
          * @returns {Array} Array of words
@@ -80,20 +369,279 @@ const StorageService = (function() {
         },
         
         /**
-         * Get score from storage
+         * Get word decks from storage
+         * Falls back to a single deck built from the pre-deck word list
+         * @returns {Array} Array of decks ({id, name, words, wordImages, wordDetails, wordRecordings})
+         */
+        getDecks: function() {
+            const decks = _safelyGetItem(GameConfig.get('storage').decks, null);
+            if (Array.isArray(decks) && decks.length > 0) {
+                return decks;
+            }
+            
+            return [{
+                id: 'default',
+                name: GameConfig.get('defaultDeckName'),
+                words: this.getWords(),
+                wordImages: this.getWordImages(),
+                wordDetails: {},
+                wordRecordings: {}
+            }];
+        },
+        
+        /**
+         * Save word decks to storage
+         * @param {Array} decks - Array of decks to save
+         * @returns {boolean} Success status
+         */
+        saveDecks: function(decks) {
+            return _safelySetItem(GameConfig.get('storage').decks, decks);
+        },
+        
+        /**
+         * Get the active deck ID from storage
+         * @returns {string|null} Active deck ID
+         */
+        getActiveDeckId: function() {
+            return _safelyGetItem(GameConfig.get('storage').activeDeck, null);
+        },
+        
+        /**
+         * Save the active deck ID to storage
+         * @param {string} deckId - Deck ID to save
+         * @returns {boolean} Success status
+         */
+        saveActiveDeckId: function(deckId) {
+            return _safelySetItem(GameConfig.get('storage').activeDeck, deckId);
+        },
+        
+        /**
+         * Get the schema version of the saved data
+         * @returns {number|null} Schema version or null if not stamped yet
+         */
+        getSchemaVersion: function() {
+            return _safelyGetItem(GameConfig.get('storage').schemaVersion, null);
+        },
+        
+        /**
+         * Get the copy of the data saved before the last migration
+         * @returns {Object|null} Backup ({fromVersion, toVersion, createdAt, data}) or null
+         */
+        getMigrationBackup: function() {
+            return _safelyGetItem(GameConfig.get('storage').migrationBackup, null);
+        },
+        
+        /**
+         * Get a copy of all game data
+         * @returns {Object} Stored values keyed by storage key
+         */
+        getAllData: function() {
+            const data = {};
+            Object.keys(_cache).filter(_isGameDataKey).forEach(key => {
+                data[key] = _copy(_cache[key]);
+            });
+            return data;
+        },
+        
+        /**
+         * Replace all game data, removing keys that are not in the new data
+         * @param {Object} data - Values keyed by storage key
+         * @returns {Promise<boolean>} Resolves with whether every write succeeded
+         */
+        replaceAllData: function(data) {
+            let copy;
+            try {
+                copy = _copy(data);
+            } catch (error) {
+                console.error('Error replacing game data:', error);
+                return Promise.resolve(false);
+            }
+            
+            const writes = Object.keys(_cache)
+                .filter(key => _isGameDataKey(key) && !Object.prototype.hasOwnProperty.call(copy, key))
+                .map(key => _safelyRemoveItem(key));
+            
+            Object.keys(copy).filter(_isGameDataKey).forEach(key => {
+                _cache[key] = copy[key];
+                writes.push(_queueWrite(key, adapter => adapter.set(key, copy[key])));
+            });
+            
+            return Promise.all(writes).then(results => results.every(Boolean));
+        },
+        
+        /**
+         * Get learner profiles from storage
+         * Falls back to a single default profile
+         * @returns {Array} Array of profiles ({id, name, avatar, age})
+         */
+        getProfiles: function() {
+            const profiles = _safelyGetItem(GameConfig.get('storage').profiles, null);
+            if (Array.isArray(profiles) && profiles.length > 0) {
+                return profiles;
+            }
+            
+            return [{
+                id: GameConfig.get('defaultProfileId'),
+                name: GameConfig.get('defaultProfileName'),
+                avatar: GameConfig.get('profileAvatars')[0],
+                age: null
+            }];
+        },
+        
+        /**
+         * Save learner profiles to storage
+         * @param {Array} profiles - Array of profiles to save
+         * @returns {boolean} Success status
+         */
+        saveProfiles: function(profiles) {
+            return _safelySetItem(GameConfig.get('storage').profiles, profiles);
+        },
+        
+        /**
+         * Get the active profile ID from storage
+         * @returns {string|null} Active profile ID
+         */
+        getActiveProfileId: function() {
+            return _safelyGetItem(GameConfig.get('storage').activeProfile, null);
+        },
+        
+        /**
+         * Save the active profile ID to storage
+         * Score, word history and preferences are read for this profile from now on
+         * @param {string} profileId - Profile ID to save
+         * @returns {boolean} Success status
+         */
+        saveActiveProfileId: function(profileId) {
+            return _safelySetItem(GameConfig.get('storage').activeProfile, profileId);
+        },
+        
+        /**
+         * Remove everything stored for a profile
+         * @param {string} profileId - Profile ID
+         * @returns {boolean} Success status
+         */
+        removeProfileData: function(profileId) {
+            GameConfig.get('profileStorage').forEach(name => _safelyRemoveItem(_profileKey(name, profileId)));
+            return true;
+        },
+        
+        /**
+         * Get the active profile's score from storage
          * @returns {number} Current score
          */
         getScore: function() {
-            return _safelyGetItem(GameConfig.get('storage').score, 0);
+            return _safelyGetItem(_profileKey('score'), 0);
         },
         
         /**
-         * Save score to storage
+         * Save the active profile's score to storage
          * @param {number} score - Score to save
          * @returns {boolean} Success status
          */
         saveScore: function(score) {
-            return _safelySetItem(GameConfig.get('storage').score, score);
+            return _safelySetItem(_profileKey('score'), score);
+        },
+        
+        /**
+         * Get the active profile's per-word history from storage
+         * @returns {Object} Word to history entry mapping
+         */
+        getWordHistory: function() {
+            return _safelyGetItem(_profileKey('wordHistory'), {});
+        },
+        
+        /**
+         * Save the active profile's per-word history to storage
+         * @param {Object} history - Word to history entry mapping
+         * @returns {boolean} Success status
+         */
+        saveWordHistory: function(history) {
+            return _safelySetItem(_profileKey('wordHistory'), history);
+        },
+        
+        /**
+         * Get the active profile's spaced-repetition schedule from storage
+         * @returns {Object} Word to schedule entry mapping
+         */
+        getSchedule: function() {
+            return _safelyGetItem(_profileKey('schedule'), {});
+        },
+        
+        /**
+         * Save the active profile's spaced-repetition schedule to storage
+         * @param {Object} schedule - Word to schedule entry mapping
+         * @returns {boolean} Success status
+         */
+        saveSchedule: function(schedule) {
+            return _safelySetItem(_profileKey('schedule'), schedule);
+        },
+        
+        /**
+         * Get the active profile's daily play totals from storage
+         * @returns {Object} Date (YYYY-MM-DD) to totals mapping
+         */
+        getDailyStats: function() {
+            return _safelyGetItem(_profileKey('dailyStats'), {});
+        },
+        
+        /**
+         * Save the active profile's daily play totals to storage
+         * @param {Object} dailyStats - Date (YYYY-MM-DD) to totals mapping
+         * @returns {boolean} Success status
+         */
+        saveDailyStats: function(dailyStats) {
+            return _safelySetItem(_profileKey('dailyStats'), dailyStats);
+        },
+        
+        /**
+         * Get the active profile's play sessions from storage
+         * @returns {Array} Sessions, oldest first
+         */
+        getSessions: function() {
+            return _safelyGetItem(_profileKey('sessions'), []);
+        },
+        
+        /**
+         * Save the active profile's play sessions to storage
+         * @param {Array} sessions - Sessions, oldest first
+         * @returns {boolean} Success status
+         */
+        saveSessions: function(sessions) {
+            return _safelySetItem(_profileKey('sessions'), sessions);
+        },
+        
+        /**
+         * Get the active profile's preferences from storage
+         * @returns {Object} Preference values by name
+         */
+        getPreferences: function() {
+            return _safelyGetItem(_profileKey('preferences'), {});
+        },
+        
+        /**
+         * Save the active profile's preferences to storage
+         * @param {Object} preferences - Preference values by name
+         * @returns {boolean} Success status
+         */
+        savePreferences: function(preferences) {
+            return _safelySetItem(_profileKey('preferences'), preferences);
+        },
+        
+        /**
+         * Get the replacement sound files from storage
+         * @returns {Object} SoundStore references to the sound files by sound type
+         */
+        getCustomSounds: function() {
+            return _safelyGetItem(GameConfig.get('storage').customSounds, {});
+        },
+        
+        /**
+         * Save the replacement sound files to storage
+         * @param {Object} sounds - SoundStore references to the sound files by sound type
+         * @returns {boolean} Success status
+         */
+        saveCustomSounds: function(sounds) {
+            return _safelySetItem(GameConfig.get('storage').customSounds, sounds);
         },
         
         /**
@@ -101,15 +649,11 @@ const StorageService = (function() {
          * @returns {boolean} Success status
          */
         clearAllData: function() {
-            try {
-                localStorage.removeItem(GameConfig.get('storage').words);
-                localStorage.removeItem(GameConfig.get('storage').wordImages);
-                localStorage.removeItem(GameConfig.get('storage').score);
-                return true;
-            } catch (error) {
-                console.error('Error clearing game data:', error);
-                return false;
-            }
+            const keys = GameConfig.get('storage');
+            Object.keys(_cache)
+                .filter(key => _isGameDataKey(key) || key === keys.migrationBackup)
+                .forEach(key => _safelyRemoveItem(key));
+            return true;
         }
     };
 })();
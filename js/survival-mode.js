@@ -0,0 +1,295 @@
+/**
+ * Survival Mode Module for Word Scramble Game
+ * A game mode that starts with a few lives and costs one for every wrong
+ * check; the game goes on until the last life is lost
+ */
+const SurvivalMode = (function() {
+    // Private variables
+    let _elements = {
+        startBtn: null,
+        survivalBar: null,
+        livesDisplay: null,
+        pointsDisplay: null,
+        stopBtn: null,
+        overlay: null,
+        introPanel: null,
+        introText: null,
+        beginBtn: null,
+        cancelBtn: null,
+        summaryPanel: null,
+        result: null,
+        solvedList: null,
+        againBtn: null,
+        doneBtn: null
+    };
+    
+    // The game being played, or null
+    let _game = null;
+    
+    // Private methods
+    
+    /**
+     * Show the remaining lives as hearts
+     * @param {number|null} lives - Lives left (null outside survival games)
+     */
+    function _renderLives(lives) {
+        if (!_elements.livesDisplay) return;
+        
+        _elements.livesDisplay.innerHTML = '';
+        if (lives === null || lives === undefined) return;
+        
+        const total = GameConfig.get('survival').lives;
+        for (let i = 0; i < total; i++) {
+            const heart = document.createElement('i');
+            heart.className = i < lives ? 'fas fa-heart survival-life' : 'far fa-heart survival-life lost';
+            _elements.livesDisplay.appendChild(heart);
+        }
+        _elements.livesDisplay.title = `${lives} ${lives === 1 ? 'life' : 'lives'} left`;
+    }
+    
+    /**
+     * Show the points scored in this game
+     */
+    function _updatePoints() {
+        if (_game && _elements.pointsDisplay) {
+            _elements.pointsDisplay.textContent = _game.points;
+        }
+    }
+    
+    /**
+     * Show the panel explaining the rules
+     */
+    function _showIntro() {
+        if (window.GameState.get('gameMode') !== 'practice') {
+            alert('Please finish the current game first.');
+            return;
+        }
+        
+        if (_elements.introText) {
+            const lives = GameConfig.get('survival').lives;
+            _elements.introText.textContent = `You have ${lives} ${lives === 1 ? 'life' : 'lives'}. Every wrong answer costs one. ` +
+                'Solve words without hints in a row to build a streak and multiply your points!';
+        }
+        
+        _elements.summaryPanel.classList.remove('active');
+        _elements.introPanel.classList.add('active');
+        _elements.overlay.classList.add('active');
+    }
+    
+    /**
+     * Close the survival dialog
+     */
+    function _closeOverlay() {
+        _elements.overlay.classList.remove('active');
+    }
+    
+    /**
+     * Start a game with full lives and no streak
+     */
+    function _startGame() {
+        _closeOverlay();
+        
+        _game = {
+            points: 0,
+            bestStreak: 0,
+            currentWord: null,
+            currentSolved: false,
+            solved: []
+        };
+        
+        window.GameState.update({
+            gameMode: 'survival',
+            lives: GameConfig.get('survival').lives,
+            streak: 0,
+            multiplier: 1
+        });
+        
+        _elements.survivalBar.classList.add('active');
+        _updatePoints();
+        
+        // Each game starts on a fresh word
+        window.WordController.loadNextWord();
+        
+        if (window.EventBus) {
+            window.EventBus.publish('survivalStarted', { lives: window.GameState.get('lives') });
+        }
+    }
+    
+    /**
+     * End the game and show the summary
+     */
+    function _endGame() {
+        if (!_game) return;
+        
+        const game = _game;
+        _game = null;
+        
+        _elements.survivalBar.classList.remove('active');
+        window.GameState.update({
+            gameMode: 'practice',
+            lives: null
+        });
+        
+        _showSummary(game);
+        
+        if (window.EventBus) {
+            window.EventBus.publish('survivalEnded', {
+                solved: game.solved.map(item => item.word),
+                points: game.points,
+                bestStreak: game.bestStreak
+            });
+        }
+    }
+    
+    /**
+     * Fill and show the game summary
+     * @param {Object} game - The finished game
+     */
+    function _showSummary(game) {
+        const count = game.solved.length;
+        _elements.result.textContent = `You solved ${count} word${count === 1 ? '' : 's'} and scored ${game.points} points!` +
+            (game.bestStreak > 1 ? ` Best streak: ${game.bestStreak}.` : '');
+        
+        _elements.solvedList.innerHTML = '';
+        game.solved.forEach(item => {
+            _elements.solvedList.appendChild(UIFactory.createResultWordItem(item.word, item.multiplier > 1 ? `×${item.multiplier}` : ''));
+        });
+        if (count === 0) {
+            _elements.solvedList.appendChild(UIFactory.createResultWordItem('None this time'));
+        }
+        
+        _elements.introPanel.classList.remove('active');
+        _elements.summaryPanel.classList.add('active');
+        _elements.overlay.classList.add('active');
+    }
+    
+    /**
+     * Follow a newly loaded word
+     * @param {string} word - Word now on screen
+     */
+    function _handleWordLoaded(word) {
+        if (!_game) return;
+        
+        _game.currentWord = word;
+        _game.currentSolved = false;
+    }
+    
+    /**
+     * Record a solved word and the points it scored
+     * @param {Object} data - answerCorrect event data
+     */
+    function _handleSolved(data) {
+        if (!_game || _game.currentSolved || !data) return;
+        
+        _game.currentSolved = true;
+        _game.points += data.points || 0;
+        _game.bestStreak = Math.max(_game.bestStreak, data.streak || 0);
+        _game.solved.push({ word: data.word, multiplier: data.multiplier || 1 });
+        _updatePoints();
+    }
+    
+    /**
+     * Take a life for a wrong check, ending the game on the last one
+     */
+    function _handleWrong() {
+        if (!_game || _game.currentSolved) return;
+        
+        const lives = Math.max(0, window.GameState.get('lives') - 1);
+        window.GameState.update({ lives });
+        
+        // Visual feedback for the lost life
+        if (_elements.livesDisplay) {
+            _elements.livesDisplay.classList.add('hit');
+            setTimeout(() => {
+                _elements.livesDisplay.classList.remove('hit');
+            }, 500);
+        }
+        
+        if (lives === 0) {
+            _endGame();
+        }
+    }
+    
+    /**
+     * Go back to normal play after a game
+     */
+    function _finish() {
+        _closeOverlay();
+        window.WordController.loadNextWord();
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize survival mode
+         * @param {Object} elements - DOM elements
+         * @returns {Object} SurvivalMode for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.startBtn || !_elements.survivalBar || !_elements.livesDisplay || !_elements.overlay ||
+                !_elements.introPanel || !_elements.beginBtn || !_elements.summaryPanel ||
+                !_elements.result || !_elements.solvedList) {
+                console.error('Missing required elements for survival mode');
+                return this;
+            }
+            
+            _elements.startBtn.addEventListener('click', _showIntro);
+            _elements.beginBtn.addEventListener('click', _startGame);
+            
+            if (_elements.cancelBtn) {
+                _elements.cancelBtn.addEventListener('click', _closeOverlay);
+            }
+            if (_elements.stopBtn) {
+                _elements.stopBtn.addEventListener('click', _endGame);
+            }
+            if (_elements.againBtn) {
+                _elements.againBtn.addEventListener('click', _startGame);
+            }
+            if (_elements.doneBtn) {
+                _elements.doneBtn.addEventListener('click', _finish);
+            }
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('wordLoaded', data => _handleWordLoaded(data && data.word));
+                window.EventBus.subscribe('answerCorrect', _handleSolved);
+                window.EventBus.subscribe('answerIncorrect', _handleWrong);
+                
+                // The hearts always show the lives kept in GameState
+                window.EventBus.subscribe('stateChanged', data => {
+                    if (data && data.changes && data.changes.lives) {
+                        _renderLives(data.changes.lives.newValue);
+                    }
+                });
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Start a survival game
+         */
+        start: function() {
+            _startGame();
+        },
+        
+        /**
+         * End the current game early
+         */
+        stop: function() {
+            _endGame();
+        },
+        
+        /**
+         * Check whether a survival game is being played
+         * @returns {boolean} Whether a game is running
+         */
+        isRunning: function() {
+            return _game !== null;
+        }
+    };
+})();
+
+// Export the module
+window.SurvivalMode = SurvivalMode;
@@ -0,0 +1,335 @@
+/**
+ * Timed Challenge Module for Word Scramble Game
+ * A game mode where the player solves as many words as possible before the
+ * clock runs out; answers without a hint add bonus time
+ */
+const TimedChallenge = (function() {
+    // Private variables
+    let _elements = {
+        startBtn: null,
+        timerBar: null,
+        timerDisplay: null,
+        bonusDisplay: null,
+        stopBtn: null,
+        overlay: null,
+        setupPanel: null,
+        durationOptions: null,
+        cancelBtn: null,
+        summaryPanel: null,
+        result: null,
+        solvedList: null,
+        skippedList: null,
+        againBtn: null,
+        doneBtn: null
+    };
+    
+    // The round being played, or null
+    let _round = null;
+    let _timerId = null;
+    let _bonusTimeout = null;
+    
+    // Private methods
+    
+    /**
+     * Format a number of milliseconds as m:ss
+     * @param {number} ms - Time left
+     * @returns {string} Formatted time
+     */
+    function _formatTime(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Show the time left
+     */
+    function _updateTimerDisplay() {
+        if (!_round || !_elements.timerDisplay) return;
+        
+        const warningMs = GameConfig.get('timedChallenge').warningSeconds * 1000;
+        _elements.timerDisplay.textContent = _formatTime(_round.remaining);
+        _elements.timerDisplay.classList.toggle('warning', _round.remaining <= warningMs);
+    }
+    
+    /**
+     * Count down while a word is on screen
+     * The clock stops during the celebration after a solve
+     */
+    function _tick() {
+        if (!_round) return;
+        
+        const now = Date.now();
+        if (!_round.paused) {
+            _round.remaining -= now - _round.lastTick;
+        }
+        _round.lastTick = now;
+        
+        _updateTimerDisplay();
+        
+        if (_round.remaining <= 0) {
+            _endRound();
+        }
+    }
+    
+    /**
+     * Briefly show the time added for a hint-free answer
+     * @param {number} seconds - Seconds added
+     */
+    function _showBonus(seconds) {
+        if (!_elements.bonusDisplay) return;
+        
+        _elements.bonusDisplay.textContent = `+${seconds}s`;
+        _elements.bonusDisplay.classList.add('show');
+        
+        clearTimeout(_bonusTimeout);
+        _bonusTimeout = setTimeout(() => {
+            _elements.bonusDisplay.classList.remove('show');
+        }, 1500);
+    }
+    
+    /**
+     * Show the setup panel to choose a round length
+     */
+    function _showSetup() {
+        if (window.GameState.get('gameMode') !== 'practice') {
+            alert('Please finish the current game first.');
+            return;
+        }
+        
+        _elements.summaryPanel.classList.remove('active');
+        _elements.setupPanel.classList.add('active');
+        _elements.overlay.classList.add('active');
+    }
+    
+    /**
+     * Close the challenge dialog
+     */
+    function _closeOverlay() {
+        _elements.overlay.classList.remove('active');
+    }
+    
+    /**
+     * Start a round
+     * @param {number} seconds - Round length
+     */
+    function _startRound(seconds) {
+        _closeOverlay();
+        
+        _round = {
+            duration: seconds,
+            remaining: seconds * 1000,
+            lastTick: Date.now(),
+            paused: false,
+            currentWord: null,
+            currentSolved: false,
+            solved: [],
+            skipped: [],
+            bonusTime: 0
+        };
+        
+        window.GameState.update({ gameMode: 'timed' });
+        
+        _elements.timerBar.classList.add('active');
+        _updateTimerDisplay();
+        
+        // Each round starts on a fresh word
+        window.WordController.loadNextWord();
+        
+        clearInterval(_timerId);
+        _timerId = setInterval(_tick, 250);
+        
+        if (window.EventBus) {
+            window.EventBus.publish('timedChallengeStarted', { duration: seconds });
+        }
+    }
+    
+    /**
+     * Stop the clock and show the round summary
+     */
+    function _endRound() {
+        if (!_round) return;
+        
+        clearInterval(_timerId);
+        _timerId = null;
+        
+        const round = _round;
+        
+        // The word still on screen when the round ends was not solved
+        if (round.currentWord && !round.currentSolved) {
+            round.skipped.push(round.currentWord);
+            round.currentWord = null;
+        }
+        _round = null;
+        
+        _elements.timerBar.classList.remove('active');
+        window.GameState.update({ gameMode: 'practice' });
+        
+        _showSummary(round);
+        
+        if (window.EventBus) {
+            window.EventBus.publish('timedChallengeEnded', {
+                duration: round.duration,
+                solved: round.solved.map(item => item.word),
+                skipped: round.skipped.slice(),
+                bonusTime: round.bonusTime
+            });
+        }
+    }
+    
+    /**
+     * Fill and show the round summary
+     * @param {Object} round - The finished round
+     */
+    function _showSummary(round) {
+        const count = round.solved.length;
+        _elements.result.textContent = `You solved ${count} word${count === 1 ? '' : 's'} in ${_formatTime(round.duration * 1000)}` +
+            (round.bonusTime > 0 ? ` and earned ${round.bonusTime}s of bonus time!` : '!');
+        
+        _elements.solvedList.innerHTML = '';
+        round.solved.forEach(item => {
+            _elements.solvedList.appendChild(UIFactory.createResultWordItem(item.word, item.hintUsed ? 'with a hint' : ''));
+        });
+        if (count === 0) {
+            _elements.solvedList.appendChild(UIFactory.createResultWordItem('None this time'));
+        }
+        
+        _elements.skippedList.innerHTML = '';
+        round.skipped.forEach(word => {
+            _elements.skippedList.appendChild(UIFactory.createResultWordItem(word));
+        });
+        if (round.skipped.length === 0) {
+            _elements.skippedList.appendChild(UIFactory.createResultWordItem('None'));
+        }
+        
+        _elements.setupPanel.classList.remove('active');
+        _elements.summaryPanel.classList.add('active');
+        _elements.overlay.classList.add('active');
+    }
+    
+    /**
+     * Go back to normal play after a round
+     */
+    function _finish() {
+        _closeOverlay();
+        window.WordController.loadNextWord();
+    }
+    
+    /**
+     * Record the result of the word that was on screen and follow the new one
+     * A word replaced before it was solved counts as skipped
+     * @param {string} word - Word now on screen
+     */
+    function _handleWordLoaded(word) {
+        if (!_round) return;
+        
+        if (_round.currentWord && !_round.currentSolved) {
+            _round.skipped.push(_round.currentWord);
+        }
+        
+        _round.currentWord = word;
+        _round.currentSolved = false;
+        _round.paused = false;
+        _round.lastTick = Date.now();
+    }
+    
+    /**
+     * Record a solved word and add bonus time when no hint was used
+     * @param {string} word - The solved word
+     */
+    function _handleSolved(word) {
+        if (!_round || _round.currentSolved) return;
+        
+        // Count the time up to the solve, then stop the clock for the celebration
+        _tick();
+        if (!_round) return;
+        _round.paused = true;
+        _round.currentSolved = true;
+        
+        const hintUsed = window.GameState.get('hintLevel') > 0;
+        _round.solved.push({ word, hintUsed });
+        
+        if (!hintUsed) {
+            const bonus = GameConfig.get('timedChallenge').timeBonusSeconds;
+            _round.remaining += bonus * 1000;
+            _round.bonusTime += bonus;
+            _showBonus(bonus);
+            _updateTimerDisplay();
+        }
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the timed challenge mode
+         * @param {Object} elements - DOM elements
+         * @returns {Object} TimedChallenge for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.startBtn || !_elements.timerBar || !_elements.timerDisplay || !_elements.overlay ||
+                !_elements.setupPanel || !_elements.durationOptions || !_elements.summaryPanel ||
+                !_elements.result || !_elements.solvedList || !_elements.skippedList) {
+                console.error('Missing required elements for the timed challenge');
+                return this;
+            }
+            
+            // One button for each round length
+            GameConfig.get('timedChallenge').durations.forEach(seconds => {
+                const label = seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+                _elements.durationOptions.appendChild(UIFactory.createModeOption(label, () => _startRound(seconds)));
+            });
+            
+            _elements.startBtn.addEventListener('click', _showSetup);
+            
+            if (_elements.cancelBtn) {
+                _elements.cancelBtn.addEventListener('click', _closeOverlay);
+            }
+            if (_elements.stopBtn) {
+                _elements.stopBtn.addEventListener('click', _endRound);
+            }
+            if (_elements.againBtn) {
+                _elements.againBtn.addEventListener('click', () => {
+                    _elements.summaryPanel.classList.remove('active');
+                    _elements.setupPanel.classList.add('active');
+                });
+            }
+            if (_elements.doneBtn) {
+                _elements.doneBtn.addEventListener('click', _finish);
+            }
+            
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('wordLoaded', data => _handleWordLoaded(data && data.word));
+                window.EventBus.subscribe('answerCorrect', data => _handleSolved(data && data.word));
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Start a round
+         * @param {number} seconds - Round length
+         */
+        start: function(seconds) {
+            _startRound(seconds);
+        },
+        
+        /**
+         * End the current round early
+         */
+        stop: function() {
+            _endRound();
+        },
+        
+        /**
+         * Check whether a round is being played
+         * @returns {boolean} Whether a round is running
+         */
+        isRunning: function() {
+            return _round !== null;
+        }
+    };
+})();
+
+// Export the module
+window.TimedChallenge = TimedChallenge;
@@ -7,37 +7,25 @@ const UIFactory = (function() {
     return {
         /**
          * Create a letter tile
+         * Tiles need no handlers of their own: InputManager handles dragging and tapping on the tile areas
          * @param {string} letter - Letter for the tile
-         * @param {Function} dragStartCallback - Callback for dragstart event
-         * @param {Function} dragEndCallback - Callback for dragend event
          * @returns {HTMLElement} Letter tile element
          */
-        createLetterTile: function(letter, dragStartCallback, dragEndCallback) {
+        createLetterTile: function(letter) {
             const tile = document.createElement('div');
             tile.className = 'letter-tile';
             tile.textContent = letter;
-            tile.draggable = true;
             tile.id = `tile-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
             
-            // Add drag event listeners
-            if (typeof dragStartCallback === 'function') {
-                tile.addEventListener('dragstart', dragStartCallback);
-            }
-            
-            if (typeof dragEndCallback === 'function') {
-                tile.addEventListener('dragend', dragEndCallback);
-            }
-            
             return tile;
         },
         
         /**
          * Create a letter box for the drop area
          * @param {number} position - Position index of the letter box
-         * @param {Object} dropCallbacks - Callbacks for drop events
          * @returns {HTMLElement} Letter box element
          */
-        createLetterBox: function(position, dropCallbacks) {
+        createLetterBox: function(position) {
             const letterBox = document.createElement('div');
             letterBox.className = 'letter-box';
             letterBox.setAttribute('data-position', position);
@@ -48,25 +36,6 @@ const UIFactory = (function() {
             numberIndicator.textContent = position + 1; // Add 1 because position is zero-based
             letterBox.appendChild(numberIndicator);
             
-            // Set up drop event listeners if callbacks provided
-            if (dropCallbacks) {
-                if (typeof dropCallbacks.dragOver === 'function') {
-                    letterBox.addEventListener('dragover', dropCallbacks.dragOver);
-                }
-                
-                if (typeof dropCallbacks.dragEnter === 'function') {
-                    letterBox.addEventListener('dragenter', dropCallbacks.dragEnter);
-                }
-                
-                if (typeof dropCallbacks.dragLeave === 'function') {
-                    letterBox.addEventListener('dragleave', dropCallbacks.dragLeave);
-                }
-                
-                if (typeof dropCallbacks.drop === 'function') {
-                    letterBox.addEventListener('drop', dropCallbacks.drop);
-                }
-            }
-            
             return letterBox;
         },
         
@@ -75,9 +44,13 @@ const UIFactory = (function() {
          * @param {string} word - The word
          * @param {string} imageUrl - URL or data URL for the word image
          * @param {Function} deleteCallback - Callback for delete button click
+         * @param {Object} details - Learning details for the word (optional)
+         * @param {Function} detailsCallback - Callback when details are saved (optional)
+         * @param {string} recordingUrl - URL of the word's recorded pronunciation (optional)
+         * @param {Function} recordCallback - Callback for record button click (optional)
          * @returns {HTMLElement} Word item element
          */
-        createWordItem: function(word, imageUrl, deleteCallback) {
+        createWordItem: function(word, imageUrl, deleteCallback, details, detailsCallback, recordingUrl, recordCallback) {
             const wordItem = document.createElement('div');
             wordItem.className = 'word-item';
             wordItem.setAttribute('data-word', word);
@@ -97,6 +70,56 @@ const UIFactory = (function() {
             wordText.textContent = word;
             wordItem.appendChild(wordText);
             
+            // Create details editor if a save callback is provided
+            let editor = null;
+            if (typeof detailsCallback === 'function') {
+                editor = this.createWordDetailsEditor(details || {}, (newDetails) => {
+                    detailsCallback(wordItem, word, newDetails);
+                }, () => {
+                    wordItem.classList.remove('editing');
+                });
+                
+                const editBtn = document.createElement('button');
+                editBtn.className = 'edit-word-btn';
+                editBtn.title = 'Edit details';
+                editBtn.innerHTML = '<i class="fas fa-book-open"></i>';
+                if (details && Object.keys(details).length > 0) {
+                    editBtn.classList.add('has-details');
+                }
+                editBtn.addEventListener('click', () => {
+                    wordItem.classList.toggle('editing');
+                });
+                
+                wordItem.appendChild(editBtn);
+            }
+            
+            // Create play button for a recorded pronunciation
+            if (recordingUrl) {
+                const playBtn = document.createElement('button');
+                playBtn.className = 'play-recording-btn';
+                playBtn.title = 'Play recording';
+                playBtn.innerHTML = '<i class="fas fa-play"></i>';
+                playBtn.addEventListener('click', () => {
+                    if (!window.AudioService || typeof window.AudioService.playRecording !== 'function') return;
+                    
+                    window.AudioService.playRecording(recordingUrl).catch(error => {
+                        console.error(`Error playing the recording of "${word}":`, error);
+                        alert('The recording could not be played. Please try recording the word again.');
+                    });
+                });
+                wordItem.appendChild(playBtn);
+            }
+            
+            // Create record button if a record callback is provided
+            if (typeof recordCallback === 'function') {
+                const recordBtn = document.createElement('button');
+                recordBtn.className = 'record-word-btn';
+                recordBtn.title = recordingUrl ? 'Record again' : 'Record pronunciation';
+                recordBtn.innerHTML = '<i class="fas fa-microphone"></i><i class="fas fa-stop"></i>';
+                recordBtn.addEventListener('click', () => recordCallback(wordItem, word));
+                wordItem.appendChild(recordBtn);
+            }
+            
             // Create delete button
             const deleteBtn = document.createElement('button');
             deleteBtn.className = 'delete-word-btn';
@@ -108,9 +131,295 @@ const UIFactory = (function() {
             
             wordItem.appendChild(deleteBtn);
             
+            if (editor) {
+                wordItem.appendChild(editor);
+            }
+            
             return wordItem;
         },
         
+        /**
+         * Create an editor form for a word's learning details
+         * @param {Object} details - Current details
+         * @param {Function} saveCallback - Called with the edited details
+         * @param {Function} cancelCallback - Called when editing is cancelled
+         * @returns {HTMLElement} Editor element
+         */
+        createWordDetailsEditor: function(details, saveCallback, cancelCallback) {
+            const editor = document.createElement('div');
+            editor.className = 'word-item-details';
+            
+            const inputs = {};
+            window.GameConfig.get('wordDetailFields').forEach(field => {
+                const label = document.createElement('label');
+                label.className = 'word-detail-field';
+                
+                const caption = document.createElement('span');
+                caption.textContent = field.label;
+                label.appendChild(caption);
+                
+                const input = document.createElement(field.multiline ? 'textarea' : 'input');
+                if (!field.multiline) {
+                    input.type = 'text';
+                }
+                input.value = details[field.key] || '';
+                input.setAttribute('data-field', field.key);
+                label.appendChild(input);
+                
+                inputs[field.key] = input;
+                editor.appendChild(label);
+            });
+            
+            const actions = document.createElement('div');
+            actions.className = 'word-detail-actions';
+            
+            const saveBtn = document.createElement('button');
+            saveBtn.className = 'game-btn primary';
+            saveBtn.textContent = 'Save';
+            saveBtn.addEventListener('click', () => {
+                const newDetails = {};
+                Object.keys(inputs).forEach(key => {
+                    newDetails[key] = inputs[key].value;
+                });
+                if (typeof saveCallback === 'function') saveCallback(newDetails);
+            });
+            
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'game-btn';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', () => {
+                Object.keys(inputs).forEach(key => {
+                    inputs[key].value = details[key] || '';
+                });
+                if (typeof cancelCallback === 'function') cancelCallback();
+            });
+            
+            actions.appendChild(saveBtn);
+            actions.appendChild(cancelBtn);
+            editor.appendChild(actions);
+            
+            return editor;
+        },
+        
+        /**
+         * Fill a container with a word's learning details
+         * @param {HTMLElement} container - Element to fill
+         * @param {Object|null} details - Word details
+         * @returns {boolean} Whether any details were shown
+         */
+        renderWordDetails: function(container, details) {
+            if (!container) return false;
+            
+            container.innerHTML = '';
+            if (!details) return false;
+            
+            let shown = false;
+            window.GameConfig.get('wordDetailFields').forEach(field => {
+                if (!details[field.key]) return;
+                
+                const row = document.createElement('p');
+                row.className = `word-detail word-detail-${field.key}`;
+                
+                const label = document.createElement('strong');
+                label.textContent = `${field.label}: `;
+                row.appendChild(label);
+                row.appendChild(document.createTextNode(details[field.key]));
+                
+                container.appendChild(row);
+                shown = true;
+            });
+            
+            return shown;
+        },
+        
+        /**
+         * Create a row for the word import preview table
+         * @param {Object} row - Parsed row ({line, word, imageUrl, status, reason})
+         * @returns {HTMLElement} Table row element
+         */
+        createImportPreviewRow: function(row) {
+            const tr = document.createElement('tr');
+            tr.className = `import-row import-${row.status}`;
+            
+            const cells = [
+                row.line,
+                row.word || '—',
+                row.imageUrl ? 'Yes' : '',
+                row.status === 'ok' ? 'Ready' : row.reason
+            ];
+            
+            cells.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            
+            return tr;
+        },
+        
+        /**
+         * Create a row for the restore preview table
+         * @param {Object} row - Preview row ({label, current, restored, changed})
+         * @returns {HTMLElement} Table row element
+         */
+        createRestorePreviewRow: function(row) {
+            const tr = document.createElement('tr');
+            tr.className = row.changed ? 'restore-row restore-changed' : 'restore-row';
+            
+            [row.label, row.current, row.restored].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            
+            return tr;
+        },
+        
+        /**
+         * Create a card for the profile picker
+         * @param {Object} profile - Profile ({id, name, avatar, age})
+         * @param {boolean} isActive - Whether this is the active profile
+         * @param {Object} actions - Callbacks ({select, edit, remove}) called with the profile ID
+         * @param {boolean} canDelete - Whether the profile may be deleted
+         * @returns {HTMLElement} Profile card element
+         */
+        createProfileCard: function(profile, isActive, actions, canDelete) {
+            const card = document.createElement('div');
+            card.className = isActive ? 'profile-card active' : 'profile-card';
+            
+            const selectBtn = document.createElement('button');
+            selectBtn.type = 'button';
+            selectBtn.className = 'profile-select-btn';
+            selectBtn.addEventListener('click', () => actions.select(profile.id));
+            
+            const avatar = document.createElement('span');
+            avatar.className = 'profile-card-avatar';
+            avatar.textContent = profile.avatar;
+            selectBtn.appendChild(avatar);
+            
+            const name = document.createElement('span');
+            name.className = 'profile-card-name';
+            name.textContent = profile.age ? `${profile.name} (${profile.age})` : profile.name;
+            selectBtn.appendChild(name);
+            
+            card.appendChild(selectBtn);
+            
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'profile-edit-btn';
+            editBtn.title = 'Edit profile';
+            editBtn.innerHTML = '<i class="fas fa-pen"></i>';
+            editBtn.addEventListener('click', () => actions.edit(profile.id));
+            card.appendChild(editBtn);
+            
+            if (canDelete) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'profile-delete-btn';
+                deleteBtn.title = 'Delete profile';
+                deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+                deleteBtn.addEventListener('click', () => actions.remove(profile.id));
+                card.appendChild(deleteBtn);
+            }
+            
+            return card;
+        },
+        
+        /**
+         * Create a summary tile for the progress dashboard
+         * @param {string} label - What the value measures
+         * @param {string} value - Formatted value
+         * @returns {HTMLElement} Tile element
+         */
+        createDashboardTile: function(label, value) {
+            const tile = document.createElement('div');
+            tile.className = 'dashboard-tile';
+            
+            const valueElement = document.createElement('span');
+            valueElement.className = 'dashboard-tile-value';
+            valueElement.textContent = value;
+            tile.appendChild(valueElement);
+            
+            const labelElement = document.createElement('span');
+            labelElement.className = 'dashboard-tile-label';
+            labelElement.textContent = label;
+            tile.appendChild(labelElement);
+            
+            return tile;
+        },
+        
+        /**
+         * Create a button for a game mode choice (such as a round length)
+         * @param {string} label - Button text
+         * @param {Function} clickCallback - Called when the button is clicked
+         * @returns {HTMLElement} Button element
+         */
+        createModeOption: function(label, clickCallback) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'game-btn mode-option';
+            button.textContent = label;
+            
+            if (typeof clickCallback === 'function') {
+                button.addEventListener('click', clickCallback);
+            }
+            
+            return button;
+        },
+        
+        /**
+         * Create a list item for a word in a game mode summary
+         * @param {string} word - The word
+         * @param {string} note - Extra detail shown after the word (optional)
+         * @returns {HTMLElement} List item element
+         */
+        createResultWordItem: function(word, note) {
+            const item = document.createElement('li');
+            item.className = 'mode-word-item';
+            item.textContent = word;
+            
+            if (note) {
+                const noteElement = document.createElement('span');
+                noteElement.className = 'mode-word-note';
+                noteElement.textContent = note;
+                item.appendChild(noteElement);
+            }
+            
+            return item;
+        },
+        
+        /**
+         * Create a row for the dashboard session history table
+         * @param {Object} row - Formatted session ({date, length, words, solved, accuracy, hints})
+         * @returns {HTMLElement} Table row element
+         */
+        createSessionRow: function(row) {
+            const tr = document.createElement('tr');
+            
+            [row.date, row.length, row.words, row.solved, row.accuracy, row.hints].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            
+            return tr;
+        },
+        
+        /**
+         * Create an option element for the deck selector
+         * @param {Object} deck - Deck with id and name
+         * @param {boolean} isActive - Whether this is the active deck
+         * @returns {HTMLElement} Option element
+         */
+        createDeckOption: function(deck, isActive) {
+            const option = document.createElement('option');
+            option.value = deck.id;
+            option.textContent = deck.name;
+            option.selected = !!isActive;
+            
+            return option;
+        },
+        
         /**
          * Create celebration overlay content
          * @returns {Object} Object with created celebration elements
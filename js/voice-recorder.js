@@ -0,0 +1,127 @@
+/**
+ * Voice Recorder Module for Word Scramble Game
+ * Records short clips from the microphone with MediaRecorder, so teachers and
+ * parents can say the words in their own voice
+ */
+const VoiceRecorder = (function() {
+    // Private state
+    let _recorder = null;
+    let _stream = null;
+    let _stopTimeout = null;
+    
+    // Private methods
+    
+    /**
+     * Choose the first recording format the browser supports
+     * @returns {string} MIME type, or '' to let the browser choose
+     */
+    function _getMimeType() {
+        if (typeof MediaRecorder.isTypeSupported !== 'function') return '';
+        
+        return GameConfig.get('recordings').types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+    
+    /**
+     * Release the microphone
+     */
+    function _releaseMicrophone() {
+        clearTimeout(_stopTimeout);
+        _stopTimeout = null;
+        
+        if (_stream) {
+            _stream.getTracks().forEach(track => track.stop());
+            _stream = null;
+        }
+        _recorder = null;
+    }
+    
+    // Public API
+    return {
+        /**
+         * Check whether this browser can record from the microphone
+         * @returns {boolean} Whether recording is supported
+         */
+        isSupported: function() {
+            return !!(window.MediaRecorder && navigator.mediaDevices &&
+                typeof navigator.mediaDevices.getUserMedia === 'function');
+        },
+        
+        /**
+         * Check whether a recording is in progress
+         * @returns {boolean} Whether the microphone is recording
+         */
+        isRecording: function() {
+            return !!_recorder;
+        },
+        
+        /**
+         * Record a clip, stopping after the configured longest clip time
+         * @returns {Promise<Blob>} Recorded audio, once the recording stops
+         */
+        record: function() {
+            if (!this.isSupported()) {
+                return Promise.reject(new Error('Recording is not supported in this browser'));
+            }
+            if (_recorder) {
+                return Promise.reject(new Error('A recording is already in progress'));
+            }
+            
+            return navigator.mediaDevices.getUserMedia({ audio: true }).then(stream => new Promise((resolve, reject) => {
+                const mimeType = _getMimeType();
+                const chunks = [];
+                
+                _stream = stream;
+                
+                // An unsupported format throws here or on start(); the microphone must not stay on
+                try {
+                    _recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+                } catch (error) {
+                    _releaseMicrophone();
+                    reject(error);
+                    return;
+                }
+                
+                _recorder.ondataavailable = event => {
+                    if (event.data && event.data.size > 0) chunks.push(event.data);
+                };
+                _recorder.onstop = () => {
+                    const type = (_recorder && _recorder.mimeType) || mimeType || 'audio/webm';
+                    _releaseMicrophone();
+                    
+                    if (chunks.length === 0) {
+                        reject(new Error('Nothing was recorded'));
+                        return;
+                    }
+                    resolve(new Blob(chunks, { type }));
+                };
+                _recorder.onerror = event => {
+                    _releaseMicrophone();
+                    reject(event.error || new Error('Recording failed'));
+                };
+                
+                try {
+                    _recorder.start();
+                } catch (error) {
+                    _releaseMicrophone();
+                    reject(error);
+                    return;
+                }
+                _stopTimeout = setTimeout(() => this.stop(), GameConfig.get('recordings').maxSeconds * 1000);
+            }));
+        },
+        
+        /**
+         * Stop the recording in progress (its clip is then returned by record())
+         * @returns {boolean} Whether a recording was stopped
+         */
+        stop: function() {
+            if (!_recorder || _recorder.state === 'inactive') return false;
+            
+            _recorder.stop();
+            return true;
+        }
+    };
+})();
+
+// Export the module
+window.VoiceRecorder = VoiceRecorder;
@@ -0,0 +1,514 @@
+/**
+ * Word Importer Module for Word Scramble Game
+ * Parses word lists in CSV, JSON or line format and imports them into the active deck
+ */
+const WordImporter = (function() {
+    // Private state
+    let _parsedRows = [];
+    
+    // DOM elements
+    let _elements = {
+        toggleBtn: null,
+        panel: null,
+        textInput: null,
+        dropArea: null,
+        fileInput: null,
+        fileBtn: null,
+        formatSelect: null,
+        previewBtn: null,
+        confirmBtn: null,
+        summary: null,
+        previewTable: null
+    };
+    
+    // Column names accepted in CSV headers and JSON objects, mapped to entry fields
+    const _fieldAliases = {
+        word: 'word',
+        image: 'imageUrl',
+        imageurl: 'imageUrl',
+        url: 'imageUrl',
+        definition: 'definition',
+        meaning: 'definition',
+        example: 'example',
+        examplesentence: 'example',
+        partofspeech: 'partOfSpeech',
+        pos: 'partOfSpeech',
+        translation: 'translation',
+        notes: 'notes',
+        note: 'notes'
+    };
+    
+    // Column order used for CSV files without a header row
+    const _defaultColumns = ['word', 'imageUrl', 'definition', 'example', 'partOfSpeech', 'translation', 'notes'];
+    
+    // Private methods
+    
+    /**
+     * Normalize a column or property name to an entry field
+     * @param {string} name - Raw column name
+     * @returns {string|null} Field name or null if unknown
+     */
+    function _toFieldName(name) {
+        const key = String(name).toLowerCase().replace(/[^a-z]/g, '');
+        return _fieldAliases[key] || null;
+    }
+    
+    /**
+     * Guess the format of a word list
+     * @param {string} text - Raw text
+     * @param {string} fileName - Name of the source file (optional)
+     * @returns {string} 'json', 'csv' or 'lines'
+     */
+    function _detectFormat(text, fileName) {
+        const extension = fileName ? fileName.split('.').pop().toLowerCase() : '';
+        if (extension === 'json') return 'json';
+        if (extension === 'csv') return 'csv';
+        if (extension === 'txt') return 'lines';
+        
+        const trimmed = text.trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            return 'json';
+        }
+        
+        const firstLine = trimmed.split(/\r?\n/)[0] || '';
+        return firstLine.includes(',') ? 'csv' : 'lines';
+    }
+    
+    /**
+     * Split CSV text into rows of cells, honouring quoted cells
+     * @param {string} text - CSV text
+     * @returns {Array} Array of rows (arrays of strings)
+     */
+    function _splitCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                // Treat \r\n as a single line break
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        row.push(cell);
+        rows.push(row);
+        
+        // Drop blank lines
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+    
+    /**
+     * Parse CSV text into raw entries
+     * @param {string} text - CSV text
+     * @returns {Array} Array of raw entries
+     */
+    function _parseCsv(text) {
+        const rows = _splitCsv(text);
+        if (rows.length === 0) return [];
+        
+        // Use the first row as a header if it names a "word" column
+        let columns = _defaultColumns;
+        const headerFields = rows[0].map(_toFieldName);
+        if (headerFields.includes('word')) {
+            columns = headerFields;
+            rows.shift();
+        }
+        
+        return rows.map((cells, index) => {
+            const entry = { line: index + 1 };
+            cells.forEach((value, column) => {
+                const field = columns[column];
+                if (field && value.trim()) {
+                    entry[field] = value.trim();
+                }
+            });
+            return entry;
+        });
+    }
+    
+    /**
+     * Parse JSON text into raw entries
+     * Accepts an array of strings or objects, or an object with a "words" array
+     * @param {string} text - JSON text
+     * @returns {Array} Array of raw entries
+     */
+    function _parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return [{ line: 1, error: `Invalid JSON: ${error.message}` }];
+        }
+        
+        const items = Array.isArray(data) ? data : (data && Array.isArray(data.words) ? data.words : null);
+        if (!items) {
+            return [{ line: 1, error: 'JSON must be an array of words or have a "words" array' }];
+        }
+        
+        return items.map((item, index) => {
+            if (typeof item === 'string') {
+                return { line: index + 1, word: item };
+            }
+            
+            if (!item || typeof item !== 'object') {
+                return { line: index + 1, error: 'Entry is not a word or an object' };
+            }
+            
+            const entry = { line: index + 1 };
+            Object.keys(item).forEach(key => {
+                const field = _toFieldName(key);
+                if (field && typeof item[key] === 'string') {
+                    entry[field] = item[key].trim();
+                }
+            });
+            return entry;
+        });
+    }
+    
+    /**
+     * Parse line-based text into raw entries
+     * Each line is "word", "word:imageURL" or "word|imageURL"
+     * @param {string} text - Line-based text
+     * @returns {Array} Array of raw entries
+     */
+    function _parseLines(text) {
+        const entries = [];
+        
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+            
+            // Split on the first separator only so "https:" stays in the URL
+            const pipeIndex = line.indexOf('|');
+            const colonIndex = line.indexOf(':');
+            const separator = pipeIndex !== -1 ? pipeIndex : colonIndex;
+            
+            if (separator === -1) {
+                entries.push({ line: index + 1, word: line });
+            } else {
+                entries.push({
+                    line: index + 1,
+                    word: line.slice(0, separator).trim(),
+                    imageUrl: line.slice(separator + 1).trim()
+                });
+            }
+        });
+        
+        return entries;
+    }
+    
+    /**
+     * Check that an image reference is something the game can display
+     * @param {string} imageUrl - Image URL
+     * @returns {boolean} Whether the URL is usable
+     */
+    function _isValidImageUrl(imageUrl) {
+        return /^https?:\/\/\S+$/i.test(imageUrl) || /^data:image\//i.test(imageUrl);
+    }
+    
+    /**
+     * Turn raw entries into preview rows with a status for each
+     * @param {Array} entries - Raw entries
+     * @param {Array} existingWords - Words already in the deck
+     * @returns {Array} Rows ({line, word, imageUrl, details, status, reason})
+     */
+    function _buildRows(entries, existingWords) {
+        const seen = new Set();
+        const existing = new Set(existingWords);
+        const detailFields = GameConfig.get('wordDetailFields').map(field => field.key);
+        
+        return entries.map(entry => {
+            const word = (entry.word || '').trim().toLowerCase();
+            const details = {};
+            detailFields.forEach(key => {
+                if (entry[key]) details[key] = entry[key];
+            });
+            
+            const row = {
+                line: entry.line,
+                word,
+                imageUrl: entry.imageUrl || null,
+                details,
+                status: 'ok',
+                reason: ''
+            };
+            
+            if (entry.error) {
+                row.status = 'invalid';
+                row.reason = entry.error;
+            } else if (!word) {
+                row.status = 'invalid';
+                row.reason = 'Missing word';
+            } else if (!/^\p{L}+$/u.test(word)) {
+                // Every character becomes a letter tile, so spaces and punctuation cannot be played
+                row.status = 'invalid';
+                row.reason = 'Words may only contain letters';
+            } else if (row.imageUrl && !_isValidImageUrl(row.imageUrl)) {
+                row.status = 'invalid';
+                row.reason = 'Image must be an http(s) or data: URL';
+            } else if (seen.has(word)) {
+                row.status = 'duplicate';
+                row.reason = 'Appears earlier in this list';
+            } else if (existing.has(word)) {
+                row.status = 'duplicate';
+                row.reason = 'Already in this deck';
+            }
+            
+            if (word) seen.add(word);
+            return row;
+        });
+    }
+    
+    /**
+     * Get the selected import mode
+     * @returns {string} 'merge' or 'replace'
+     */
+    function _getMode() {
+        const checked = _elements.panel ?
+            _elements.panel.querySelector('input[name="import-mode"]:checked') : null;
+        return checked ? checked.value : 'merge';
+    }
+    
+    /**
+     * Parse the text area and show the preview
+     * @param {string} fileName - Name of the source file (optional)
+     */
+    function _showPreview(fileName) {
+        const text = _elements.textInput.value;
+        const format = _elements.formatSelect && _elements.formatSelect.value !== 'auto' ?
+            _elements.formatSelect.value : _detectFormat(text, fileName);
+        
+        // In replace mode the current deck is cleared, so nothing counts as already present
+        const existingWords = _getMode() === 'replace' ? [] : window.WordManager.getWords();
+        _parsedRows = _buildRows(_parse(text, format), existingWords);
+        
+        const counts = { ok: 0, duplicate: 0, invalid: 0 };
+        _parsedRows.forEach(row => counts[row.status]++);
+        
+        _elements.previewTable.innerHTML = '';
+        _parsedRows.forEach(row => {
+            _elements.previewTable.appendChild(window.UIFactory.createImportPreviewRow(row));
+        });
+        
+        _elements.summary.textContent = _parsedRows.length === 0 ?
+            'No words found.' :
+            `${counts.ok} to import, ${counts.duplicate} duplicate, ${counts.invalid} invalid (${format.toUpperCase()} format)`;
+        
+        _elements.confirmBtn.disabled = counts.ok === 0;
+    }
+    
+    /**
+     * Parse text in the given format
+     * @param {string} text - Raw text
+     * @param {string} format - 'json', 'csv' or 'lines'
+     * @returns {Array} Raw entries
+     */
+    function _parse(text, format) {
+        if (!text.trim()) return [];
+        
+        switch (format) {
+            case 'json':
+                return _parseJson(text);
+            case 'csv':
+                return _parseCsv(text);
+            default:
+                return _parseLines(text);
+        }
+    }
+    
+    /**
+     * Import the previewed rows into the active deck
+     */
+    function _confirmImport() {
+        const mode = _getMode();
+        const rows = _parsedRows.filter(row => row.status === 'ok');
+        if (rows.length === 0) return;
+        
+        if (mode === 'replace' &&
+            !confirm('Replace all words in this deck with the imported words?')) {
+            return;
+        }
+        
+        const imported = _importRows(rows, mode);
+        
+        _elements.summary.textContent = `Imported ${imported} word${imported === 1 ? '' : 's'}.`;
+        _elements.previewTable.innerHTML = '';
+        _elements.textInput.value = '';
+        _elements.confirmBtn.disabled = true;
+        _parsedRows = [];
+    }
+    
+    /**
+     * Add rows to the active deck
+     * @param {Array} rows - Valid rows
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {number} Number of words added
+     */
+    function _importRows(rows, mode) {
+        if (mode === 'replace') {
+            window.WordManager.clearWords();
+        }
+        
+        // One save for the whole import
+        const imported = window.WordManager.addWords(rows.map(row => ({
+            word: row.word,
+            imageUrl: row.imageUrl,
+            details: row.details
+        })));
+        
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('wordsImported', {
+                count: imported,
+                mode
+            });
+        }
+        
+        return imported;
+    }
+    
+    /**
+     * Read a dropped or selected file into the text area
+     * @param {File} file - Word list file
+     */
+    function _handleFile(file) {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            _elements.textInput.value = e.target.result;
+            _showPreview(file.name);
+        };
+        reader.onerror = function() {
+            alert('Could not read that file.');
+        };
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Set up the import panel controls
+     */
+    function _setupListeners() {
+        _elements.toggleBtn.addEventListener('click', () => {
+            _elements.panel.classList.toggle('active');
+        });
+        
+        _elements.previewBtn.addEventListener('click', () => _showPreview());
+        _elements.confirmBtn.addEventListener('click', _confirmImport);
+        
+        // Re-check duplicates when the mode changes
+        _elements.panel.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (_elements.textInput.value.trim()) _showPreview();
+            });
+        });
+        
+        if (_elements.fileBtn && _elements.fileInput) {
+            _elements.fileBtn.addEventListener('click', () => {
+                _elements.fileInput.click();
+            });
+            
+            _elements.fileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    _handleFile(e.target.files[0]);
+                    e.target.value = '';
+                }
+            });
+        }
+        
+        // Handle dropped files
+        if (_elements.dropArea) {
+            _elements.dropArea.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                _elements.dropArea.classList.add('dragover');
+            });
+            
+            _elements.dropArea.addEventListener('dragleave', () => {
+                _elements.dropArea.classList.remove('dragover');
+            });
+            
+            _elements.dropArea.addEventListener('drop', (e) => {
+                e.preventDefault();
+                _elements.dropArea.classList.remove('dragover');
+                
+                if (e.dataTransfer.files.length > 0) {
+                    _handleFile(e.dataTransfer.files[0]);
+                }
+            });
+        }
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the word importer
+         * @param {Object} elements - DOM elements
+         * @returns {Object} WordImporter for chaining
+         */
+        init: function(elements) {
+            _elements = elements;
+            
+            if (!_elements.toggleBtn || !_elements.panel || !_elements.textInput ||
+                !_elements.previewBtn || !_elements.confirmBtn ||
+                !_elements.summary || !_elements.previewTable) {
+                console.error('Missing required elements for word import');
+                return this;
+            }
+            
+            _setupListeners();
+            return this;
+        },
+        
+        /**
+         * Parse a word list without importing it
+         * @param {string} text - Raw text
+         * @param {string} format - 'json', 'csv', 'lines' or 'auto'
+         * @returns {Array} Rows ({line, word, imageUrl, details, status, reason})
+         */
+        parse: function(text, format) {
+            const resolvedFormat = !format || format === 'auto' ? _detectFormat(text) : format;
+            return _buildRows(_parse(text, resolvedFormat), window.WordManager.getWords());
+        },
+        
+        /**
+         * Parse and import a word list into the active deck
+         * @param {string} text - Raw text
+         * @param {string} format - 'json', 'csv', 'lines' or 'auto'
+         * @param {string} mode - 'merge' (default) or 'replace'
+         * @returns {number} Number of words added
+         */
+        importText: function(text, format, mode) {
+            const importMode = mode === 'replace' ? 'replace' : 'merge';
+            const resolvedFormat = !format || format === 'auto' ? _detectFormat(text) : format;
+            const existingWords = importMode === 'replace' ? [] : window.WordManager.getWords();
+            const rows = _buildRows(_parse(text, resolvedFormat), existingWords)
+                .filter(row => row.status === 'ok');
+            
+            return _importRows(rows, importMode);
+        }
+    };
+})();
+
+// Export the module
+window.WordImporter = WordImporter;
@@ -4,10 +4,17 @@
  */
 const WordManager = (function() {
     // Private state
+    let _decks = [];
+    let _activeDeckId = null;
     let _words = [];
     let _wordImages = {};
+    let _wordDetails = {};
+    let _wordRecordings = {};
     let _tempImageData = null;
     
+    // Startup cleanup of unused stored images; uploads wait for it to finish
+    let _imageCleanup = Promise.resolve();
+    
     // DOM elements
     let _elements = {
         newWordInput: null,
@@ -16,7 +23,15 @@ const WordManager = (function() {
         imageUpload: null,
         imagePreview: null,
         wordList: null,
-        saveWordsBtn: null
+        saveWordsBtn: null,
+        deckSelect: null,
+        newDeckBtn: null,
+        renameDeckBtn: null,
+        duplicateDeckBtn: null,
+        deleteDeckBtn: null,
+        exportDeckBtn: null,
+        importDeckBtn: null,
+        deckFileInput: null
     };
     
     // Private methods
@@ -33,13 +48,194 @@ const WordManager = (function() {
             return;
         }
         
-        // Read file as data URL
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            _tempImageData = e.target.result;
-            window.UIFactory.createImagePreview(_tempImageData, previewElement);
-        };
-        reader.readAsDataURL(file);
+        // Resize and store the image; the add button waits until it is ready
+        if (_elements.addWordBtn) {
+            _elements.addWordBtn.disabled = true;
+        }
+        
+        _storeUploadedImage(file)
+            .then(imageRef => {
+                _tempImageData = imageRef;
+                window.UIFactory.createImagePreview(_resolveImage(imageRef), previewElement);
+            })
+            .catch(error => {
+                console.error('Error storing uploaded image:', error);
+                alert('Sorry, that image could not be saved.');
+            })
+            .then(() => {
+                if (_elements.addWordBtn) {
+                    _elements.addWordBtn.disabled = false;
+                }
+            });
+    }
+    
+    /**
+     * Store an uploaded image, resized, in the image store
+     * Falls back to an inline data URL when the image store is missing
+     * @param {File} file - Image file
+     * @returns {Promise<string>} Image reference or data URL
+     */
+    function _storeUploadedImage(file) {
+        if (window.ImageStore) {
+            // Stored after the cleanup, so the cleanup cannot delete it before its word is saved
+            return _imageCleanup.then(() => window.ImageStore.storeImage(file));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+    
+    /**
+     * Resolve a stored image reference to a displayable URL
+     * @param {string} imageRef - Image reference or URL
+     * @returns {string|null} Displayable URL
+     */
+    function _resolveImage(imageRef) {
+        if (!imageRef) return null;
+        return window.ImageStore ? window.ImageStore.getUrl(imageRef) : imageRef;
+    }
+    
+    /**
+     * Resolve a stored recording reference to a playable URL
+     * @param {string} recordingRef - Recording reference or data URL
+     * @returns {string|null} Playable URL
+     */
+    function _resolveRecording(recordingRef) {
+        if (!recordingRef) return null;
+        return window.RecordingStore ? window.RecordingStore.getUrl(recordingRef) : recordingRef;
+    }
+    
+    /**
+     * Move inline data URLs from every deck into a blob store
+     * so they no longer count against the storage quota
+     * @param {string} field - Deck field holding them ('wordImages' or 'wordRecordings')
+     * @param {Object} store - Store to move them to (ImageStore or RecordingStore)
+     * @param {string} label - What they are, for error messages
+     * @returns {Promise<number>} Number of data URLs moved
+     */
+    function _moveInlineData(field, store, label) {
+        if (!store) return Promise.resolve(0);
+        
+        const pending = [];
+        _decks.forEach(deck => {
+            Object.keys(deck[field] || {}).forEach(word => {
+                const dataUrl = deck[field][word];
+                if (typeof dataUrl === 'string' && dataUrl.startsWith('data:')) {
+                    pending.push({ deck, word, dataUrl });
+                }
+            });
+        });
+        
+        if (pending.length === 0) return Promise.resolve(0);
+        
+        // Convert one at a time to keep memory use low
+        let moved = 0;
+        const migration = pending.reduce((chain, item) => chain.then(() => {
+            return store.storeDataUrl(item.dataUrl).then(ref => {
+                // Skip words that were removed or changed in the meantime
+                if (ref !== item.dataUrl && item.deck[field][item.word] === item.dataUrl) {
+                    item.deck[field][item.word] = ref;
+                    moved++;
+                }
+            }).catch(error => {
+                console.error(`Error moving ${label} for "${item.word}" to its store:`, error);
+            });
+        }), Promise.resolve());
+        
+        return migration.then(() => {
+            if (moved > 0) {
+                _saveWordData();
+            }
+            return moved;
+        });
+    }
+    
+    /**
+     * Move inline data URL images from every deck into the image store
+     * @returns {Promise<number>} Number of images moved
+     */
+    function _moveInlineImages() {
+        return _moveInlineData('wordImages', window.ImageStore, 'image');
+    }
+    
+    /**
+     * Move inline data URL recordings from every deck into the recording store
+     * @returns {Promise<number>} Number of recordings moved
+     */
+    function _moveInlineRecordings() {
+        return _moveInlineData('wordRecordings', window.RecordingStore, 'recording');
+    }
+    
+    /**
+     * Collect every reference in a deck field used by any deck
+     * @param {string} field - Deck field ('wordImages' or 'wordRecordings')
+     * @returns {Array} References
+     */
+    function _getAllRefs(field) {
+        const refs = [];
+        _decks.forEach(deck => {
+            Object.keys(deck[field] || {}).forEach(word => refs.push(deck[field][word]));
+        });
+        return refs;
+    }
+    
+    /**
+     * Migrate inline images, drop unused stored images and refresh the UI
+     */
+    function _prepareImageStore() {
+        if (!window.ImageStore) return;
+        
+        const cleanup = window.ImageStore.ready()
+            .then(() => _moveInlineImages())
+            .then(() => {
+                StorageService.saveDecks(_decks);
+                
+                // An uploaded image waiting for its word is in use too
+                const refsInUse = _getAllRefs('wordImages');
+                if (window.ImageStore.isStoredImage(_tempImageData)) {
+                    refsInUse.push(_tempImageData);
+                }
+                return window.ImageStore.deleteUnused(refsInUse);
+            });
+        _imageCleanup = cleanup.catch(() => {});
+        
+        cleanup
+            .then(() => {
+                if (_elements.wordList) {
+                    _populateWordList();
+                }
+                
+                if (window.EventBus && typeof window.EventBus.publish === 'function') {
+                    window.EventBus.publish('wordImagesReady', null);
+                }
+            })
+            .catch(error => {
+                console.error('Error preparing image store:', error);
+            });
+    }
+    
+    /**
+     * Migrate inline recordings, drop unused stored recordings and refresh the UI
+     */
+    function _prepareRecordingStore() {
+        if (!window.RecordingStore) return;
+        
+        window.RecordingStore.ready()
+            .then(() => _moveInlineRecordings())
+            .then(() => window.RecordingStore.deleteUnused(_getAllRefs('wordRecordings')))
+            .then(() => {
+                // Recordings loaded after the list was drawn get their play buttons now
+                if (_elements.wordList) {
+                    _populateWordList();
+                }
+            })
+            .catch(error => {
+                console.error('Error preparing recording store:', error);
+            });
     }
     
     /**
@@ -110,13 +306,7 @@ const WordManager = (function() {
         }
         
         // Create word item in UI
-        const wordItem = window.UIFactory.createWordItem(
-            word, 
-            _wordImages[word] || null,
-            _removeWord
-        );
-        
-        _elements.wordList.appendChild(wordItem);
+        _elements.wordList.appendChild(_createWordItem(word));
         
         // Clear input and preview
         wordInput.value = '';
@@ -138,10 +328,12 @@ const WordManager = (function() {
             _words.splice(index, 1);
         }
         
-        // Remove image association
+        // Remove image, details and recording association
         if (_wordImages[word]) {
             delete _wordImages[word];
         }
+        delete _wordDetails[word];
+        delete _wordRecordings[word];
         
         // Remove from UI
         wordItem.remove();
@@ -151,19 +343,726 @@ const WordManager = (function() {
     }
     
     /**
-     * Save word data to localStorage
+     * Clean up word details, keeping only known non-empty fields
+     * @param {Object} details - Raw details
+     * @returns {Object} Cleaned details
+     */
+    function _sanitizeDetails(details) {
+        const cleaned = {};
+        if (!details || typeof details !== 'object') {
+            return cleaned;
+        }
+        
+        GameConfig.get('wordDetailFields').forEach(field => {
+            const value = details[field.key];
+            if (typeof value === 'string' && value.trim()) {
+                cleaned[field.key] = value.trim();
+            }
+        });
+        
+        return cleaned;
+    }
+    
+    /**
+     * Store details for a word, dropping the entry when all fields are empty
+     * @param {string} word - Word to update
+     * @param {Object} details - Details to store
+     */
+    function _setWordDetails(word, details) {
+        const cleaned = _sanitizeDetails(details);
+        
+        if (Object.keys(cleaned).length > 0) {
+            _wordDetails[word] = cleaned;
+        } else {
+            delete _wordDetails[word];
+        }
+    }
+    
+    /**
+     * Handle details saved from a word item editor
+     * @param {HTMLElement} wordItem - Word item element
+     * @param {string} word - Word being edited
+     * @param {Object} details - Edited details
+     */
+    function _saveDetailsFromItem(wordItem, word, details) {
+        _setWordDetails(word, details);
+        _saveWordData();
+        
+        // Rebuild the item so the editor reflects the stored values
+        wordItem.replaceWith(_createWordItem(word));
+    }
+    
+    /**
+     * Create the UI item for a word in the active deck
+     * @param {string} word - Word
+     * @returns {HTMLElement} Word item element
+     */
+    function _createWordItem(word) {
+        return window.UIFactory.createWordItem(
+            word,
+            _resolveImage(_wordImages[word]),
+            _removeWord,
+            _wordDetails[word] || {},
+            _saveDetailsFromItem,
+            _resolveRecording(_wordRecordings[word]),
+            window.VoiceRecorder && window.VoiceRecorder.isSupported() ? _recordPronunciation : null
+        );
+    }
+    
+    /**
+     * Store a recorded clip
+     * Falls back to an inline data URL when the recording store is missing
+     * @param {Blob} blob - Recorded audio
+     * @returns {Promise<string>} Recording reference or data URL
+     */
+    function _storeRecording(blob) {
+        if (window.RecordingStore) {
+            return window.RecordingStore.storeRecording(blob);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+    
+    /**
+     * Delete stored recordings that no deck uses any more
+     */
+    function _deleteUnusedRecordings() {
+        if (!window.RecordingStore) return;
+        
+        window.RecordingStore.deleteUnused(_getAllRefs('wordRecordings'))
+            .catch(error => {
+                console.error('Error deleting unused recordings:', error);
+            });
+    }
+    
+    /**
+     * Record a word's pronunciation from a word item, or stop the recording in progress
+     * The new clip replaces any earlier recording of the word
+     * @param {HTMLElement} wordItem - Word item element
+     * @param {string} word - Word to record
+     */
+    function _recordPronunciation(wordItem, word) {
+        if (wordItem.classList.contains('recording')) {
+            window.VoiceRecorder.stop();
+            return;
+        }
+        if (window.VoiceRecorder.isRecording()) {
+            alert('Please finish the recording you have started first.');
+            return;
+        }
+        
+        wordItem.classList.add('recording');
+        
+        window.VoiceRecorder.record()
+            .then(blob => _storeRecording(blob))
+            .then(recordingRef => {
+                // The word may have been removed while it was being recorded
+                if (_words.includes(word)) {
+                    _wordRecordings[word] = recordingRef;
+                    _saveWordData();
+                    
+                    const currentItem = _elements.wordList.querySelector(`[data-word="${word}"]`);
+                    if (currentItem) {
+                        currentItem.replaceWith(_createWordItem(word));
+                    }
+                }
+                
+                // Only now that the new reference is saved can the replaced (or unused) clip go
+                _deleteUnusedRecordings();
+            })
+            .catch(error => {
+                console.error(`Error recording "${word}":`, error);
+                alert('The recording could not be made. Please check that this page is allowed to use the microphone.');
+            })
+            .then(() => {
+                wordItem.classList.remove('recording');
+            });
+    }
+    
+    /**
+     * Add a word to the active deck and the word list without saving
+     * @param {string} word - Word to add
+     * @param {string} imageUrl - Image URL (optional)
+     * @param {Object} details - Learning details (optional)
+     * @returns {string|null} The word as added (trimmed, lower case), or null if it was not added
+     */
+    function _addWordEntry(word, imageUrl, details) {
+        word = String(word || '').trim().toLowerCase();
+        
+        // Validate
+        if (!word || _words.includes(word)) {
+            return null;
+        }
+        
+        // Add word
+        _words.push(word);
+        
+        // Associate image if provided
+        if (imageUrl) {
+            _wordImages[word] = imageUrl;
+        }
+        
+        // Store details if provided
+        if (details) {
+            _setWordDetails(word, details);
+        }
+        
+        // Update UI
+        _elements.wordList.appendChild(_createWordItem(word));
+        return word;
+    }
+    
+    /**
+     * Save word data to storage
      */
     function _saveWordData() {
-        StorageService.saveWords(_words);
-        StorageService.saveWordImages(_wordImages);
+        return StorageService.saveDecks(_decks);
+    }
+    
+    /**
+     * Warn the user when saving words fails
+     * @param {Object} data - storageError event data
+     */
+    function _handleStorageError(data) {
+        if (!data || data.key !== GameConfig.get('storage').decks) return;
+        
+        // Most likely the storage quota is full
+        alert('Your words could not be saved because browser storage is full. Try removing some images.');
     }
     
     /**
-     * Load word data from localStorage
+     * Load word data from storage
      */
     function _loadWordData() {
-        _words = StorageService.getWords();
-        _wordImages = StorageService.getWordImages();
+        _decks = StorageService.getDecks();
+        
+        const savedDeckId = StorageService.getActiveDeckId();
+        const activeDeck = _findDeck(savedDeckId) || _decks[0];
+        _selectDeck(activeDeck);
+    }
+    
+    /**
+     * Find a deck by ID
+     * @param {string} deckId - Deck ID
+     * @returns {Object|null} Deck or null
+     */
+    function _findDeck(deckId) {
+        return _decks.find(deck => deck.id === deckId) || null;
+    }
+    
+    /**
+     * Find a deck by name (case-insensitive)
+     * @param {string} name - Deck name
+     * @returns {Object|null} Deck or null
+     */
+    function _findDeckByName(name) {
+        const lowerName = name.toLowerCase();
+        return _decks.find(deck => deck.name.toLowerCase() === lowerName) || null;
+    }
+    
+    /**
+     * Generate a unique deck ID
+     * @returns {string} Deck ID
+     */
+    function _generateDeckId() {
+        return `deck-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    }
+    
+    /**
+     * Point the working word list at a deck
+     * @param {Object} deck - Deck to select
+     */
+    function _selectDeck(deck) {
+        _activeDeckId = deck.id;
+        _words = deck.words;
+        _wordImages = deck.wordImages;
+        _wordDetails = deck.wordDetails;
+        _wordRecordings = deck.wordRecordings;
+    }
+    
+    /**
+     * Validate a deck name
+     * @param {string} name - Proposed deck name
+     * @param {string} ignoreDeckId - Deck allowed to already use the name
+     * @returns {string|null} Trimmed name or null if invalid
+     */
+    function _validateDeckName(name, ignoreDeckId) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return null;
+        }
+        
+        const existing = _findDeckByName(trimmed);
+        if (existing && existing.id !== ignoreDeckId) {
+            return null;
+        }
+        
+        return trimmed;
+    }
+    
+    /**
+     * Switch to another deck and refresh the UI
+     * @param {string} deckId - Deck ID to activate
+     * @returns {boolean} Success status
+     */
+    function _setActiveDeck(deckId) {
+        const deck = _findDeck(deckId);
+        if (!deck) {
+            return false;
+        }
+        
+        _selectDeck(deck);
+        StorageService.saveActiveDeckId(deck.id);
+        
+        if (_elements.wordList) {
+            _populateWordList();
+        }
+        _populateDeckSelect();
+        
+        // Let the game draw from the new deck
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('deckChanged', {
+                deckId: deck.id,
+                name: deck.name
+            });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Create a new empty deck
+     * @param {string} name - Deck name
+     * @returns {string|null} New deck ID or null if the name is invalid
+     */
+    function _createDeck(name) {
+        const deckName = _validateDeckName(name);
+        if (!deckName) {
+            return null;
+        }
+        
+        const deck = {
+            id: _generateDeckId(),
+            name: deckName,
+            words: [],
+            wordImages: {},
+            wordDetails: {},
+            wordRecordings: {}
+        };
+        
+        _decks.push(deck);
+        _saveWordData();
+        
+        return deck.id;
+    }
+    
+    /**
+     * Rename a deck
+     * @param {string} deckId - Deck ID
+     * @param {string} name - New deck name
+     * @returns {boolean} Success status
+     */
+    function _renameDeck(deckId, name) {
+        const deck = _findDeck(deckId);
+        const deckName = _validateDeckName(name, deckId);
+        if (!deck || !deckName) {
+            return false;
+        }
+        
+        deck.name = deckName;
+        _saveWordData();
+        _populateDeckSelect();
+        
+        return true;
+    }
+    
+    /**
+     * Duplicate a deck with all its words and images
+     * @param {string} deckId - Deck ID to copy
+     * @param {string} name - Name for the copy
+     * @returns {string|null} New deck ID or null on failure
+     */
+    function _duplicateDeck(deckId, name) {
+        const source = _findDeck(deckId);
+        const deckName = _validateDeckName(name);
+        if (!source || !deckName) {
+            return null;
+        }
+        
+        const deck = {
+            id: _generateDeckId(),
+            name: deckName,
+            words: [...source.words],
+            wordImages: {...source.wordImages},
+            wordDetails: JSON.parse(JSON.stringify(source.wordDetails || {})),
+            wordRecordings: {...source.wordRecordings}
+        };
+        
+        _decks.push(deck);
+        _saveWordData();
+        
+        return deck.id;
+    }
+    
+    /**
+     * Delete a deck (the last remaining deck cannot be deleted)
+     * @param {string} deckId - Deck ID
+     * @returns {boolean} Success status
+     */
+    function _deleteDeck(deckId) {
+        const index = _decks.findIndex(deck => deck.id === deckId);
+        if (index === -1 || _decks.length <= 1) {
+            return false;
+        }
+        
+        _decks.splice(index, 1);
+        _saveWordData();
+        
+        // Fall back to the first deck if the active one was deleted
+        if (deckId === _activeDeckId) {
+            _setActiveDeck(_decks[0].id);
+        } else {
+            _populateDeckSelect();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Generate a deck name that is not used yet
+     * @param {string} name - Preferred name
+     * @returns {string} Unique name
+     */
+    function _uniqueDeckName(name) {
+        let candidate = name;
+        let counter = 2;
+        while (_findDeckByName(candidate)) {
+            candidate = `${name} (${counter})`;
+            counter++;
+        }
+        return candidate;
+    }
+    
+    /**
+     * Convert an image URL to a data URL so it travels with the deck
+     * Images that cannot be fetched (offline, CORS) keep their URL
+     * @param {string} imageUrl - Image URL
+     * @returns {Promise<string>} Data URL or the original URL
+     */
+    function _embedImage(imageUrl) {
+        if (window.ImageStore && window.ImageStore.isStoredImage(imageUrl)) {
+            return window.ImageStore.toDataUrl(imageUrl);
+        }
+        
+        if (!imageUrl || imageUrl.startsWith('data:') || typeof fetch !== 'function') {
+            return Promise.resolve(imageUrl);
+        }
+        
+        return fetch(imageUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.blob();
+            })
+            .then(blob => new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            }))
+            .catch(error => {
+                console.warn(`Could not embed image ${imageUrl}, keeping the URL:`, error);
+                return imageUrl;
+            });
+    }
+    
+    /**
+     * Get a recording as a data URL so it travels with the deck
+     * @param {string} recordingRef - Recording reference or data URL
+     * @returns {Promise<string|null>} Data URL, or null if the recording is missing
+     */
+    function _embedRecording(recordingRef) {
+        if (window.RecordingStore) {
+            return window.RecordingStore.toDataUrl(recordingRef);
+        }
+        return Promise.resolve(recordingRef || null);
+    }
+    
+    /**
+     * Build a self-contained deck file with embedded images and recordings
+     * @param {Object} deck - Deck to export
+     * @returns {Promise<Object>} Deck file data
+     */
+    function _buildDeckFile(deck) {
+        const deckFile = GameConfig.get('deckFile');
+        const wordImages = {};
+        const wordRecordings = {};
+        const recordings = deck.wordRecordings || {};
+        
+        const embeddedImages = deck.words
+            .filter(word => deck.wordImages[word])
+            .map(word => _embedImage(deck.wordImages[word]).then(dataUrl => {
+                if (dataUrl) {
+                    wordImages[word] = dataUrl;
+                }
+            }));
+        
+        const embeddedRecordings = deck.words
+            .filter(word => recordings[word])
+            .map(word => _embedRecording(recordings[word]).then(dataUrl => {
+                if (dataUrl) {
+                    wordRecordings[word] = dataUrl;
+                }
+            }));
+        
+        return Promise.all(embeddedImages.concat(embeddedRecordings)).then(() => ({
+            type: deckFile.type,
+            version: deckFile.version,
+            exportedAt: new Date().toISOString(),
+            deck: {
+                name: deck.name,
+                words: [...deck.words],
+                wordImages,
+                wordDetails: JSON.parse(JSON.stringify(deck.wordDetails || {})),
+                wordRecordings
+            }
+        }));
+    }
+    
+    /**
+     * Create a deck from deck file data
+     * @param {Object} data - Parsed deck file
+     * @returns {string|null} New deck ID or null if the file is invalid
+     */
+    function _importDeckFile(data) {
+        const deckFile = GameConfig.get('deckFile');
+        if (!data || data.type !== deckFile.type || !data.deck ||
+            typeof data.version !== 'number' || data.version > deckFile.version ||
+            !Array.isArray(data.deck.words)) {
+            return null;
+        }
+        
+        const source = data.deck;
+        const sourceImages = source.wordImages && typeof source.wordImages === 'object' ? source.wordImages : {};
+        const sourceDetails = source.wordDetails && typeof source.wordDetails === 'object' ? source.wordDetails : {};
+        const sourceRecordings = source.wordRecordings && typeof source.wordRecordings === 'object' ?
+            source.wordRecordings : {};
+        
+        const deck = {
+            id: _generateDeckId(),
+            name: _uniqueDeckName(typeof source.name === 'string' && source.name.trim() ?
+                source.name.trim() : 'Imported deck'),
+            words: [],
+            wordImages: {},
+            wordDetails: {},
+            wordRecordings: {}
+        };
+        
+        // Keep the original order, skipping anything that is not a usable word
+        source.words.forEach(rawWord => {
+            if (typeof rawWord !== 'string') return;
+            
+            const word = rawWord.trim().toLowerCase();
+            if (!word || deck.words.includes(word)) return;
+            
+            deck.words.push(word);
+            if (typeof sourceImages[rawWord] === 'string') {
+                deck.wordImages[word] = sourceImages[rawWord];
+            }
+            
+            const details = _sanitizeDetails(sourceDetails[rawWord]);
+            if (Object.keys(details).length > 0) {
+                deck.wordDetails[word] = details;
+            }
+            
+            // Only embedded audio is accepted as a recording
+            const recording = sourceRecordings[rawWord];
+            if (typeof recording === 'string' && recording.startsWith('data:audio/')) {
+                deck.wordRecordings[word] = recording;
+            }
+        });
+        
+        _decks.push(deck);
+        _saveWordData();
+        
+        // Move the embedded images and recordings into their stores in the background
+        _moveInlineImages().then(moved => {
+            if (moved > 0 && deck.id === _activeDeckId && _elements.wordList) {
+                _populateWordList();
+            }
+        });
+        _moveInlineRecordings().then(moved => {
+            if (moved > 0 && deck.id === _activeDeckId && _elements.wordList) {
+                _populateWordList();
+            }
+        });
+        
+        return deck.id;
+    }
+    
+    /**
+     * Offer data as a file download
+     * @param {Object} data - Data to serialize as JSON
+     * @param {string} fileName - Suggested file name
+     */
+    function _downloadJson(data, fileName) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    /**
+     * Turn a deck name into a safe file name
+     * @param {string} name - Deck name
+     * @returns {string} File name
+     */
+    function _deckFileName(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'deck';
+        return `${slug}${GameConfig.get('deckFile').extension}`;
+    }
+    
+    /**
+     * Populate the deck selector
+     */
+    function _populateDeckSelect() {
+        if (!_elements.deckSelect) return;
+        
+        _elements.deckSelect.innerHTML = '';
+        
+        _decks.forEach(deck => {
+            const option = window.UIFactory.createDeckOption(deck, deck.id === _activeDeckId);
+            _elements.deckSelect.appendChild(option);
+        });
+    }
+    
+    /**
+     * Set up the deck selector and deck action buttons
+     */
+    function _setupDeckControls() {
+        if (_elements.deckSelect) {
+            _elements.deckSelect.addEventListener('change', (e) => {
+                _setActiveDeck(e.target.value);
+            });
+        }
+        
+        if (_elements.newDeckBtn) {
+            _elements.newDeckBtn.addEventListener('click', () => {
+                const name = prompt('Name for the new deck:');
+                if (name === null) return;
+                
+                const deckId = _createDeck(name);
+                if (!deckId) {
+                    alert('Please enter a deck name that is not already used.');
+                    return;
+                }
+                _setActiveDeck(deckId);
+            });
+        }
+        
+        if (_elements.renameDeckBtn) {
+            _elements.renameDeckBtn.addEventListener('click', () => {
+                const deck = _findDeck(_activeDeckId);
+                const name = prompt('New name for this deck:', deck.name);
+                if (name === null) return;
+                
+                if (!_renameDeck(deck.id, name)) {
+                    alert('Please enter a deck name that is not already used.');
+                }
+            });
+        }
+        
+        if (_elements.duplicateDeckBtn) {
+            _elements.duplicateDeckBtn.addEventListener('click', () => {
+                const deck = _findDeck(_activeDeckId);
+                const name = prompt('Name for the copy:', `${deck.name} (copy)`);
+                if (name === null) return;
+                
+                const deckId = _duplicateDeck(deck.id, name);
+                if (!deckId) {
+                    alert('Please enter a deck name that is not already used.');
+                    return;
+                }
+                _setActiveDeck(deckId);
+            });
+        }
+        
+        if (_elements.exportDeckBtn) {
+            _elements.exportDeckBtn.addEventListener('click', () => {
+                const deck = _findDeck(_activeDeckId);
+                const button = _elements.exportDeckBtn;
+                button.disabled = true;
+                
+                _buildDeckFile(deck)
+                    .then(data => {
+                        _downloadJson(data, _deckFileName(deck.name));
+                    })
+                    .catch(error => {
+                        console.error('Error exporting deck:', error);
+                        alert('Sorry, the deck could not be exported.');
+                    })
+                    .then(() => {
+                        button.disabled = false;
+                    });
+            });
+        }
+        
+        if (_elements.importDeckBtn && _elements.deckFileInput) {
+            _elements.importDeckBtn.addEventListener('click', () => {
+                _elements.deckFileInput.click();
+            });
+            
+            _elements.deckFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (!file) return;
+                
+                const reader = new FileReader();
+                reader.onload = function() {
+                    let data = null;
+                    try {
+                        data = JSON.parse(reader.result);
+                    } catch (error) {
+                        console.error('Error reading deck file:', error);
+                    }
+                    
+                    const deckId = _importDeckFile(data);
+                    if (!deckId) {
+                        alert('This is not a valid deck file.');
+                        return;
+                    }
+                    _setActiveDeck(deckId);
+                };
+                reader.readAsText(file);
+            });
+        }
+        
+        if (_elements.deleteDeckBtn) {
+            _elements.deleteDeckBtn.addEventListener('click', () => {
+                if (_decks.length <= 1) {
+                    alert('You need at least one deck.');
+                    return;
+                }
+                
+                const deck = _findDeck(_activeDeckId);
+                if (confirm(`Delete the deck "${deck.name}" and all its words?`)) {
+                    _deleteDeck(deck.id);
+                }
+            });
+        }
     }
     
     /**
@@ -175,9 +1074,7 @@ const WordManager = (function() {
         
         // Add each word to the UI
         _words.forEach(word => {
-            const imageUrl = _wordImages[word] || null;
-            const wordItem = window.UIFactory.createWordItem(word, imageUrl, _removeWord);
-            _elements.wordList.appendChild(wordItem);
+            _elements.wordList.appendChild(_createWordItem(word));
         });
     }
     
@@ -221,9 +1118,123 @@ const WordManager = (function() {
                 console.error('Missing word list element');
             }
             
+            // Setup deck selector and actions
+            _populateDeckSelect();
+            _setupDeckControls();
+            
+            // Warn when words cannot be saved
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('storageError', _handleStorageError);
+            }
+            
+            // Load stored images and recordings and migrate inline ones
+            _prepareImageStore();
+            _prepareRecordingStore();
+            
             return this;
         },
         
+        /**
+         * Get a summary of all decks
+         * @returns {Array} Array of {id, name, wordCount}
+         */
+        getDecks: function() {
+            return _decks.map(deck => ({
+                id: deck.id,
+                name: deck.name,
+                wordCount: deck.words.length
+            }));
+        },
+        
+        /**
+         * Get the active deck ID
+         * @returns {string} Active deck ID
+         */
+        getActiveDeckId: function() {
+            return _activeDeckId;
+        },
+        
+        /**
+         * Switch the active deck
+         * @param {string} deckId - Deck ID to activate
+         * @returns {boolean} Success status
+         */
+        setActiveDeck: function(deckId) {
+            return _setActiveDeck(deckId);
+        },
+        
+        /**
+         * Create a new empty deck
+         * @param {string} name - Deck name
+         * @returns {string|null} New deck ID or null if the name is invalid
+         */
+        createDeck: function(name) {
+            const deckId = _createDeck(name);
+            if (deckId) {
+                _populateDeckSelect();
+            }
+            return deckId;
+        },
+        
+        /**
+         * Rename a deck
+         * @param {string} deckId - Deck ID
+         * @param {string} name - New deck name
+         * @returns {boolean} Success status
+         */
+        renameDeck: function(deckId, name) {
+            return _renameDeck(deckId, name);
+        },
+        
+        /**
+         * Duplicate a deck
+         * @param {string} deckId - Deck ID to copy
+         * @param {string} name - Name for the copy
+         * @returns {string|null} New deck ID or null on failure
+         */
+        duplicateDeck: function(deckId, name) {
+            const newDeckId = _duplicateDeck(deckId, name);
+            if (newDeckId) {
+                _populateDeckSelect();
+            }
+            return newDeckId;
+        },
+        
+        /**
+         * Delete a deck
+         * @param {string} deckId - Deck ID
+         * @returns {boolean} Success status
+         */
+        deleteDeck: function(deckId) {
+            return _deleteDeck(deckId);
+        },
+        
+        /**
+         * Build a portable deck file with embedded images
+         * @param {string} deckId - Deck ID (defaults to the active deck)
+         * @returns {Promise<Object>} Deck file data
+         */
+        exportDeck: function(deckId) {
+            const deck = _findDeck(deckId || _activeDeckId);
+            if (!deck) {
+                return Promise.reject(new Error(`Deck ${deckId} not found`));
+            }
+            return _buildDeckFile(deck);
+        },
+        
+        /**
+         * Create a new deck from deck file data
+         * @param {Object} data - Parsed deck file
+         * @returns {string|null} New deck ID or null if the file is invalid
+         */
+        importDeck: function(data) {
+            const deckId = _importDeckFile(data);
+            if (deckId) {
+                _populateDeckSelect();
+            }
+            return deckId;
+        },
+        
         /**
          * Get all words
          * @returns {Array} Array of words
@@ -238,36 +1249,103 @@ const WordManager = (function() {
          * @returns {string|null} Image URL or null
          */
         getWordImage: function(word) {
-            return _wordImages[word] || null;
+            return _resolveImage(_wordImages[word]);
+        },
+        
+        /**
+         * Get the recorded pronunciation of a word
+         * @param {string} word - Word to get the recording for
+         * @returns {string|null} Playable recording URL or null if the word has none
+         */
+        getWordRecording: function(word) {
+            return _resolveRecording(_wordRecordings[word]);
+        },
+        
+        /**
+         * Get learning details for a word
+         * @param {string} word - Word to get details for
+         * @returns {Object|null} Copy of the details (definition, example, partOfSpeech, translation, notes) or null
+         */
+        getWordDetails: function(word) {
+            return _wordDetails[word] ? {..._wordDetails[word]} : null;
+        },
+        
+        /**
+         * Update learning details for a word
+         * @param {string} word - Word to update
+         * @param {Object} details - New details (empty fields are removed)
+         * @returns {boolean} Success status
+         */
+        updateWordDetails: function(word, details) {
+            if (!_words.includes(word)) {
+                return false;
+            }
+            
+            _setWordDetails(word, details);
+            _saveWordData();
+            
+            // Refresh the word item
+            const wordItem = _elements.wordList.querySelector(`[data-word="${word}"]`);
+            if (wordItem) {
+                wordItem.replaceWith(_createWordItem(word));
+            }
+            
+            return true;
         },
         
         /**
          * Add a new word programmatically
          * @param {string} word - Word to add
          * @param {string} imageUrl - Image URL (optional)
+         * @param {Object} details - Learning details (optional)
          * @returns {boolean} Success status
          */
-        addWord: function(word, imageUrl) {
-            word = word.trim().toLowerCase();
+        addWord: function(word, imageUrl, details) {
+            return this.addWords([{ word, imageUrl, details }]) === 1;
+        },
+        
+        /**
+         * Add several words at once, saving the deck once
+         * @param {Array} entries - Words to add ({word, imageUrl, details})
+         * @returns {number} Number of words added
+         */
+        addWords: function(entries) {
+            const added = entries.map(entry => _addWordEntry(entry.word, entry.imageUrl, entry.details))
+                .filter(word => word !== null);
+            if (added.length === 0) return 0;
             
-            // Validate
-            if (!word || _words.includes(word)) {
-                return false;
+            // Save data
+            _saveWordData();
+            
+            // Inline images are moved to the image store in the background
+            if (added.some(word => _wordImages[word] && _wordImages[word].startsWith('data:'))) {
+                _moveInlineImages().then(moved => {
+                    if (moved === 0) return;
+                    added.forEach(word => {
+                        const wordItem = _elements.wordList.querySelector(`[data-word="${word}"]`);
+                        if (wordItem) wordItem.replaceWith(_createWordItem(word));
+                    });
+                });
             }
             
-            // Add word
-            _words.push(word);
+            return added.length;
+        },
+        
+        /**
+         * Remove every word from the active deck
+         * @returns {boolean} Success status
+         */
+        clearWords: function() {
+            // Empty in place so the active deck keeps its references
+            _words.splice(0, _words.length);
+            Object.keys(_wordImages).forEach(word => delete _wordImages[word]);
+            Object.keys(_wordDetails).forEach(word => delete _wordDetails[word]);
+            Object.keys(_wordRecordings).forEach(word => delete _wordRecordings[word]);
             
-            // Associate image if provided
-            if (imageUrl) {
-                _wordImages[word] = imageUrl;
+            if (_elements.wordList) {
+                _elements.wordList.innerHTML = '';
             }
             
-            // Update UI
-            const wordItem = window.UIFactory.createWordItem(word, imageUrl, _removeWord);
-            _elements.wordList.appendChild(wordItem);
-            
-            // Save data
             _saveWordData();
             
             return true;
@@ -287,10 +1365,12 @@ const WordManager = (function() {
             // Remove from arrays
             _words.splice(index, 1);
             
-            // Remove image association
+            // Remove image, details and recording association
             if (_wordImages[word]) {
                 delete _wordImages[word];
             }
+            delete _wordDetails[word];
+            delete _wordRecordings[word];
             
             // Update UI
             const wordItem = _elements.wordList.querySelector(`[data-word="${word}"]`);
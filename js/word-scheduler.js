@@ -0,0 +1,209 @@
+/**
+ * Word Scheduler Module for Word Scramble Game
+ * Spaced repetition with Leitner boxes: words the learner solves cleanly come back
+ * less and less often, while missed or skipped words come back soon
+ */
+const WordScheduler = (function() {
+    // Private state
+    // The word on screen and how the learner is doing with it
+    let _attempt = null;
+    
+    // Private methods
+    
+    /**
+     * Start timing a new attempt at a word
+     * @param {string} word - Word being shown
+     */
+    function _startAttempt(word) {
+        _attempt = word ? {
+            word,
+            startedAt: Date.now(),
+            wrongAttempts: 0,
+            solved: false
+        } : null;
+    }
+    
+    /**
+     * Work out which box a word moves to after an outcome
+     * @param {number} box - Current box
+     * @param {Object} outcome - {correct, hintUsed, wrongAttempts, timeTaken}
+     * @param {string} word - The word (longer words are allowed more time)
+     * @returns {number} New box
+     */
+    function _nextBox(box, outcome, word) {
+        const settings = GameConfig.get('scheduler');
+        const lastBox = settings.boxIntervals.length - 1;
+        
+        // Skipped or given up: start again from the first box
+        if (!outcome.correct) {
+            return 0;
+        }
+        
+        const slow = outcome.timeTaken > settings.slowSecondsPerLetter * 1000 * word.length;
+        if (outcome.hintUsed || outcome.wrongAttempts > 0 || slow) {
+            return Math.max(0, box - 1);
+        }
+        
+        return Math.min(lastBox, box + 1);
+    }
+    
+    /**
+     * Record how an attempt went and schedule the word's next review
+     * @param {string} word - Word that was attempted
+     * @param {Object} outcome - {correct, hintUsed, wrongAttempts, timeTaken}
+     * @returns {Object} Updated schedule entry
+     */
+    function _recordOutcome(word, outcome) {
+        const intervals = GameConfig.get('scheduler').boxIntervals;
+        const schedule = StorageService.getSchedule();
+        const previous = schedule[word];
+        
+        // New words start in the first box
+        const box = _nextBox(previous ? previous.box : 0, outcome, word);
+        const now = Date.now();
+        
+        const entry = {
+            box,
+            due: now + intervals[box],
+            reviews: (previous ? previous.reviews : 0) + 1,
+            lastReviewed: now,
+            lastOutcome: {
+                correct: !!outcome.correct,
+                hintUsed: !!outcome.hintUsed,
+                wrongAttempts: outcome.wrongAttempts || 0,
+                timeTaken: outcome.timeTaken || 0
+            }
+        };
+        
+        schedule[word] = entry;
+        StorageService.saveSchedule(schedule);
+        
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('wordReviewed', {
+                word,
+                outcome: entry.lastOutcome,
+                box: entry.box,
+                due: entry.due
+            });
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Finish the current attempt
+     * @param {boolean} correct - Whether the word was solved
+     */
+    function _finishAttempt(correct) {
+        if (!_attempt || _attempt.solved) return;
+        
+        _attempt.solved = true;
+        _recordOutcome(_attempt.word, {
+            correct,
+            hintUsed: !!(window.GameState && window.GameState.get('hintLevel') > 0),
+            wrongAttempts: _attempt.wrongAttempts,
+            timeTaken: Date.now() - _attempt.startedAt
+        });
+    }
+    
+    /**
+     * Pick the next word to practise
+     * Due reviews come first (most overdue first), then new words, then the word due soonest
+     * @param {Array} words - Words to choose from
+     * @param {string} excludeWord - Word to avoid repeating straight away
+     * @returns {string|null} Chosen word
+     */
+    function _chooseNextWord(words, excludeWord) {
+        if (!words || words.length === 0) return null;
+        
+        const candidates = words.length > 1 ? words.filter(word => word !== excludeWord) : words;
+        const schedule = StorageService.getSchedule();
+        const now = Date.now();
+        
+        const reviewed = candidates
+            .filter(word => schedule[word])
+            .sort((a, b) => schedule[a].due - schedule[b].due);
+        
+        if (reviewed.length > 0 && schedule[reviewed[0]].due <= now) {
+            return reviewed[0];
+        }
+        
+        const newWords = candidates.filter(word => !schedule[word]);
+        if (newWords.length > 0) {
+            return newWords[Math.floor(Math.random() * newWords.length)];
+        }
+        
+        // Nothing is due yet, so practise the word that will be due first
+        return reviewed[0];
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize the scheduler
+         * Must run before WordController.init so a skip is recorded before the next word loads
+         * @returns {Object} WordScheduler for chaining
+         */
+        init: function() {
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                // Moving on to another word without solving the one on screen counts as a miss
+                window.EventBus.subscribe('wordLoaded', data => {
+                    _finishAttempt(false);
+                    _startAttempt(data && data.word);
+                });
+                
+                window.EventBus.subscribe('answerIncorrect', () => {
+                    if (_attempt) _attempt.wrongAttempts++;
+                });
+                
+                window.EventBus.subscribe('answerCorrect', () => _finishAttempt(true));
+                
+                // Moving on without solving counts as a miss
+                window.EventBus.subscribe('nextButtonClicked', () => _finishAttempt(false));
+                
+                // So does a word left unsolved when a game ends or the deck changes
+                ['timedChallengeEnded', 'survivalEnded', 'wordSourceEmpty', 'deckChanged'].forEach(eventName => {
+                    window.EventBus.subscribe(eventName, () => _finishAttempt(false));
+                });
+                
+                // The new learner starts the word on screen afresh
+                window.EventBus.subscribe('profileChanged', () => {
+                    _startAttempt(window.GameState ? window.GameState.get('currentWord') : null);
+                });
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Pick the next word to practise
+         * @param {Array} words - Words to choose from
+         * @param {string} excludeWord - Word to avoid repeating straight away
+         * @returns {string|null} Chosen word
+         */
+        chooseNextWord: function(words, excludeWord) {
+            return _chooseNextWord(words, excludeWord);
+        },
+        
+        /**
+         * Record an outcome for a word and reschedule it
+         * @param {string} word - Word that was attempted
+         * @param {Object} outcome - {correct, hintUsed, wrongAttempts, timeTaken (ms)}
+         * @returns {Object} Schedule entry ({box, due, reviews, lastReviewed, lastOutcome})
+         */
+        recordOutcome: function(word, outcome) {
+            return _recordOutcome(word, outcome || {});
+        },
+        
+        /**
+         * Get the active profile's review schedule
+         * @returns {Object} Word to schedule entry mapping
+         */
+        getSchedule: function() {
+            return StorageService.getSchedule();
+        }
+    };
+})();
+
+// Export the module
+window.WordScheduler = WordScheduler;
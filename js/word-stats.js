@@ -0,0 +1,371 @@
+/**
+ * Word Statistics Module for Word Scramble Game
+ * Records how the active learner does with each word from EventBus game events,
+ * totalled per word, per day and per play session, and provides queries for
+ * other modules (dashboard, scheduler, reports)
+ */
+const WordStats = (function() {
+    // Private state
+    // The word on screen: when it was shown and whether it has been solved
+    let _current = null;
+    // Whether this page load has started a play session for the active learner
+    let _sessionStarted = false;
+    
+    // Private methods
+    
+    /**
+     * Create an empty set of counters (used for words, days and sessions)
+     * @returns {Object} Counters at zero
+     */
+    function _createTotals() {
+        return {
+            seen: 0,
+            attempts: 0,
+            correct: 0,
+            wrong: 0,
+            hintsUsed: 0,
+            hintedSolves: 0,
+            solveTimeTotal: 0,
+            timedSolves: 0
+        };
+    }
+    
+    /**
+     * Create an empty statistics entry for a word
+     * @returns {Object} Entry with every counter at zero
+     */
+    function _createEntry() {
+        return Object.assign(_createTotals(), {
+            bestSolveTime: null,
+            lastSolveTime: null,
+            lastSeen: null,
+            lastPlayed: null
+        });
+    }
+    
+    /**
+     * Get the local calendar date of a time as YYYY-MM-DD
+     * @param {number} time - Timestamp
+     * @returns {string} Date key
+     */
+    function _dayKey(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    /**
+     * Add derived values to a set of counters
+     * @param {Object} totals - Saved counters
+     * @returns {Object} Copy with accuracy, averageSolveTime (ms) and hintReliance (0-1), null when unknown
+     */
+    function _describe(totals) {
+        const stats = Object.assign(_createTotals(), totals);
+        
+        stats.accuracy = stats.attempts > 0 ? stats.correct / stats.attempts : null;
+        stats.averageSolveTime = stats.timedSolves > 0 ? Math.round(stats.solveTimeTotal / stats.timedSolves) : null;
+        stats.hintReliance = stats.correct > 0 ? stats.hintedSolves / stats.correct : null;
+        
+        return stats;
+    }
+    
+    /**
+     * Apply a change to the word's entry, today's totals and the current session
+     * A session ends after a long enough break, a reload or a change of learner
+     * @param {string} word - The word
+     * @param {Function} changeTotals - Receives each set of counters to modify
+     * @param {Function} changeEntry - Optional, receives the word entry for word-only values
+     */
+    function _record(word, changeTotals, changeEntry) {
+        if (!word) return;
+        
+        const settings = GameConfig.get('stats');
+        const now = Date.now();
+        
+        // Word entry (entries saved before a counter existed start it at zero)
+        const history = StorageService.getWordHistory();
+        const entry = Object.assign(_createEntry(), history[word]);
+        changeTotals(entry);
+        if (changeEntry) changeEntry(entry);
+        history[word] = entry;
+        StorageService.saveWordHistory(history);
+        
+        // Today's totals
+        const daily = StorageService.getDailyStats();
+        const today = _dayKey(now);
+        daily[today] = Object.assign(_createTotals(), daily[today]);
+        changeTotals(daily[today]);
+        StorageService.saveDailyStats(daily);
+        
+        // Current session
+        const sessions = StorageService.getSessions();
+        let session = sessions[sessions.length - 1];
+        if (!_sessionStarted || !session || now - session.endedAt > settings.sessionGapMinutes * 60 * 1000) {
+            session = Object.assign(_createTotals(), { startedAt: now, endedAt: now });
+            sessions.push(session);
+            _sessionStarted = true;
+        }
+        changeTotals(session);
+        session.endedAt = now;
+        StorageService.saveSessions(sessions.slice(-settings.maxSessions));
+        
+        if (window.EventBus && typeof window.EventBus.publish === 'function') {
+            window.EventBus.publish('wordStatsUpdated', {
+                word,
+                stats: _describe(entry)
+            });
+        }
+    }
+    
+    /**
+     * Start tracking a word that has just been shown
+     * @param {string} word - The word
+     */
+    function _handleWordLoaded(word) {
+        _current = word ? { word, shownAt: Date.now(), solved: false } : null;
+        
+        _record(word, totals => {
+            totals.seen++;
+        }, entry => {
+            entry.lastSeen = Date.now();
+        });
+    }
+    
+    /**
+     * Record a checked answer for the word on screen
+     * @param {string} word - The word
+     * @param {boolean} correct - Whether the answer was right
+     */
+    function _handleAnswer(word, correct) {
+        // Ignore checks after the word is solved
+        const isCurrent = _current && _current.word === word;
+        if (isCurrent && _current.solved) return;
+        
+        // Only time words that were shown while being tracked
+        const solveTime = correct && isCurrent ? Date.now() - _current.shownAt : null;
+        const hinted = !!(window.GameState && window.GameState.get('hintLevel') > 0);
+        
+        _record(word, totals => {
+            totals.attempts++;
+            
+            if (!correct) {
+                totals.wrong++;
+                return;
+            }
+            
+            totals.correct++;
+            if (hinted) totals.hintedSolves++;
+            if (solveTime !== null) {
+                totals.solveTimeTotal += solveTime;
+                totals.timedSolves++;
+            }
+        }, entry => {
+            entry.lastPlayed = Date.now();
+            if (solveTime !== null) {
+                entry.lastSolveTime = solveTime;
+                entry.bestSolveTime = entry.bestSolveTime === null ? solveTime : Math.min(entry.bestSolveTime, solveTime);
+            }
+        });
+        
+        if (correct && isCurrent) {
+            _current.solved = true;
+        }
+    }
+    
+    /**
+     * Get every word's statistics for the active learner
+     * @returns {Object} Word to statistics mapping
+     */
+    function _getAllStats() {
+        const history = StorageService.getWordHistory();
+        const stats = {};
+        
+        Object.keys(history).forEach(word => {
+            stats[word] = _describe(history[word]);
+        });
+        
+        return stats;
+    }
+    
+    /**
+     * Total the statistics of a set of words
+     * @param {Array} words - Words to include (defaults to every word played)
+     * @returns {Object} Totals with derived values and wordsPlayed
+     */
+    function _getSummary(words) {
+        const allStats = _getAllStats();
+        const included = (words || Object.keys(allStats)).filter(word => allStats[word]);
+        
+        const totals = included.reduce((sum, word) => {
+            Object.keys(sum).forEach(name => {
+                sum[name] += allStats[word][name];
+            });
+            return sum;
+        }, _createTotals());
+        
+        const summary = _describe(totals);
+        summary.wordsPlayed = included.filter(word => allStats[word].attempts > 0).length;
+        
+        return summary;
+    }
+    
+    /**
+     * Classify how well a word is known
+     * @param {Object} stats - The word's statistics (or null if never played)
+     * @returns {string} 'new', 'learning', 'struggling' or 'mastered'
+     */
+    function _getStatus(stats) {
+        const settings = GameConfig.get('stats');
+        
+        if (!stats || stats.attempts === 0) return 'new';
+        
+        if (stats.attempts >= settings.strugglingMinAttempts && stats.accuracy < settings.strugglingAccuracy) {
+            return 'struggling';
+        }
+        
+        // Solves that needed a hint do not count towards mastery
+        const cleanSolves = stats.correct - stats.hintedSolves;
+        if (cleanSolves >= settings.masteredMinCorrect && stats.accuracy >= settings.masteredAccuracy) {
+            return 'mastered';
+        }
+        
+        return 'learning';
+    }
+    
+    // Public API
+    return {
+        /**
+         * Initialize statistics tracking
+         * @returns {Object} WordStats for chaining
+         */
+        init: function() {
+            if (window.EventBus && typeof window.EventBus.subscribe === 'function') {
+                window.EventBus.subscribe('wordLoaded', data => _handleWordLoaded(data && data.word));
+                window.EventBus.subscribe('answerCorrect', data => _handleAnswer(data && data.word, true));
+                window.EventBus.subscribe('answerIncorrect', data => _handleAnswer(data && data.correctWord, false));
+                
+                // Hint events do not name the word, so count them against the word on screen
+                window.EventBus.subscribe('hintApplied', () => {
+                    if (_current && !_current.solved) {
+                        _record(_current.word, totals => {
+                            totals.hintsUsed++;
+                        });
+                    }
+                });
+                
+                // A new learner starts a new session, and their time on the word on screen starts now
+                window.EventBus.subscribe('profileChanged', () => {
+                    _sessionStarted = false;
+                    if (_current) {
+                        _current = { word: _current.word, shownAt: Date.now(), solved: false };
+                    }
+                });
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Get one word's statistics for the active learner
+         * @param {string} word - The word
+         * @returns {Object|null} Statistics, or null if the word has not been played
+         */
+        getWordStats: function(word) {
+            const history = StorageService.getWordHistory();
+            return history[word] ? _describe(history[word]) : null;
+        },
+        
+        /**
+         * Get every word's statistics for the active learner
+         * @returns {Object} Word to statistics mapping
+         */
+        getAllStats: function() {
+            return _getAllStats();
+        },
+        
+        /**
+         * Total the statistics of a set of words
+         * @param {Array} words - Words to include (defaults to every word played)
+         * @returns {Object} Totals plus accuracy, averageSolveTime, hintReliance and wordsPlayed
+         */
+        getSummary: function(words) {
+            return _getSummary(words);
+        },
+        
+        /**
+         * Get the words with the lowest accuracy
+         * @param {number} limit - Maximum number of words
+         * @returns {Array} {word, stats} items, hardest first
+         */
+        getHardestWords: function(limit) {
+            const allStats = _getAllStats();
+            
+            return Object.keys(allStats)
+                .filter(word => allStats[word].attempts > 0)
+                .map(word => ({ word, stats: allStats[word] }))
+                .sort((a, b) => a.stats.accuracy - b.stats.accuracy || b.stats.wrong - a.stats.wrong)
+                .slice(0, limit || undefined);
+        },
+        
+        /**
+         * Classify how well a word is known
+         * @param {string} word - The word
+         * @returns {string} 'new', 'learning', 'struggling' or 'mastered'
+         */
+        getWordStatus: function(word) {
+            return _getStatus(this.getWordStats(word));
+        },
+        
+        /**
+         * Group words by how well they are known
+         * @param {Array} words - Words to group
+         * @returns {Object} {mastered, learning, struggling, new} arrays of words
+         */
+        getWordsByStatus: function(words) {
+            const allStats = _getAllStats();
+            const groups = { mastered: [], learning: [], struggling: [], new: [] };
+            
+            (words || []).forEach(word => {
+                groups[_getStatus(allStats[word])].push(word);
+            });
+            
+            return groups;
+        },
+        
+        /**
+         * Get daily totals for the most recent days, including days without play
+         * @param {number} days - Number of days ending today
+         * @returns {Array} Oldest first; {date, ...totals, accuracy, averageSolveTime, hintReliance}
+         */
+        getDailyStats: function(days) {
+            const daily = StorageService.getDailyStats();
+            const result = [];
+            const today = new Date();
+            
+            for (let offset = days - 1; offset >= 0; offset--) {
+                const date = _dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset).getTime());
+                result.push(Object.assign({ date }, _describe(daily[date])));
+            }
+            
+            return result;
+        },
+        
+        /**
+         * Get the active learner's play sessions
+         * @param {number} limit - Maximum number of sessions
+         * @returns {Array} Newest first; {startedAt, endedAt, ...totals, accuracy, averageSolveTime, hintReliance}
+         */
+        getSessions: function(limit) {
+            return StorageService.getSessions()
+                .map(session => Object.assign(_describe(session), {
+                    startedAt: session.startedAt,
+                    endedAt: session.endedAt
+                }))
+                .reverse()
+                .slice(0, limit || undefined);
+        }
+    };
+})();
+
+// Export the module
+window.WordStats = WordStats;
@@ -8,6 +8,18 @@ const WordController = (function() {
         dropArea: null,
         scrambledWordElement: null
     };
+    let _initialized = false;
+    // Game modes can supply their own words (see setWordSource)
+    let _wordSource = null;
+    
+    // How each hint step is described on the hint button
+    const _hintStepLabels = {
+        image: 'show the picture',
+        pronounce: 'hear the word',
+        letter: 'place a letter',
+        lastLetter: 'place the last letter',
+        definition: 'show what the word means'
+    };
     
     // Private methods
     
@@ -17,6 +29,11 @@ const WordController = (function() {
      * @returns {string} Scrambled word
      */
     function _scrambleWord(word) {
+        // Words made of a single repeated letter cannot be scrambled
+        if (new Set(word).size < 2) {
+            return word;
+        }
+        
         const wordArray = word.split('');
         
         // Fisher-Yates shuffle
@@ -48,12 +65,6 @@ const WordController = (function() {
         // Clear existing content
         _elements.scrambledWordElement.innerHTML = '';
         
-        // Ensure DragDropManager is available
-        if (!window.DragDropManager) {
-            console.error('DragDropManager not found or not initialized');
-            return;
-        }
-        
         // Create letter tiles for each character
         for (let i = 0; i < scrambledWord.length; i++) {
             const letter = scrambledWord[i];
@@ -62,14 +73,14 @@ const WordController = (function() {
             let letterTile = document.createElement('div');
             letterTile.className = 'letter-tile';
             letterTile.textContent = letter;
-            letterTile.draggable = true;
             letterTile.id = `tile-${Date.now()}-${i}-${Math.random().toString(36).substr(2, 5)}`;
             
-            // Add drag event listeners
-            letterTile.addEventListener('dragstart', window.DragDropManager.dragStart);
-            letterTile.addEventListener('dragend', window.DragDropManager.dragEnd);
+            // Expose the tile to screen readers and the keyboard as a button that places the letter
+            letterTile.setAttribute('role', 'button');
+            letterTile.setAttribute('aria-label', `Letter ${letter.toUpperCase()}`);
+            letterTile.tabIndex = 0;
             
-            // Add to scrambled word area
+            // Add to scrambled word area (InputManager handles dragging and tapping there)
             _elements.scrambledWordElement.appendChild(letterTile);
         }
     }
@@ -87,16 +98,6 @@ const WordController = (function() {
         // Clear existing content
         _elements.dropArea.innerHTML = '';
         
-        // Get the callbacks for letter boxes
-        let dropCallbacks = null;
-        if (window.DragDropManager && typeof window.DragDropManager.getLetterBoxCallbacks === 'function') {
-            dropCallbacks = window.DragDropManager.getLetterBoxCallbacks(() => {
-                if (window.EventBus) {
-                    window.EventBus.publish('allLettersPlaced', null);
-                }
-            });
-        }
-        
         // Create a letter box for each character
         for (let i = 0; i < word.length; i++) {
             // Create letter box
@@ -104,20 +105,18 @@ const WordController = (function() {
             letterBox.className = 'letter-box';
             letterBox.setAttribute('data-position', i);
             
+            // Expose the box as a button that takes its letter back (ScreenReader keeps the label current)
+            letterBox.setAttribute('role', 'button');
+            letterBox.setAttribute('aria-label', `Box ${i + 1} of ${word.length}, empty`);
+            letterBox.tabIndex = 0;
+            
             // Add position number indicator (positioned absolutely within the box)
             const numberIndicator = document.createElement('div');
             numberIndicator.className = 'position-number';
             numberIndicator.textContent = i + 1; // Add 1 because position is zero-based
+            numberIndicator.setAttribute('aria-hidden', 'true');
             letterBox.appendChild(numberIndicator);
             
-            // Add event listeners for drag and drop
-            if (dropCallbacks) {
-                if (dropCallbacks.dragOver) letterBox.addEventListener('dragover', dropCallbacks.dragOver);
-                if (dropCallbacks.dragEnter) letterBox.addEventListener('dragenter', dropCallbacks.dragEnter);
-                if (dropCallbacks.dragLeave) letterBox.addEventListener('dragleave', dropCallbacks.dragLeave);
-                if (dropCallbacks.drop) letterBox.addEventListener('drop', dropCallbacks.drop);
-            }
-            
             _elements.dropArea.appendChild(letterBox);
         }
     }
@@ -156,15 +155,30 @@ const WordController = (function() {
             
             const gameState = window.GameState.getState();
             
+            // A game mode supplying its own words decides what comes next
+            let sourceWord = null;
+            if (_wordSource) {
+                sourceWord = _wordSource(gameState.currentWord);
+                if (!sourceWord) {
+                    if (window.EventBus && typeof window.EventBus.publish === 'function') {
+                        window.EventBus.publish('wordSourceEmpty', null);
+                    }
+                    return false;
+                }
+            }
+            
             // Reset hint status
             window.GameState.update({
-                hintUsed: false
+                hintLevel: 0,
+                hintCost: 0
             });
             
             let availableWords = gameState.availableWords || [];
+            const useScheduler = window.WordScheduler && typeof window.WordScheduler.chooseNextWord === 'function';
             
             // If no words available, get words from Word Manager
-            if (availableWords.length === 0) {
+            // (the scheduler picks from the whole deck every time so missed words can come back soon)
+            if (availableWords.length === 0 || useScheduler) {
                 if (window.WordManager && typeof window.WordManager.getWords === 'function') {
                     availableWords = window.WordManager.getWords();
                 } else {
@@ -191,13 +205,25 @@ const WordController = (function() {
                 });
             }
             
-            // Choose a random word
-            const randomIndex = Math.floor(Math.random() * availableWords.length);
-            const currentWord = availableWords[randomIndex];
+            let currentWord;
+            let updatedWords;
             
-            // Remove word from available words
-            const updatedWords = [...availableWords];
-            updatedWords.splice(randomIndex, 1);
+            if (sourceWord) {
+                currentWord = sourceWord;
+                updatedWords = availableWords;
+            } else if (useScheduler) {
+                // Choose the word most due for review
+                currentWord = window.WordScheduler.chooseNextWord(availableWords, gameState.currentWord);
+                updatedWords = availableWords;
+            } else {
+                // Choose a random word
+                const randomIndex = Math.floor(Math.random() * availableWords.length);
+                currentWord = availableWords[randomIndex];
+                
+                // Remove word from available words
+                updatedWords = [...availableWords];
+                updatedWords.splice(randomIndex, 1);
+            }
             
             // Get image URL for word
             let currentImageUrl = null;
@@ -221,8 +247,10 @@ const WordController = (function() {
                 window.AudioService.setupPronunciation(currentWord);
             }
             
-            // Display word image
+            // Display word image (kept hidden for a hint when the ladder has an image step)
             _displayWordImage(currentImageUrl, currentWord);
+            _setImageConcealed((window.GameConfig.get('hintLadder') || []).some(item => item.step === 'image'));
+            _setHintText('');
             
             // Create letter boxes in drop area
             _createLetterBoxes(currentWord);
@@ -235,6 +263,7 @@ const WordController = (function() {
             if (checkBtn) {
                 checkBtn.disabled = false;
             }
+            _updateHintButton();
             
             // Publish event for new word loaded
             if (window.EventBus && typeof window.EventBus.publish === 'function') {
@@ -276,7 +305,142 @@ const WordController = (function() {
     }
     
     /**
-     * Show a hint (first letter)
+     * Get the next hint step that can help with the current word
+     * Steps that cannot help (e.g. a letter already in place) are passed over for free
+     * @returns {Object|null} {index, step, cost} or null when the ladder is used up
+     */
+    function _getNextHintStep() {
+        const ladder = window.GameConfig.get('hintLadder') || [];
+        
+        for (let i = window.GameState.get('hintLevel'); i < ladder.length; i++) {
+            if (_canApplyHintStep(ladder[i].step)) {
+                return { index: i, step: ladder[i].step, cost: ladder[i].cost };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check whether a hint step would tell the player something new
+     * @param {string} step - Hint step
+     * @returns {boolean} Whether the step can be applied
+     */
+    function _canApplyHintStep(step) {
+        const word = window.GameState.get('currentWord');
+        
+        switch (step) {
+            case 'image': {
+                const container = document.querySelector('.image-container');
+                return !!(container && container.classList.contains('concealed'));
+            }
+            case 'pronounce':
+                return !!(window.AudioService && typeof window.AudioService.canPronounce === 'function' &&
+                    window.AudioService.canPronounce());
+            case 'letter':
+                return _findUnsolvedPosition(false) !== -1;
+            case 'lastLetter':
+                return word.length > 0 && _findUnsolvedPosition(true) === word.length - 1;
+            case 'definition': {
+                const details = window.WordManager && typeof window.WordManager.getWordDetails === 'function' ?
+                    window.WordManager.getWordDetails(word) : null;
+                return !!(details && details.definition);
+            }
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Find a letter box that does not yet hold its correct letter
+     * @param {boolean} fromEnd - Search from the last letter backwards
+     * @returns {number} Position, or -1 if every letter is in place
+     */
+    function _findUnsolvedPosition(fromEnd) {
+        const word = window.GameState.get('currentWord').toLowerCase();
+        const letterBoxes = Array.from(_elements.dropArea.querySelectorAll('.letter-box'));
+        const positions = letterBoxes.map((box, index) => index);
+        if (fromEnd) positions.reverse();
+        
+        const found = positions.find(index => {
+            const tile = letterBoxes[index].querySelector('.letter-tile');
+            return !tile || tile.textContent.trim().toLowerCase() !== word[index];
+        });
+        
+        return found === undefined ? -1 : found;
+    }
+    
+    /**
+     * Move the correct letter into a letter box
+     * The letter comes from the scrambled letters, or else from a box where it is in
+     * the wrong place; a wrong letter already in the box goes back to the scrambled letters
+     * @param {number} position - Letter box position
+     * @returns {string|null} The letter placed, or null if no tile could be found
+     */
+    function _revealLetter(position) {
+        const word = window.GameState.get('currentWord');
+        const letter = word.charAt(position).toLowerCase();
+        const letterBoxes = Array.from(_elements.dropArea.querySelectorAll('.letter-box'));
+        const targetBox = letterBoxes[position];
+        
+        const matches = tile => tile.textContent.trim().toLowerCase() === letter;
+        
+        let matchingTile = Array.from(_elements.scrambledWordElement.querySelectorAll('.letter-tile')).find(matches);
+        if (!matchingTile) {
+            matchingTile = letterBoxes
+                .map(box => box.querySelector('.letter-tile'))
+                .find((tile, index) => tile && matches(tile) && word.charAt(index).toLowerCase() !== letter);
+        }
+        if (!targetBox || !matchingTile) return null;
+        
+        const existingTile = targetBox.querySelector('.letter-tile');
+        if (existingTile) {
+            _elements.scrambledWordElement.appendChild(existingTile);
+        }
+        targetBox.appendChild(matchingTile);
+        
+        return word.charAt(position);
+    }
+    
+    /**
+     * Hide or show the word image (hidden until a hint or a solve when the ladder has an image step)
+     * @param {boolean} concealed - Whether to hide the image
+     */
+    function _setImageConcealed(concealed) {
+        const container = document.querySelector('.image-container');
+        if (container) {
+            container.classList.toggle('concealed', concealed);
+        }
+    }
+    
+    /**
+     * Show a text hint below the image
+     * @param {string} text - Hint text (empty to clear)
+     */
+    function _setHintText(text) {
+        const hintText = document.getElementById('hint-text');
+        if (hintText) {
+            hintText.textContent = text;
+            hintText.classList.toggle('show', !!text);
+        }
+    }
+    
+    /**
+     * Show what the next hint will cost on the hint button
+     */
+    function _updateHintButton() {
+        const hintBtn = document.getElementById('hint-btn');
+        if (!hintBtn || !window.GameState) return;
+        
+        const next = _getNextHintStep();
+        hintBtn.disabled = !next;
+        hintBtn.title = next ?
+            `Next hint: ${_hintStepLabels[next.step]} (costs ${next.cost} point${next.cost === 1 ? '' : 's'})` :
+            'No more hints for this word';
+    }
+    
+    /**
+     * Show the next hint on the ladder
      * @returns {boolean} Success status
      */
     function _showHint() {
@@ -287,66 +451,63 @@ const WordController = (function() {
                 return false;
             }
             
-            // Mark hint as used
+            const next = _getNextHintStep();
+            if (!next) {
+                _updateHintButton();
+                return false;
+            }
+            
+            const word = window.GameState.get('currentWord');
+            const hint = { step: next.step, level: next.index + 1, cost: next.cost };
+            
+            switch (next.step) {
+                case 'image':
+                    _setImageConcealed(false);
+                    break;
+                case 'pronounce':
+                    window.AudioService.pronounceWord();
+                    break;
+                case 'letter':
+                case 'lastLetter': {
+                    const position = _findUnsolvedPosition(next.step === 'lastLetter');
+                    const letter = _revealLetter(position);
+                    if (!letter) return false;
+                    hint.letter = letter;
+                    hint.position = position;
+                    break;
+                }
+                case 'definition':
+                    _setHintText(window.WordManager.getWordDetails(word).definition);
+                    break;
+            }
+            
+            // Record the step taken and what it costs
             window.GameState.update({
-                hintUsed: true
+                hintLevel: hint.level,
+                hintCost: window.GameState.get('hintCost') + next.cost
             });
             
-            // Play hint sound
-            if (window.AudioService && typeof window.AudioService.playSound === 'function') {
+            // Play hint sound (the pronunciation step plays the word instead)
+            if (next.step !== 'pronounce' && window.AudioService && typeof window.AudioService.playSound === 'function') {
                 window.AudioService.playSound('hint');
             }
             
-            const gameState = window.GameState.getState();
-            
-            // Find the first letter of the current word
-            const firstLetter = gameState.currentWord.charAt(0);
-            
-            // Find matching letter in the scrambled word area
-            const scrambledWordElement = document.getElementById('scrambled-word');
-            if (!scrambledWordElement) {
-                console.error('Scrambled word element not found');
-                return false;
+            // Publish hint applied event
+            if (window.EventBus && typeof window.EventBus.publish === 'function') {
+                window.EventBus.publish('hintApplied', hint);
             }
             
-            const letterTiles = scrambledWordElement.querySelectorAll('.letter-tile');
-            let matchingTile = null;
-            
-            for (const tile of letterTiles) {
-                if (tile.textContent.toLowerCase() === firstLetter.toLowerCase()) {
-                    matchingTile = tile;
-                    break;
-                }
-            }
+            _updateHintButton();
             
-            if (matchingTile) {
-                // Get the first letter box
-                const firstLetterBox = _elements.dropArea.querySelector('.letter-box[data-position="0"]');
-                
-                // If first letter box is empty
-                if (firstLetterBox && !firstLetterBox.querySelector('.letter-tile')) {
-                    // Move the tile to the first letter box
-                    firstLetterBox.appendChild(matchingTile);
-                    
-                    // Publish hint applied event
-                    if (window.EventBus && typeof window.EventBus.publish === 'function') {
-                        window.EventBus.publish('hintApplied', {
-                            letter: firstLetter,
-                            position: 0
-                        });
-                    }
-                    
-                    // Check if answer is now complete
-                    const allBoxesFilled = _elements.dropArea.querySelectorAll('.letter-box:empty').length === 0;
-                    if (allBoxesFilled && window.EventBus) {
-                        window.EventBus.publish('allLettersPlaced', null);
-                    }
-                    
-                    return true;
+            // Check if answer is now complete
+            if (hint.letter) {
+                const allBoxesFilled = _elements.dropArea.querySelectorAll('.letter-box:empty').length === 0;
+                if (allBoxesFilled && window.EventBus) {
+                    window.EventBus.publish('allLettersPlaced', null);
                 }
             }
             
-            return false;
+            return true;
         } catch (error) {
             console.error('Error showing hint:', error);
             
@@ -368,6 +529,11 @@ const WordController = (function() {
          * @returns {Object} WordController for chaining
          */
         init: function() {
+            // Prevent multiple initializations (GameController.init also calls this)
+            if (_initialized) {
+                return this;
+            }
+            
             // Get DOM elements
             _elements = {
                 dropArea: document.getElementById('drop-area'),
@@ -392,6 +558,48 @@ const WordController = (function() {
                     this.loadNextWord();
                 });
                 
+                // A solved word shows its image and needs no more hints
+                window.EventBus.subscribe('answerCorrect', () => {
+                    _setImageConcealed(false);
+                    const hintBtn = document.getElementById('hint-btn');
+                    if (hintBtn) {
+                        hintBtn.disabled = true;
+                    }
+                });
+                
+                // Moving letters changes which hint steps can still help
+                ['dragEnd', 'letterDropped', 'letterReturnedToScrambled'].forEach(eventName => {
+                    window.EventBus.subscribe(eventName, _updateHintButton);
+                });
+                
+                // Start drawing from the new deck when the active deck changes
+                window.EventBus.subscribe('deckChanged', () => {
+                    window.GameState.update({
+                        availableWords: []
+                    });
+                    this.loadNextWord();
+                });
+                
+                // Show the current word's image once stored images are loaded
+                window.EventBus.subscribe('wordImagesReady', () => {
+                    const currentWord = window.GameState.get('currentWord');
+                    if (currentWord && window.WordManager) {
+                        const currentImageUrl = window.WordManager.getWordImage(currentWord);
+                        window.GameState.update({ currentImageUrl });
+                        _displayWordImage(currentImageUrl, currentWord);
+                    }
+                });
+                
+                // Replacing the deck's words makes the remaining word pool stale
+                window.EventBus.subscribe('wordsImported', (data) => {
+                    if (data && data.mode === 'replace') {
+                        window.GameState.update({
+                            availableWords: []
+                        });
+                        this.loadNextWord();
+                    }
+                });
+                
                 // Subscribe to state changes related to words
                 window.EventBus.subscribe('stateChanged', (data) => {
                     if (data && data.changes && data.changes.scrambledWord) {
@@ -402,6 +610,7 @@ const WordController = (function() {
                 console.warn('EventBus not available, button events will not work');
             }
             
+            _initialized = true;
             return this;
         },
         
@@ -414,7 +623,17 @@ const WordController = (function() {
         },
         
         /**
-         * Show hint (exposed for external access)
+         * Let a game mode choose the words to play
+         * When the source returns nothing, no word is loaded and wordSourceEmpty is published
+         * @param {Function|null} source - Called with the previous word, returns the next word;
+         *                                 null goes back to normal word selection
+         */
+        setWordSource: function(source) {
+            _wordSource = typeof source === 'function' ? source : null;
+        },
+        
+        /**
+         * Show the next hint on the ladder (exposed for external access)
          * @returns {boolean} Success status
          */
         showHint: function() {